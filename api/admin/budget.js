@@ -0,0 +1,33 @@
+import { aiBudget } from '../../src/core/budget.js';
+import { logger } from '../../src/utils/logger.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Verify admin API key
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey !== process.env.ADMIN_API_KEY) {
+    logger.warn('Unauthorized admin API request');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    await aiBudget.sync(true);
+
+    return res.status(200).json({
+      success: true,
+      budget: aiBudget.getReport()
+    });
+
+  } catch (error) {
+    logger.error('Budget API error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve budget',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
@@ -0,0 +1,41 @@
+import { responseCache } from '../../src/core/response-cache.js';
+import { logger } from '../../src/utils/logger.js';
+
+// GET returns hit/miss metrics; DELETE drops expired entries (?all=true drops everything)
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'DELETE') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Verify admin API key
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey !== process.env.ADMIN_API_KEY) {
+    logger.warn('Unauthorized admin API request');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    if (req.method === 'DELETE') {
+      const removed = await responseCache.clear(req.query?.all === 'true');
+
+      return res.status(200).json({
+        success: true,
+        removed
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      cache: await responseCache.getStats()
+    });
+
+  } catch (error) {
+    logger.error('Cache API error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to access response cache',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
@@ -0,0 +1,76 @@
+import { listContent, getContentById, requeueContent, logAnalytics } from '../../src/config/database.js';
+import { logger } from '../../src/utils/logger.js';
+import { parseBoolean, parsePagination } from '../../src/utils/helpers.js';
+
+// GET browses content_cache newest first, filtered by ?used=true|false and
+// ?q, paged with ?page and ?limit; GET ?id=3 returns one item with its text.
+// POST { ids: [3, 4], action: 'requeue' } (or { id }) makes items available
+// to auto-post again.
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Verify admin API key
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey !== process.env.ADMIN_API_KEY) {
+    logger.warn('Unauthorized admin API request');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const { id, used, q } = req.query;
+
+      if (id) {
+        const item = await getContentById(parseInt(id));
+        if (!item) {
+          return res.status(404).json({ error: 'Content not found' });
+        }
+        return res.status(200).json({ success: true, item });
+      }
+
+      const { page, limit, offset } = parsePagination(req.query);
+      // One extra row tells us whether there is another page
+      const items = await listContent({
+        used: used === undefined ? null : parseBoolean(used),
+        search: q || null,
+        limit: limit + 1,
+        offset
+      });
+
+      return res.status(200).json({
+        success: true,
+        count: Math.min(items.length, limit),
+        pagination: { page, limit, hasMore: items.length > limit },
+        items: items.slice(0, limit)
+      });
+    }
+
+    const { action, id, ids } = req.body;
+    const contentIds = (ids || (id ? [id] : [])).map(value => parseInt(value)).filter(Boolean);
+
+    if (action !== 'requeue' || contentIds.length === 0) {
+      return res.status(400).json({ error: "action 'requeue' and id or ids are required" });
+    }
+
+    const requeued = await requeueContent(contentIds);
+    await logAnalytics('content_requeued', { ids: requeued });
+    logger.info(`Requeued content for posting: ${requeued.join(', ') || 'none'}`);
+
+    return res.status(200).json({
+      success: true,
+      requeued,
+      notFound: contentIds.filter(contentId => !requeued.includes(contentId))
+    });
+
+  } catch (error) {
+    logger.error('Content API error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to process content request',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
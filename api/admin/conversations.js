@@ -0,0 +1,64 @@
+import { Conversation } from '../../src/models/conversation.js';
+import { logger } from '../../src/utils/logger.js';
+import { parsePagination } from '../../src/utils/helpers.js';
+
+// GET lists recent conversations, or searches messages and replies with ?q,
+// paged with ?page and ?limit; ?user=name returns a user's history and
+// ?id=5 one conversation.
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Verify admin API key
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey !== process.env.ADMIN_API_KEY) {
+    logger.warn('Unauthorized admin API request');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const { id, user, q } = req.query;
+
+    if (id) {
+      const conversation = await Conversation.findById(parseInt(id));
+      if (!conversation) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+      return res.status(200).json({ success: true, conversation });
+    }
+
+    const { page, limit, offset } = parsePagination(req.query);
+
+    if (user) {
+      const conversations = await Conversation.getHistoryByUser(user, limit);
+      return res.status(200).json({
+        success: true,
+        user,
+        count: conversations.length,
+        conversations
+      });
+    }
+
+    // One extra row tells us whether there is another page
+    const conversations = q
+      ? await Conversation.search(q, limit + 1, offset)
+      : await Conversation.getRecent(limit + 1, offset);
+
+    return res.status(200).json({
+      success: true,
+      count: Math.min(conversations.length, limit),
+      pagination: { page, limit, hasMore: conversations.length > limit },
+      conversations: conversations.slice(0, limit)
+    });
+
+  } catch (error) {
+    logger.error('Conversations API error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch conversations',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
@@ -0,0 +1,67 @@
+import { getFlaggedUsers, clearUserFlags } from '../../src/config/database.js';
+import { injectionGuard } from '../../src/services/injection-guard.js';
+import { logger } from '../../src/utils/logger.js';
+
+// GET lists users flagged for prompt injection with their current standing;
+// DELETE ?user=name clears a user's flags
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'DELETE') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Verify admin API key
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey !== process.env.ADMIN_API_KEY) {
+    logger.warn('Unauthorized admin API request');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    if (req.method === 'DELETE') {
+      const { user } = req.query;
+      if (!user) {
+        return res.status(400).json({ error: 'user is required' });
+      }
+
+      const cleared = await clearUserFlags(user);
+      logger.info(`Cleared injection flags for u/${user}`);
+
+      return res.status(cleared ? 200 : 404).json({
+        success: cleared,
+        user
+      });
+    }
+
+    const { limit = 100 } = req.query;
+    const rows = await getFlaggedUsers(parseInt(limit));
+
+    const users = [];
+    for (const row of rows) {
+      const standing = await injectionGuard.standing(row.reddit_user);
+      users.push({
+        user: row.reddit_user,
+        flags: row.flag_count,
+        standing: standing.status,
+        retryAt: standing.retryAt,
+        lastReason: row.last_reason,
+        firstFlaggedAt: row.first_flagged_at,
+        lastFlaggedAt: row.last_flagged_at
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      count: users.length,
+      users
+    });
+
+  } catch (error) {
+    logger.error('Flagged users API error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to access flagged users',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
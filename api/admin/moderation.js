@@ -0,0 +1,171 @@
+import { redditService } from '../../src/services/reddit-service.js';
+import { contentModerator, splitPostText } from '../../src/services/content-moderator.js';
+import { commentResponder } from '../../src/services/comment-responder.js';
+import { postingPolicy, blockedByPolicyError } from '../../src/services/posting-policy.js';
+import {
+  getPendingModeration,
+  getRecentModeration,
+  getModerationDecision,
+  saveConversation,
+  updatePost,
+  updateCommentReply,
+  logAnalytics
+} from '../../src/config/database.js';
+import { Post } from '../../src/models/post.js';
+import { redditConfig } from '../../src/config/reddit.js';
+import { logger } from '../../src/utils/logger.js';
+
+// GET lists held output (?target=dm|comment|post) or every recent decision (?recent=true&days=7).
+// POST { id, action: 'approve' | 'reject', text } resolves a held item; approving
+// sends it to Reddit, with `text` replacing the held text if given. A held post
+// the posting policy blocks stays pending (409, with the next allowed time),
+// unless it was forced when triggered (metadata.policyForce).
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Verify admin API key
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey !== process.env.ADMIN_API_KEY) {
+    logger.warn('Unauthorized admin API request');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const { target = null, recent, days = 7 } = req.query;
+      const items = recent === 'true'
+        ? await getRecentModeration(parseInt(days))
+        : await getPendingModeration(target);
+
+      return res.status(200).json({
+        success: true,
+        count: items.length,
+        items
+      });
+    }
+
+    const { id, action, text = null } = req.body;
+    if (!id || !['approve', 'reject'].includes(action)) {
+      return res.status(400).json({ error: 'id and action (approve or reject) are required' });
+    }
+
+    const item = await getModerationDecision(id);
+    if (!item) {
+      return res.status(404).json({ error: 'Moderation item not found' });
+    }
+    if (item.review_status !== 'pending') {
+      return res.status(409).json({ error: `Item is not pending review (${item.review_status || item.action})` });
+    }
+
+    if (action === 'reject') {
+      if (item.target === 'post') {
+        await updatePost(parseInt(item.reference_id), { status: 'rejected' });
+      } else if (item.target === 'comment') {
+        await updateCommentReply(item.reference_id, { status: 'rejected' });
+      }
+      await contentModerator.resolve(item.id, false);
+      await logAnalytics('moderation_rejected', { id: item.id, target: item.target });
+
+      return res.status(200).json({ success: true, id: item.id, status: 'rejected' });
+    }
+
+    const finalText = text || item.final_text || item.original_text;
+    if (item.target === 'post' && !splitPostText(finalText)) {
+      return res.status(400).json({ error: `A post needs its title on the first line (at most ${redditConfig.maxTitleLength} characters), then the body` });
+    }
+    const result = item.target === 'post'
+      ? await publishHeldPost(item, finalText)
+      : item.target === 'comment'
+        ? await sendHeldCommentReply(item, finalText)
+        : await sendHeldReply(item, finalText);
+
+    await contentModerator.resolve(item.id, true, finalText);
+    await logAnalytics('moderation_approved', { id: item.id, target: item.target, edited: Boolean(text) });
+
+    return res.status(200).json({ success: true, id: item.id, status: 'approved', ...result });
+
+  } catch (error) {
+    if (error.code === 'BLOCKED_BY_POLICY') {
+      return res.status(409).json({
+        success: false,
+        error: 'Blocked by policy',
+        reasons: error.decision.reasons,
+        nextAllowedAt: error.decision.nextAllowedAt?.toISOString() || null
+      });
+    }
+
+    logger.error('Moderation API error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to process moderation request',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+async function sendHeldReply(item, finalText) {
+  const message = await redditService.getMessage(item.reference_id);
+  await redditService.replyToMessage(message, finalText);
+
+  const conversation = item.metadata?.conversation;
+  if (conversation) {
+    await saveConversation({
+      ...conversation,
+      aiResponse: finalText,
+      metadata: { ...conversation.metadata, moderation: { action: 'hold', logId: item.id, approved: true } }
+    });
+  }
+
+  logger.info(`Sent held reply to u/${item.author}`);
+  return { repliedTo: item.author };
+}
+
+async function sendHeldCommentReply(item, finalText) {
+  const reply = await commentResponder.sendReply(item.reference_id, finalText);
+
+  await updateCommentReply(item.reference_id, {
+    status: 'replied',
+    replyId: reply.id,
+    replyText: finalText,
+    metadata: { moderation: { action: 'hold', logId: item.id, approved: true } }
+  });
+
+  logger.info(`Sent held comment reply to u/${item.author}`);
+  return { repliedTo: item.author, commentId: item.reference_id };
+}
+
+async function publishHeldPost(item, finalText) {
+  const post = await Post.findById(parseInt(item.reference_id));
+  if (!post) throw new Error(`Post ${item.reference_id} not found`);
+
+  const policy = await postingPolicy.check({ subreddit: post.subreddit, flair: post.flair });
+  const force = !policy.allowed && post.metadata.policyForce;
+  if (!policy.allowed && !force) throw blockedByPolicyError(policy);
+
+  const policyOverride = force
+    ? await postingPolicy.recordOverride(post.id, { subreddit: post.subreddit, decision: policy, ...force })
+    : null;
+
+  const { title, content } = splitPostText(finalText);
+  const submission = post.subreddit
+    ? await redditService.submitPost(post.subreddit, title, content, post.getSubmitOptions())
+    : await redditService.submitPostToProfile(title, content, post.getSubmitOptions());
+
+  await updatePost(post.id, {
+    title,
+    content,
+    redditPostId: submission.id,
+    status: 'published',
+    postedAt: new Date().toISOString(),
+    metadata: {
+      moderation: { action: 'hold', logId: item.id, approved: true },
+      ...(policyOverride && { policyOverride })
+    }
+  });
+
+  logger.info(`Published held post ${post.id}: ${submission.id}`);
+  return { post: { id: post.id, redditId: submission.id, title } };
+}
@@ -0,0 +1,79 @@
+import { personaRegistry } from '../../src/core/persona-registry.js';
+import { generateSystemPrompt } from '../../src/core/personality.js';
+import { logAnalytics } from '../../src/config/database.js';
+import { logger } from '../../src/utils/logger.js';
+
+// GET lists personas and the channel mapping (?refresh=true rereads files);
+// GET ?id=name[&version=n] returns one persona with its system prompt.
+// POST { id, name, traits, ... } saves a definition as the persona's next version.
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Verify admin API key
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey !== process.env.ADMIN_API_KEY) {
+    logger.warn('Unauthorized admin API request');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    if (req.method === 'POST') {
+      const persona = await personaRegistry.save(req.body);
+      await logAnalytics('persona_saved', personaRegistry.ref(persona));
+
+      return res.status(201).json({
+        success: true,
+        persona
+      });
+    }
+
+    const { id, version, refresh } = req.query;
+
+    if (id) {
+      const persona = version
+        ? await personaRegistry.getVersion(id, parseInt(version))
+        : await personaRegistry.get(id);
+
+      if (!persona) {
+        return res.status(404).json({ error: 'Persona not found' });
+      }
+
+      return res.status(200).json({
+        success: true,
+        persona,
+        systemPrompt: generateSystemPrompt({ persona })
+      });
+    }
+
+    await personaRegistry.load(refresh === 'true');
+    const personas = await personaRegistry.list();
+
+    return res.status(200).json({
+      success: true,
+      count: personas.length,
+      personas: personas.map(persona => ({
+        id: persona.id,
+        version: persona.version,
+        name: persona.name,
+        description: persona.description,
+        source: persona.source
+      })),
+      ...personaRegistry.channelMap()
+    });
+
+  } catch (error) {
+    if (error.code === 'INVALID_PERSONA') {
+      return res.status(400).json({ error: error.message });
+    }
+
+    logger.error('Personas API error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to access personas',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
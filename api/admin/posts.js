@@ -0,0 +1,229 @@
+import { Post } from '../../src/models/post.js';
+import { redditService } from '../../src/services/reddit-service.js';
+import { postQueue } from '../../src/services/post-queue.js';
+import { postingPolicy } from '../../src/services/posting-policy.js';
+import { isValidSubreddit } from '../../src/config/reddit.js';
+import { logAnalytics } from '../../src/config/database.js';
+import { logger } from '../../src/utils/logger.js';
+import { parsePagination } from '../../src/utils/helpers.js';
+
+// Posts waiting on a decision are changed through these endpoints instead
+const REVIEW_ENDPOINTS = {
+  pending_review: '/api/admin/reviews',
+  held: '/api/admin/moderation'
+};
+
+// GET lists posts newest first, filtered by ?status, ?postType, ?subreddit
+// ('profile' for Dobby's profile) and ?q, paged with ?page and ?limit;
+// GET ?id=12 returns one post.
+// PATCH { id, title, content } edits a post; a published post's body is
+// edited on Reddit too (Reddit doesn't allow title edits).
+// DELETE ?id=12 deletes a post, from Reddit as well when it was published
+// (?reddit=false keeps the Reddit post). Published posts inside the posting
+// policy's window can't be deleted yet.
+// PATCH and DELETE return 409 for a post being published, and point posts
+// waiting for review or held by moderation to those endpoints.
+// POST { id, subreddits, title, flair, nsfw, spoiler } crossposts a published
+// post (or { redditPostId } any submission) to other allowed subreddits. Each
+// crosspost is saved and queued, and the publish-posts cron submits it within
+// the posting policy. flair is one flair for all, or { subreddit: flair }.
+export default async function handler(req, res) {
+  if (!['GET', 'POST', 'PATCH', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Verify admin API key
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey !== process.env.ADMIN_API_KEY) {
+    logger.warn('Unauthorized admin API request');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const { id, status, postType, subreddit, q } = req.query;
+
+      if (id) {
+        const post = await Post.findById(parseInt(id));
+        if (!post) {
+          return res.status(404).json({ error: 'Post not found' });
+        }
+        return res.status(200).json({ success: true, post });
+      }
+
+      const { page, limit, offset } = parsePagination(req.query);
+      // One extra row tells us whether there is another page
+      const posts = await Post.getAll({ status, postType, subreddit, search: q, limit: limit + 1, offset });
+
+      return res.status(200).json({
+        success: true,
+        count: Math.min(posts.length, limit),
+        pagination: { page, limit, hasMore: posts.length > limit },
+        posts: posts.slice(0, limit)
+      });
+    }
+
+    if (req.method === 'POST') {
+      return await crosspost(req, res);
+    }
+
+    const id = parseInt(req.method === 'PATCH' ? req.body.id : req.query.id);
+    if (!id) {
+      return res.status(400).json({ error: 'id is required' });
+    }
+
+    const post = await Post.findById(id);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    if (post.status === 'publishing') {
+      return res.status(409).json({ error: 'Post is being published; try again once it finishes' });
+    }
+    const endpoint = REVIEW_ENDPOINTS[post.status];
+    if (endpoint) {
+      return res.status(409).json({ error: `Post is ${post.status}; use ${endpoint}`, endpoint });
+    }
+
+    const onReddit = post.status === 'published' && Boolean(post.redditPostId);
+
+    if (req.method === 'PATCH') {
+      const { title, content } = req.body;
+      if (!title && !content) {
+        return res.status(400).json({ error: 'title and/or content is required' });
+      }
+      if (onReddit && title && title !== post.title) {
+        return res.status(409).json({ error: 'Reddit does not allow editing the title of a published post' });
+      }
+
+      const editedOnReddit = onReddit && Boolean(content) && content !== post.content;
+      if (editedOnReddit) {
+        await redditService.editPost(post.redditPostId, content);
+      }
+
+      await post.update({ title, content, metadata: { editedAt: new Date().toISOString() } });
+      await logAnalytics('admin_post_edited', { postId: id, redditPostId: post.redditPostId, editedOnReddit });
+
+      return res.status(200).json({ success: true, editedOnReddit, post: await Post.findById(id) });
+    }
+
+    // Same rule as the purge: the posting limits are counted from these rows
+    const deletableAt = post.status === 'published' && post.postedAt
+      ? new Date(new Date(post.postedAt).getTime() + postingPolicy.historyWindowMs())
+      : null;
+    if (deletableAt && deletableAt > new Date()) {
+      return res.status(409).json({
+        error: 'Published posts inside the posting policy window count toward the posting limits',
+        deletableAt: deletableAt.toISOString()
+      });
+    }
+
+    const deleteOnReddit = onReddit && req.query.reddit !== 'false';
+    if (deleteOnReddit) {
+      await redditService.deletePost(post.redditPostId);
+    }
+
+    await post.delete();
+    await logAnalytics('admin_post_deleted', { postId: id, redditPostId: post.redditPostId, deletedOnReddit: deleteOnReddit });
+
+    return res.status(200).json({ success: true, id, deletedOnReddit: deleteOnReddit });
+
+  } catch (error) {
+    logger.error('Posts API error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to process posts request',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+async function crosspost(req, res) {
+  const { id, redditPostId, subreddits, flair = null } = req.body;
+  if (!id && !redditPostId) {
+    return res.status(400).json({ error: 'id or redditPostId is required' });
+  }
+  if (!Array.isArray(subreddits) || subreddits.length === 0) {
+    return res.status(400).json({ error: 'subreddits must be a non-empty array' });
+  }
+
+  let original;
+  if (id) {
+    const post = await Post.findById(parseInt(id));
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+    if (post.status !== 'published' || !post.redditPostId) {
+      return res.status(409).json({ error: 'Only published posts can be crossposted' });
+    }
+    original = { postId: post.id, redditPostId: post.redditPostId, subreddit: post.subreddit, title: post.title, content: post.content, postType: post.postType };
+  } else {
+    const submission = await redditService.getSubmission(redditPostId.replace(/^t3_/, ''));
+    original = {
+      redditPostId: submission.id,
+      subreddit: submission.subreddit?.display_name || null,
+      title: submission.title,
+      content: submission.selftext || submission.url
+    };
+  }
+
+  const crossposts = [];
+  const skipped = [];
+
+  for (const subreddit of subreddits) {
+    if (!isValidSubreddit(subreddit)) {
+      skipped.push({ subreddit, reason: 'subreddit not allowed' });
+      continue;
+    }
+    if (subreddit.toLowerCase() === (original.subreddit || '').toLowerCase()) {
+      skipped.push({ subreddit, reason: 'already posted there' });
+      continue;
+    }
+
+    const subredditFlair = flair && typeof flair === 'object' ? flair[subreddit] || null : flair;
+
+    // Time limits are the queue's to wait out; a missing flair never clears
+    const policy = await postingPolicy.check({ subreddit, flair: subredditFlair });
+    if (!policy.allowed && !policy.nextAllowedAt) {
+      skipped.push({ subreddit, reason: policy.reasons.join('; ') });
+      continue;
+    }
+
+    const post = await Post.create({
+      title: req.body.title || original.title,
+      content: original.content,
+      subreddit,
+      postType: original.postType || 'crosspost',
+      kind: 'crosspost',
+      crosspostParent: original.redditPostId,
+      flair: subredditFlair,
+      status: 'pending',
+      metadata: {
+        crosspostOf: original.postId || null,
+        ...(req.body.nsfw === true && { nsfw: true }),
+        ...(req.body.spoiler === true && { spoiler: true })
+      }
+    });
+    const scheduledAt = await postQueue.schedule(post.id, { subreddit, at: policy.nextAllowedAt || new Date() });
+    crossposts.push({ id: post.id, subreddit, scheduledAt: scheduledAt.toISOString() });
+  }
+
+  if (crossposts.length === 0) {
+    return res.status(409).json({ success: false, error: 'No crossposts queued', skipped });
+  }
+
+  await logAnalytics('admin_crossposts_queued', {
+    postId: original.postId || null,
+    redditPostId: original.redditPostId,
+    subreddits: crossposts.map(crosspost => crosspost.subreddit),
+    skipped: skipped.length
+  });
+
+  return res.status(202).json({
+    success: true,
+    crosspostOf: original.redditPostId,
+    crossposts,
+    skipped
+  });
+}
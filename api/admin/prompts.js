@@ -0,0 +1,61 @@
+import { promptRegistry } from '../../src/core/prompt-registry.js';
+import { logger } from '../../src/utils/logger.js';
+
+// GET lists prompt templates with their versions, pins and experiments
+// (?reload=true rereads the files); GET ?id=post[&version=2] returns a
+// template's raw text.
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Verify admin API key
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey !== process.env.ADMIN_API_KEY) {
+    logger.warn('Unauthorized admin API request');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const { id, version, reload } = req.query;
+
+    if (reload === 'true') {
+      promptRegistry.reload();
+    }
+
+    if (id) {
+      const template = promptRegistry.load().get(id);
+      const selected = parseInt(version) || template?.defaultVersion;
+      const parts = template?.versions.get(selected);
+
+      if (!parts) {
+        return res.status(404).json({ error: 'Prompt template not found' });
+      }
+
+      return res.status(200).json({
+        success: true,
+        id,
+        version: selected,
+        system: parts.system || null,
+        user: parts.user || null
+      });
+    }
+
+    const templates = promptRegistry.list();
+
+    return res.status(200).json({
+      success: true,
+      count: templates.length,
+      templates
+    });
+
+  } catch (error) {
+    logger.error('Prompts API error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to access prompt templates',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
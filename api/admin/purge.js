@@ -0,0 +1,70 @@
+import { Post, ACTIVE_POST_STATUSES } from '../../src/models/post.js';
+import { Conversation } from '../../src/models/conversation.js';
+import { Analytics } from '../../src/models/analytics.js';
+import { postingPolicy } from '../../src/services/posting-policy.js';
+import { logAnalytics } from '../../src/config/database.js';
+import { logger } from '../../src/utils/logger.js';
+
+const TARGETS = {
+  posts: ({ olderThanDays, status }) => Post.deleteOlderThan(olderThanDays, status || null, {
+    keepPublishedSince: new Date(Date.now() - postingPolicy.historyWindowMs())
+  }),
+  conversations: ({ olderThanDays }) => Conversation.deleteOlderThan(olderThanDays),
+  analytics: ({ olderThanDays }) => Analytics.deleteOlderThan(olderThanDays),
+};
+
+// POST { target: 'posts' | 'conversations' | 'analytics', olderThanDays, status }
+// deletes rows older than olderThanDays (at least 1); `status` narrows a post
+// purge, e.g. to 'failed' or 'rejected'. Posts are only removed locally, and
+// never queued or held ones, nor published ones the posting policy still counts.
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Verify admin API key
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey !== process.env.ADMIN_API_KEY) {
+    logger.warn('Unauthorized admin API request');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const { target, status = null } = req.body;
+    const olderThanDays = parseInt(req.body.olderThanDays);
+
+    if (!TARGETS[target]) {
+      return res.status(400).json({ error: `target must be one of ${Object.keys(TARGETS).join(', ')}` });
+    }
+    if (!(olderThanDays >= 1)) {
+      return res.status(400).json({ error: 'olderThanDays must be at least 1' });
+    }
+    if (status && target !== 'posts') {
+      return res.status(400).json({ error: 'status only applies to posts' });
+    }
+    if (ACTIVE_POST_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `${status} posts can't be purged` });
+    }
+
+    const deleted = await TARGETS[target]({ olderThanDays, status });
+    await logAnalytics('admin_purge', { target, olderThanDays, status, deleted });
+    logger.info(`Purged ${deleted} ${target} older than ${olderThanDays} days`);
+
+    return res.status(200).json({
+      success: true,
+      target,
+      olderThanDays,
+      ...(status && { status }),
+      deleted
+    });
+
+  } catch (error) {
+    logger.error('Purge API error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to purge',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
@@ -0,0 +1,118 @@
+import { postReview } from '../../src/services/post-review.js';
+import { Post } from '../../src/models/post.js';
+import { logger } from '../../src/utils/logger.js';
+
+const ACTIONS = ['edit', 'approve', 'reject', 'regenerate'];
+
+// GET lists posts waiting for review; GET ?id=12 previews one with its audit trail.
+// POST { id, action, reviewer, ... } acts on a pending post (the reviewer can
+// also come from an x-reviewer header):
+//   edit        { title, content }
+//   approve     { scheduledAt }  queues it, for the next posting window by default
+//   reject      { reason }
+//   regenerate  writes a new version from the source content
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Verify admin API key
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey !== process.env.ADMIN_API_KEY) {
+    logger.warn('Unauthorized admin API request');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const { id, limit = 50 } = req.query;
+
+      if (id) {
+        const post = await Post.findById(parseInt(id));
+        if (!post) {
+          return res.status(404).json({ error: 'Post not found' });
+        }
+        return res.status(200).json({ success: true, post: postReview.preview(post) });
+      }
+
+      const posts = await postReview.list(parseInt(limit));
+      return res.status(200).json({
+        success: true,
+        count: posts.length,
+        posts: posts.map(post => post.getSummary())
+      });
+    }
+
+    const { id, action, title, content, reason, scheduledAt } = req.body;
+    const reviewer = req.body.reviewer || req.headers['x-reviewer'];
+
+    if (!id || !ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `id and action (${ACTIONS.join(', ')}) are required` });
+    }
+    if (!reviewer) {
+      return res.status(400).json({ error: 'reviewer is required, in the body or an x-reviewer header' });
+    }
+    if (action === 'edit' && !title && !content) {
+      return res.status(400).json({ error: 'edit needs a title and/or content' });
+    }
+    if (action === 'reject' && !reason) {
+      return res.status(400).json({ error: 'reject needs a reason' });
+    }
+    if (scheduledAt && Number.isNaN(Date.parse(scheduledAt))) {
+      return res.status(400).json({ error: 'scheduledAt must be an ISO date' });
+    }
+
+    const post = await Post.findById(parseInt(id));
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+    if (post.status !== 'pending_review') {
+      return res.status(409).json({ error: `Post is not pending review (${post.status})` });
+    }
+
+    if (action === 'edit') {
+      await postReview.edit(post, reviewer, { title, content });
+      return res.status(200).json({ success: true, post: postReview.preview(post) });
+    }
+
+    if (action === 'approve') {
+      const queuedAt = await postReview.approve(post, reviewer, { scheduledAt });
+      return res.status(200).json({ success: true, id: post.id, status: 'scheduled', scheduledAt: queuedAt.toISOString() });
+    }
+
+    if (action === 'reject') {
+      await postReview.reject(post, reviewer, reason);
+      return res.status(200).json({ success: true, id: post.id, status: 'rejected' });
+    }
+
+    if (!post.metadata.contentId) {
+      return res.status(409).json({ error: 'Post has no source content to regenerate from' });
+    }
+
+    const { held, reasons } = await postReview.regenerate(post, reviewer);
+    return res.status(200).json({
+      success: true,
+      held,
+      ...(held && { reasons }),
+      post: postReview.preview(post)
+    });
+
+  } catch (error) {
+    if (error.code === 'INVALID_POST_OUTPUT') {
+      logger.error('Regenerated post rejected:', error.message);
+      return res.status(502).json({
+        success: false,
+        error: 'Regenerated post did not match the schema',
+        details: error.errors
+      });
+    }
+
+    logger.error('Reviews API error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to process review request',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
@@ -1,5 +1,6 @@
 import { sql } from '@vercel/postgres';
 import { getAnalytics } from '../../src/config/database.js';
+import { circuitBreaker } from '../../src/core/circuit-breaker.js';
 import { logger } from '../../src/utils/logger.js';
 
 export default async function handler(req, res) {
@@ -86,6 +87,47 @@ export default async function handler(req, res) {
       GROUP BY ai_provider
     `;
 
+    // Engagement per prompt template version, to compare experiment variants
+    const postsByPrompt = await sql`
+      SELECT 
+        metadata->'prompt'->>'id' as template,
+        metadata->'prompt'->>'version' as version,
+        metadata->'prompt'->>'experiment' as experiment,
+        COUNT(*) as posts,
+        AVG(upvotes) as avg_upvotes,
+        AVG(comments) as avg_comments
+      FROM posts
+      WHERE status = 'published'
+        AND metadata->'prompt' IS NOT NULL
+        AND posted_at >= NOW() - ${daysNum} * INTERVAL '1 day'
+      GROUP BY 1, 2, 3
+      ORDER BY 1, 2
+    `;
+
+    const conversationsByPrompt = await sql`
+      SELECT 
+        metadata->'prompt'->>'id' as template,
+        metadata->'prompt'->>'version' as version,
+        metadata->'prompt'->>'experiment' as experiment,
+        COUNT(*) as conversations,
+        COUNT(DISTINCT reddit_user) as unique_users,
+        AVG(LENGTH(ai_response)) as avg_response_length
+      FROM conversations
+      WHERE metadata->'prompt' IS NOT NULL
+        AND created_at >= NOW() - ${daysNum} * INTERVAL '1 day'
+      GROUP BY 1, 2, 3
+      ORDER BY 1, 2
+    `;
+
+    // Replies in threads, by where the comment came from; mentions stay
+    // apart from replies on our own posts
+    const threadReplies = await sql`
+      SELECT source, status, COUNT(*) as count
+      FROM comment_replies
+      WHERE created_at >= NOW() - ${daysNum} * INTERVAL '1 day'
+      GROUP BY source, status
+    `;
+
     // Get content cache stats
     const contentStats = await sql`
       SELECT 
@@ -95,6 +137,9 @@ export default async function handler(req, res) {
       FROM content_cache
     `;
 
+    // Get AI provider circuit breaker state
+    await circuitBreaker.sync(true);
+
     logger.info(`Stats retrieved for last ${daysNum} days`);
 
     return res.status(200).json({
@@ -139,6 +184,29 @@ export default async function handler(req, res) {
         usageCount: provider.usage_count,
         totalTokens: provider.total_tokens
       })),
+      promptVersions: {
+        posts: postsByPrompt.rows.map(row => ({
+          template: row.template,
+          version: parseInt(row.version),
+          experiment: row.experiment,
+          posts: parseInt(row.posts),
+          avgUpvotes: Math.round((parseFloat(row.avg_upvotes) || 0) * 10) / 10,
+          avgComments: Math.round((parseFloat(row.avg_comments) || 0) * 10) / 10
+        })),
+        conversations: conversationsByPrompt.rows.map(row => ({
+          template: row.template,
+          version: parseInt(row.version),
+          experiment: row.experiment,
+          conversations: parseInt(row.conversations),
+          uniqueUsers: parseInt(row.unique_users),
+          avgResponseLength: Math.round(parseFloat(row.avg_response_length) || 0)
+        }))
+      },
+      threadReplies: threadReplies.rows.reduce((bySource, row) => {
+        bySource[row.source] = { ...bySource[row.source], [row.status]: parseInt(row.count) };
+        return bySource;
+      }, {}),
+      providerHealth: circuitBreaker.getStats(),
       content: {
         totalCached: contentStats.rows[0]?.total_cached || 0,
         used: contentStats.rows[0]?.used_content || 0,
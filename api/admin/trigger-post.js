@@ -1,8 +1,19 @@
 import { redditService } from '../../src/services/reddit-service.js';
 import { postGenerator } from '../../src/services/post-generator.js';
+import { contentModerator, ModerationAction } from '../../src/services/content-moderator.js';
+import { postQueue } from '../../src/services/post-queue.js';
+import { postingPolicy } from '../../src/services/posting-policy.js';
+import { personaRegistry } from '../../src/core/persona-registry.js';
 import { savePost, updatePost, logAnalytics } from '../../src/config/database.js';
 import { logger } from '../../src/utils/logger.js';
 
+// POST { content, title, postType, subreddit, flair, scheduledAt } generates
+// (unless a title is given), moderates and publishes a post, or queues it
+// with scheduledAt. { kind: 'link' | 'image', url } submits a link to `url`
+// instead of a text post, and { nsfw, spoiler } mark it; flair is a
+// template id or its text. A post the posting policy blocks gets a 409 with the
+// next allowed time; { force: true, reviewer, reason } posts anyway and is
+// audited (the reviewer can also come from an x-reviewer header).
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
@@ -16,11 +27,34 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { content, title, postType = 'insight', subreddit = null } = req.body;
+    const { content, title, postType = 'insight', subreddit = null, flair = null, scheduledAt = null, reason = null } = req.body;
+    const { kind = 'self', url = null } = req.body;
+    const force = req.body.force === true;
+    const reviewer = req.body.reviewer || req.headers['x-reviewer'];
 
     if (!content) {
       return res.status(400).json({ error: 'Content is required' });
     }
+    if (scheduledAt && Number.isNaN(Date.parse(scheduledAt))) {
+      return res.status(400).json({ error: 'scheduledAt must be an ISO date' });
+    }
+    if (!['self', 'link', 'image'].includes(kind)) {
+      return res.status(400).json({ error: "kind must be 'self', 'link' or 'image'" });
+    }
+    if (kind !== 'self' && !/^https?:\/\//.test(url || '')) {
+      return res.status(400).json({ error: `${kind} posts need an http(s) url` });
+    }
+    if (force && !reviewer) {
+      return res.status(400).json({ error: 'force needs a reviewer, in the body or an x-reviewer header' });
+    }
+
+    // Queued posts are checked when they're due; this one would go out now.
+    // Checked before generating, so a blocked request costs nothing; only a
+    // missing flair can still be fixed by the generated post.
+    let policy = scheduledAt ? null : await postingPolicy.check({ subreddit, flair });
+    if (policy && !policy.allowed && !force && policy.rules.some(rule => title || rule !== 'flairRequired')) {
+      return policyBlocked(res, subreddit, policy);
+    }
 
     logger.info('Manually triggered post generation');
 
@@ -28,20 +62,28 @@ export default async function handler(req, res) {
 
     // If title is provided, use it; otherwise generate
     if (title) {
+      // Written by hand, but the footer still comes from the persona
+      const persona = await postGenerator.personaFor(subreddit);
       generatedPost = {
         title: title,
         content: content,
+        flair,
+        persona,
         metadata: {
           manuallyTriggered: true,
-          postType: postType
+          postType: postType,
+          persona: personaRegistry.ref(persona),
+          ...(flair && { flair })
         }
       };
     } else {
-      generatedPost = await postGenerator.generatePost(content, postType);
+      generatedPost = await postGenerator.generatePost(content, postType, { subreddit });
       generatedPost.metadata.manuallyTriggered = true;
+      // A flair given in the request wins over the generated one
+      if (flair) generatedPost.flair = generatedPost.metadata.flair = flair;
     }
 
-    console.log('🧾 Generated Post Preview:', JSON.stringify(generatedPost, null, 2));
+    console.log('🧾 Generated Post Preview:', JSON.stringify({ ...generatedPost, persona: undefined }, null, 2));
 
 
     // Validate post
@@ -57,6 +99,13 @@ export default async function handler(req, res) {
 
     console.log('✅ Validation Result:', validation);
 
+    if (policy && !policy.allowed && !title && generatedPost.flair) {
+      policy = await postingPolicy.check({ subreddit, flair: generatedPost.flair });
+    }
+    if (policy && !policy.allowed && !force) {
+      return policyBlocked(res, subreddit, policy);
+    }
+
     // Format for Reddit
     const formattedContent = postGenerator.formatPostForReddit(generatedPost);
 
@@ -66,22 +115,85 @@ export default async function handler(req, res) {
       content: formattedContent,
       subreddit: subreddit,
       postType: postType,
+      sourceUrl: url,
+      kind,
+      flair: generatedPost.flair,
       status: 'pending',
-      metadata: generatedPost.metadata
+      metadata: {
+        ...generatedPost.metadata,
+        ...(req.body.nsfw === true && { nsfw: true }),
+        ...(req.body.spoiler === true && { spoiler: true }),
+        // Lets a queued or held post through the policy check at publish time
+        ...(force && { policyForce: { by: reviewer, reason } })
+      }
     });
 
+    // Check the post before it goes out under our account
+    const moderation = await contentModerator.reviewPost(
+      { title: generatedPost.title, content: formattedContent },
+      { referenceId: savedPost.id, metadata: { postType, subreddit, manuallyTriggered: true } }
+    );
+
+    if (moderation.action === ModerationAction.HOLD) {
+      await updatePost(savedPost.id, {
+        status: 'held',
+        metadata: { moderation: { action: moderation.action, logId: moderation.logId, reasons: moderation.reasons } }
+      });
+
+      return res.status(202).json({
+        success: true,
+        held: true,
+        post: { id: savedPost.id, title: generatedPost.title },
+        reasons: moderation.reasons
+      });
+    }
+
+    // With scheduledAt, queue it for the publish-posts cron instead of posting now
+    if (scheduledAt) {
+      const queuedAt = await postQueue.schedule(savedPost.id, {
+        subreddit,
+        at: scheduledAt,
+        ...(moderation.action === ModerationAction.REWRITE && { title: moderation.title, content: moderation.content }),
+        metadata: { moderation: { action: moderation.action, logId: moderation.logId } }
+      });
+
+      return res.status(202).json({
+        success: true,
+        scheduled: true,
+        post: { id: savedPost.id, title: moderation.title, scheduledAt: queuedAt.toISOString(), subreddit: subreddit || 'profile' }
+      });
+    }
+
+    if (moderation.action === ModerationAction.REWRITE) {
+      await updatePost(savedPost.id, { title: moderation.title, content: moderation.content });
+    }
+
+    const policyOverride = !policy.allowed
+      ? await postingPolicy.recordOverride(savedPost.id, { subreddit, decision: policy, by: reviewer, reason })
+      : null;
+
+    const submitOptions = {
+      kind,
+      url,
+      flair: generatedPost.flair,
+      nsfw: req.body.nsfw === true,
+      spoiler: req.body.spoiler === true
+    };
+
     // Post to Reddit
     let submission;
     if (subreddit) {
       submission = await redditService.submitPost(
         subreddit,
-        generatedPost.title,
-        formattedContent
+        moderation.title,
+        moderation.content,
+        submitOptions
       );
     } else {
       submission = await redditService.submitPostToProfile(
-        generatedPost.title,
-        formattedContent
+        moderation.title,
+        moderation.content,
+        submitOptions
       );
     }
 
@@ -89,7 +201,11 @@ export default async function handler(req, res) {
     await updatePost(savedPost.id, {
       redditPostId: submission.id,
       status: 'published',
-      postedAt: new Date().toISOString()
+      postedAt: new Date().toISOString(),
+      metadata: {
+        moderation: { action: moderation.action, logId: moderation.logId },
+        ...(policyOverride && { policyOverride })
+      }
     });
 
     // Log analytics
@@ -107,14 +223,25 @@ export default async function handler(req, res) {
       post: {
         id: savedPost.id,
         redditId: submission.id,
-        title: generatedPost.title,
+        title: moderation.title,
         url: `https://reddit.com${submission.permalink}`,
         postType: postType,
+        kind,
         subreddit: subreddit || 'profile'
-      }
+      },
+      ...(policyOverride && { forced: true, blockedBy: policyOverride.blockedBy })
     });
 
   } catch (error) {
+    if (error.code === 'INVALID_POST_OUTPUT') {
+      logger.error('Generated post rejected:', error.message);
+      return res.status(502).json({
+        success: false,
+        error: 'Generated post did not match the schema',
+        details: error.errors
+      });
+    }
+
     logger.error('Manual post trigger error:', error);
 
     return res.status(500).json({
@@ -123,4 +250,20 @@ export default async function handler(req, res) {
       message: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
-}
\ No newline at end of file
+}
+
+async function policyBlocked(res, subreddit, policy) {
+  await logAnalytics('post_blocked_by_policy', {
+    subreddit: subreddit || 'profile',
+    reasons: policy.reasons,
+    nextAllowedAt: policy.nextAllowedAt,
+    manuallyTriggered: true
+  });
+
+  return res.status(409).json({
+    success: false,
+    error: 'Blocked by policy',
+    reasons: policy.reasons,
+    nextAllowedAt: policy.nextAllowedAt?.toISOString() || null
+  });
+}
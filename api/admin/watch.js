@@ -0,0 +1,73 @@
+import { subredditWatcher } from '../../src/services/subreddit-watcher.js';
+import { getWatchCandidate } from '../../src/config/database.js';
+import { logger } from '../../src/utils/logger.js';
+
+// GET lists watch candidates, best first (?status=pending_review by default,
+// or queued, answered, rejected); GET ?id=4 returns one.
+// POST { id, action: 'approve' | 'reject', reviewer } decides on a pending
+// candidate (the reviewer can also come from an x-reviewer header). Approved
+// candidates are answered on the next watch run.
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Verify admin API key
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey !== process.env.ADMIN_API_KEY) {
+    logger.warn('Unauthorized admin API request');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const { id, status = 'pending_review', limit = 50 } = req.query;
+
+      if (id) {
+        const candidate = await getWatchCandidate(parseInt(id));
+        if (!candidate) {
+          return res.status(404).json({ error: 'Candidate not found' });
+        }
+        return res.status(200).json({ success: true, candidate });
+      }
+
+      const candidates = await subredditWatcher.list(status, parseInt(limit));
+      return res.status(200).json({
+        success: true,
+        mode: subredditWatcher.config.mode,
+        count: candidates.length,
+        candidates
+      });
+    }
+
+    const { id, action } = req.body;
+    const reviewer = req.body.reviewer || req.headers['x-reviewer'];
+
+    if (!id || !['approve', 'reject'].includes(action)) {
+      return res.status(400).json({ error: 'id and action (approve or reject) are required' });
+    }
+    if (!reviewer) {
+      return res.status(400).json({ error: 'reviewer is required, in the body or an x-reviewer header' });
+    }
+
+    const candidate = await getWatchCandidate(parseInt(id));
+    if (!candidate) {
+      return res.status(404).json({ error: 'Candidate not found' });
+    }
+    if (candidate.status !== 'pending_review') {
+      return res.status(409).json({ error: `Candidate is not pending review (${candidate.status})` });
+    }
+
+    const updated = await subredditWatcher.review(candidate, action, reviewer);
+    return res.status(200).json({ success: true, id: updated.id, status: updated.status });
+
+  } catch (error) {
+    logger.error('Watch API error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to process watch request',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
@@ -1,6 +1,10 @@
 import { aiManager } from '../src/core/ai-manager.js';
-import { generateSystemPrompt, formatUserMessage, enhanceResponseWithPersonality } from '../src/core/personality.js';
+import { renderSystemPrompt, formatUserMessage, enhanceResponseWithPersonality } from '../src/core/personality.js';
+import { personaRegistry } from '../src/core/persona-registry.js';
 import { saveConversation, getConversationHistory, logAnalytics } from '../src/config/database.js';
+import { aiConfig } from '../src/config/ai-providers.js';
+import { dobbyTools } from '../src/services/dobby-tools.js';
+import { contentRetriever } from '../src/services/content-retriever.js';
 import { logger } from '../src/utils/logger.js';
 
 export default async function handler(req, res) {
@@ -9,7 +13,7 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { message, userId, includeHistory = true } = req.body;
+    const { message, userId, includeHistory = true, cache = true } = req.body;
 
     if (!message) {
       return res.status(400).json({ error: 'Message is required' });
@@ -21,9 +25,14 @@ export default async function handler(req, res) {
       conversationHistory = await getConversationHistory(userId, 5);
     }
 
+    // Ground the answer in cached Sentient articles
+    const passages = await contentRetriever.retrieve(message);
+
     // Build messages array
+    const persona = await personaRegistry.forChannel('chat');
+    const systemPrompt = renderSystemPrompt({ persona, conversationHistory: includeHistory, assignKey: userId || null });
     const messages = [
-      { role: 'system', content: generateSystemPrompt({ conversationHistory: includeHistory }) }
+      { role: 'system', content: systemPrompt.text + contentRetriever.formatForPrompt(passages) }
     ];
 
     // Add conversation history
@@ -38,40 +47,36 @@ export default async function handler(req, res) {
       content: formatUserMessage(message, { username: userId }) 
     });
 
-    // Get AI response
-    const response = await aiManager.chat(messages, {
+    const aiOptions = {
       maxTokens: parseInt(process.env.MAX_RESPONSE_LENGTH) || 500,
-      temperature: 0.8
-    });
+      temperature: 0.8,
+      useCase: 'chat',
+      routingKey: userId || null,
+      feature: 'chat',
+      // Answers that depend on past conversations aren't shared between users
+      cache: cache && conversationHistory.length === 0
+        ? { prompt: message, scope: systemPrompt.text, privateTerms: [userId] }
+        : false
+    };
 
-    // Enhance with personality
-    const enhancedResponse = enhanceResponseWithPersonality(response.content);
-
-    // Save to database
-    if (userId) {
-      await saveConversation({
-        redditUser: userId,
-        messageId: `chat_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-        userMessage: message,
-        aiResponse: enhancedResponse,
-        aiProvider: response.provider,
-        tokensUsed: response.usage?.total_tokens || 0,
-        metadata: {
-          model: response.model,
-          source: 'api'
-        }
-      });
+    if (wantsStream(req)) {
+      return streamChatResponse(res, messages, aiOptions, { message, userId, passages, persona, prompt: systemPrompt.ref });
     }
 
-    // Log analytics
-    await logAnalytics('chat_api_request', {
-      userId,
-      messageLength: message.length,
-      responseLength: enhancedResponse.length,
-      provider: response.provider
+    // Get AI response (tool calls need complete turns, so only the non-streaming path offers tools)
+    const response = await aiManager.chat(messages, {
+      ...aiOptions,
+      tools: aiConfig.enableTools ? dobbyTools : undefined,
+      toolContext: { username: userId }
     });
 
-    logger.info(`Chat API request processed for user: ${userId || 'anonymous'}`);
+    // Enhance with personality
+    const enhancedResponse = enhanceResponseWithPersonality(
+      contentRetriever.addCitations(response.content, passages),
+      persona
+    );
+
+    await recordChat({ message, userId, passages, persona, prompt: systemPrompt.ref }, enhancedResponse, response);
 
     return res.status(200).json({
       success: true,
@@ -79,12 +84,25 @@ export default async function handler(req, res) {
       metadata: {
         provider: response.provider,
         model: response.model,
-        tokensUsed: response.usage?.total_tokens || 0
+        tokensUsed: response.usage?.total_tokens || 0,
+        context: response.context,
+        toolCalls: response.toolCalls,
+        sources: contentRetriever.sources(passages),
+        cached: response.cached,
+        persona: personaRegistry.ref(persona),
+        prompt: systemPrompt.ref
       }
     });
 
   } catch (error) {
     logger.error('Chat API error:', error);
+
+    if (error.code === 'BUDGET_EXCEEDED') {
+      return res.status(503).json({
+        success: false,
+        error: 'Chat is paused because the AI budget is exhausted, try again later'
+      });
+    }
     
     return res.status(500).json({
       success: false,
@@ -92,4 +110,110 @@ export default async function handler(req, res) {
       message: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
-}
\ No newline at end of file
+}
+
+function wantsStream(req) {
+  const accept = req.headers.accept || '';
+  return req.body?.stream === true || accept.includes('text/event-stream');
+}
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Server-Sent Events variant: 'delta' events as tokens arrive, 'reset' when a
+// provider fails mid-stream and the answer restarts, then 'done' or 'error'.
+async function streamChatResponse(res, messages, aiOptions, request) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  try {
+    let final = null;
+
+    for await (const event of aiManager.chatStream(messages, aiOptions)) {
+      if (event.type === 'delta') {
+        sendEvent(res, 'delta', { content: event.content });
+      } else if (event.type === 'reset') {
+        sendEvent(res, 'reset', { reason: 'Provider failed mid-response, retrying' });
+      } else if (event.type === 'done') {
+        final = event;
+      }
+    }
+
+    // Stream any sources line and personality sign-off so the client text matches what we save
+    const enhancedResponse = enhanceResponseWithPersonality(
+      contentRetriever.addCitations(final.content, request.passages),
+      request.persona
+    );
+    if (enhancedResponse.length > final.content.length) {
+      sendEvent(res, 'delta', { content: enhancedResponse.slice(final.content.length) });
+    }
+
+    await recordChat(request, enhancedResponse, final);
+
+    sendEvent(res, 'done', {
+      success: true,
+      response: enhancedResponse,
+      metadata: {
+        provider: final.provider,
+        model: final.model,
+        tokensUsed: final.usage?.total_tokens || 0,
+        usage: final.usage,
+        context: final.context,
+        sources: contentRetriever.sources(request.passages),
+        cached: final.cached,
+        persona: personaRegistry.ref(request.persona),
+        prompt: request.prompt
+      }
+    });
+  } catch (error) {
+    logger.error('Chat API stream error:', error);
+
+    sendEvent(res, 'error', {
+      success: false,
+      error: error.code === 'BUDGET_EXCEEDED'
+        ? 'Chat is paused because the AI budget is exhausted, try again later'
+        : 'Failed to process chat request',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+
+  res.end();
+}
+
+async function recordChat({ message, userId, passages, persona, prompt }, enhancedResponse, response) {
+  // Save to database
+  if (userId) {
+    await saveConversation({
+      redditUser: userId,
+      messageId: `chat_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      userMessage: message,
+      aiResponse: enhancedResponse,
+      aiProvider: response.provider,
+      tokensUsed: response.usage?.total_tokens || 0,
+      metadata: {
+        model: response.model,
+        source: 'api',
+        context: response.context,
+        sources: contentRetriever.sources(passages),
+        cached: response.cached?.match,
+        persona: personaRegistry.ref(persona),
+        prompt
+      }
+    });
+  }
+
+  // Log analytics
+  await logAnalytics('chat_api_request', {
+    userId,
+    messageLength: message.length,
+    responseLength: enhancedResponse.length,
+    provider: response.provider
+  });
+
+  logger.info(`Chat API request processed for user: ${userId || 'anonymous'}`);
+}
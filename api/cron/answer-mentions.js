@@ -0,0 +1,47 @@
+import { commentResponder } from '../../src/services/comment-responder.js';
+import { logger } from '../../src/utils/logger.js';
+
+export const config = {
+  maxDuration: 60,
+};
+
+// Answers u/<username> mentions in their threads (see src/services/comment-responder.js)
+export default async function handler(req, res) {
+  // Verify cron request
+  const authHeader = req.headers.authorization;
+  if (authHeader !== `Bearer ${process.env.CRON_SECRET || 'local'}`) {
+    logger.warn('Unauthorized cron request');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  if (!commentResponder.config.mentions.enabled) {
+    return res.status(200).json({ success: true, skipped: true, message: 'Mention replies are disabled' });
+  }
+
+  try {
+    logger.info('Checking mentions...');
+
+    const results = await commentResponder.answerMentions();
+
+    logger.info(`Mention replies: ${results.replied.length} replied, ${results.held.length} held, ${results.skipped.length} skipped, ${results.failed.length} failed`);
+
+    return res.status(200).json({
+      success: true,
+      replied: results.replied.length,
+      held: results.held.length,
+      skipped: results.skipped.length,
+      failed: results.failed.length,
+      budgetExhausted: results.budgetExhausted,
+      details: results
+    });
+
+  } catch (error) {
+    logger.error('Mention cron error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to answer mentions',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
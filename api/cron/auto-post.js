@@ -1,6 +1,10 @@
-import { redditService } from '../../src/services/reddit-service.js';
 import { postGenerator } from '../../src/services/post-generator.js';
+import { contentModerator, ModerationAction } from '../../src/services/content-moderator.js';
+import { postQueue } from '../../src/services/post-queue.js';
+import { postReview } from '../../src/services/post-review.js';
+import { postingPolicy } from '../../src/services/posting-policy.js';
 import { getUnusedContent, markContentAsUsed, savePost, updatePost, logAnalytics } from '../../src/config/database.js';
+import { redditConfig } from '../../src/config/reddit.js';
 import { logger } from '../../src/utils/logger.js';
 import { parseBoolean } from '../../src/utils/helpers.js';
 
@@ -30,6 +34,19 @@ export default async function handler(req, res) {
 
     logger.info('Starting auto-post generation...');
 
+    // A post the policy will let out later is queued for then; one it never
+    // will isn't worth generating
+    const policy = await postingPolicy.check();
+    if (!policy.allowed && !policy.nextAllowedAt) {
+      logger.info(`Auto-post blocked by policy: ${policy.reasons.join('; ')}`);
+      return res.status(200).json({
+        success: true,
+        posted: false,
+        blockedByPolicy: true,
+        reasons: policy.reasons
+      });
+    }
+
     // Get unused content from database
     const unusedContent = await getUnusedContent(3);
 
@@ -76,6 +93,8 @@ export default async function handler(req, res) {
       content: formattedContent,
       postType: postType,
       sourceUrl: selectedContent.source_url,
+      kind: redditConfig.autoPostKind,
+      flair: generatedPost.flair,
       status: 'pending',
       metadata: {
         ...generatedPost.metadata,
@@ -86,51 +105,96 @@ export default async function handler(req, res) {
 
     logger.info(`Post saved to database with ID: ${savedPost.id}`);
 
-    // Post to Reddit (user's profile)
-	const submission = await redditService.submitPostToProfile(
-	generatedPost.title,
-	formattedContent
-	);
+    // Check the post before it goes out under our account
+    const moderation = await contentModerator.reviewPost(
+      { title: generatedPost.title, content: formattedContent },
+      { referenceId: savedPost.id, metadata: { postType, contentId: selectedContent.id } }
+    );
+
+    if (moderation.action === ModerationAction.HOLD) {
+      await updatePost(savedPost.id, {
+        status: 'held',
+        metadata: { moderation: { action: moderation.action, logId: moderation.logId, reasons: moderation.reasons } }
+      });
+      await markContentAsUsed(selectedContent.id);
+
+      logger.warn(`Post ${savedPost.id} held for review: ${moderation.reasons.join('; ')}`);
+      return res.status(200).json({
+        success: true,
+        posted: false,
+        held: true,
+        post: { id: savedPost.id, title: generatedPost.title },
+        reasons: moderation.reasons
+      });
+    }
 
-   // Update post with Reddit ID and status
-	await updatePost(savedPost.id, {
-	redditPostId: submission.id,  // ← This line
-	status: 'published',
-	postedAt: new Date().toISOString()
-   });
+    const rewrite = moderation.action === ModerationAction.REWRITE && { title: moderation.title, content: moderation.content };
+
+    // In approval mode a reviewer decides whether it gets queued
+    if (postReview.enabled) {
+      await postReview.submit(savedPost.id, {
+        ...rewrite,
+        metadata: { moderation: { action: moderation.action, logId: moderation.logId } }
+      });
+      await markContentAsUsed(selectedContent.id);
+
+      return res.status(200).json({
+        success: true,
+        posted: false,
+        pendingReview: true,
+        post: { id: savedPost.id, title: moderation.title, postType: postType }
+      });
+    }
+
+    // Queue it; the publish-posts cron sends it in the next posting window
+    const scheduledAt = await postQueue.schedule(savedPost.id, {
+      ...rewrite,
+      ...(policy.nextAllowedAt && { at: policy.nextAllowedAt }),
+      metadata: { moderation: { action: moderation.action, logId: moderation.logId } }
+    });
 
     // Mark content as used
     await markContentAsUsed(selectedContent.id);
 
     // Log analytics
-    await logAnalytics('auto_post_created', {
+    await logAnalytics('auto_post_scheduled', {
       postId: savedPost.id,
-      redditPostId: submission.id,
       postType: postType,
-      title: generatedPost.title,
+      title: moderation.title,
+      scheduledAt: scheduledAt.toISOString(),
       contentSource: selectedContent.source_url
     });
 
-    logger.info(`Successfully posted to Reddit: ${submission.id}`);
+    logger.info(`Post ${savedPost.id} queued for ${scheduledAt.toISOString()}`);
 
     return res.status(200).json({
       success: true,
-      posted: true,
+      posted: false,
+      scheduled: true,
       post: {
         id: savedPost.id,
-        redditId: submission.id,
-        title: generatedPost.title,
-        url: `https://reddit.com${submission.permalink}`,
+        title: moderation.title,
+        scheduledAt: scheduledAt.toISOString(),
         postType: postType
       }
     });
 
   } catch (error) {
+    if (error.code === 'BUDGET_EXCEEDED') {
+      logger.warn('Skipping auto-post:', error.message);
+      return res.status(200).json({
+        success: true,
+        message: 'AI budget exhausted',
+        posted: false
+      });
+    }
+
     logger.error('Auto-post cron error:', error);
     
     // Log failed attempt
     await logAnalytics('auto_post_failed', {
       error: error.message,
+      ...(error.code === 'INVALID_POST_OUTPUT' && { schemaErrors: error.errors }),
       timestamp: new Date().toISOString()
     });
 
@@ -1,7 +1,11 @@
 import { redditService } from '../../src/services/reddit-service.js';
-import { aiManager } from '../../src/core/ai-manager.js';
-import { generateSystemPrompt, formatUserMessage, enhanceResponseWithPersonality } from '../../src/core/personality.js';
+import { personaRegistry } from '../../src/core/persona-registry.js';
 import { saveConversation, getConversationHistory, logAnalytics } from '../../src/config/database.js';
+import { contentRetriever } from '../../src/services/content-retriever.js';
+import { dmResponder } from '../../src/services/dm-responder.js';
+import { contentModerator, ModerationAction } from '../../src/services/content-moderator.js';
+import { injectionGuard, UserStanding } from '../../src/services/injection-guard.js';
+import { commentResponder } from '../../src/services/comment-responder.js';
 import { logger } from '../../src/utils/logger.js';
 
 export const config = {
@@ -32,51 +36,55 @@ export default async function handler(req, res) {
     }
 
     const processed = [];
+    const held = [];
+    const quarantined = [];
+    const skipped = [];
     const failed = [];
+    const comments = [];
+    let budgetExhausted = false;
 
     // Process each message
     for (const message of messages) {
       try {
+        // Comment replies land in the inbox too; they're answered in the thread
+        if (message.was_comment) {
+          const outcome = await commentResponder.handleInboxComment(message);
+          comments.push({ id: message.id, ...outcome });
+          continue;
+        }
+
         const messageData = redditService.formatMessageForResponse(message);
         logger.info(`Processing DM from u/${messageData.author}`);
 
-        // Get conversation history
-        const history = await getConversationHistory(messageData.author, 5);
-
-        // Build messages array for AI
-        const aiMessages = [
-          { role: 'system', content: generateSystemPrompt({ conversationHistory: true }) }
-        ];
-
-        // Add history
-        for (const msg of history) {
-          aiMessages.push({ role: 'user', content: msg.user_message });
-          aiMessages.push({ role: 'assistant', content: msg.ai_response });
+        // Repeat prompt-injection offenders are rate-limited, then ignored
+        const standing = await injectionGuard.standing(messageData.author);
+        if (standing.status !== UserStanding.OK) {
+          logger.warn(`Not answering u/${messageData.author}: ${standing.status} after ${standing.flags} injection flag(s)`);
+          await message.markAsRead();
+          skipped.push({ id: messageData.id, author: messageData.author, reason: standing.status });
+          continue;
         }
 
-        // Add current message
-        aiMessages.push({ 
-          role: 'user', 
-          content: formatUserMessage(messageData.body, { 
-            username: messageData.author,
-            context: messageData.subject !== 'no subject' ? `Subject: ${messageData.subject}` : null
-          }) 
-        });
+        // Screen the message before it gets anywhere near a prompt
+        const inspection = await injectionGuard.inspect(
+          messageData.subject !== 'no subject' ? `${messageData.subject}\n\n${messageData.body}` : messageData.body
+        );
+        if (inspection.flagged) {
+          await quarantineMessage(message, messageData, inspection);
+          quarantined.push(messageData.id);
+          continue;
+        }
 
-        // Get AI response
-        const response = await aiManager.chat(aiMessages, {
-          maxTokens: parseInt(process.env.MAX_RESPONSE_LENGTH) || 500,
-          temperature: 0.8
-        });
+        // Get conversation history
+        const history = await getConversationHistory(messageData.author, 5);
 
-        // Enhance with personality
-        const enhancedResponse = enhanceResponseWithPersonality(response.content);
+        // Ground the answer in cached Sentient articles
+        const passages = await contentRetriever.retrieve(messageData.body);
 
-        // Reply on Reddit
-        await redditService.replyToMessage(message, enhancedResponse);
+        // Write the reply
+        const { text: enhancedResponse, response, persona, prompt } = await dmResponder.reply(messageData, { history, passages });
 
-        // Save to database
-        await saveConversation({
+        const conversation = {
           redditUser: messageData.author,
           messageId: messageData.id,
           userMessage: messageData.body,
@@ -86,15 +94,45 @@ export default async function handler(req, res) {
           metadata: {
             model: response.model,
             source: 'dm',
+            context: response.context,
+            toolCalls: response.toolCalls,
+            sources: contentRetriever.sources(passages),
+            cached: response.cached?.match,
+            persona: personaRegistry.ref(persona),
+            prompt,
             subject: messageData.subject
           }
+        };
+
+        // Check the reply before it goes out under our account
+        const moderation = await contentModerator.review(enhancedResponse, {
+          target: 'dm',
+          referenceId: messageData.id,
+          author: messageData.author,
+          metadata: { conversation }
         });
 
+        // Held replies wait in the moderation queue; the conversation is saved once approved
+        if (moderation.action === ModerationAction.HOLD) {
+          await message.markAsRead();
+          held.push(messageData.id);
+          continue;
+        }
+
+        conversation.aiResponse = moderation.text;
+        conversation.metadata.moderation = { action: moderation.action, logId: moderation.logId };
+
+        // Reply on Reddit
+        await redditService.replyToMessage(message, moderation.text);
+
+        // Save to database
+        await saveConversation(conversation);
+
         // Log analytics
         await logAnalytics('dm_processed', {
           author: messageData.author,
           messageLength: messageData.body.length,
-          responseLength: enhancedResponse.length,
+          responseLength: moderation.text.length,
           provider: response.provider
         });
 
@@ -102,6 +140,13 @@ export default async function handler(req, res) {
         logger.info(`Successfully processed DM from u/${messageData.author}`);
 
       } catch (error) {
+        // Leave the rest unread so they are answered once the budget allows
+        if (error.code === 'BUDGET_EXCEEDED') {
+          logger.warn(`Stopping DM processing: ${error.message}`);
+          budgetExhausted = true;
+          break;
+        }
+
         logger.error(`Failed to process message from u/${message.author.name}:`, error);
         failed.push({
           author: message.author.name,
@@ -117,15 +162,24 @@ export default async function handler(req, res) {
       }
     }
 
-    logger.info(`DM check complete. Processed: ${processed.length}, Failed: ${failed.length}`);
+    logger.info(`DM check complete. Processed: ${processed.length}, Held: ${held.length}, Quarantined: ${quarantined.length}, Skipped: ${skipped.length}, Failed: ${failed.length}, Comments: ${comments.length}`);
 
     return res.status(200).json({
       success: true,
       processed: processed.length,
+      held: held.length,
+      quarantined: quarantined.length,
+      skipped: skipped.length,
       failed: failed.length,
+      comments: comments.length,
+      budgetExhausted,
       details: {
         processed,
-        failed
+        held,
+        quarantined,
+        skipped,
+        failed,
+        comments
       }
     });
 
@@ -138,4 +192,35 @@ export default async function handler(req, res) {
       message: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
-}
\ No newline at end of file
+}
+
+// Canned reply, no model call. The conversation is kept for review but, being
+// quarantined, never goes back into a prompt.
+async function quarantineMessage(message, messageData, inspection) {
+  const reply = injectionGuard.cannedReply();
+  await redditService.replyToMessage(message, reply);
+
+  const flags = await injectionGuard.recordFlag(messageData.author, inspection);
+
+  await saveConversation({
+    redditUser: messageData.author,
+    messageId: messageData.id,
+    userMessage: messageData.body,
+    aiResponse: reply,
+    aiProvider: null,
+    tokensUsed: 0,
+    status: 'quarantined',
+    metadata: {
+      source: 'dm',
+      subject: messageData.subject,
+      injection: { score: inspection.score, reasons: inspection.reasons, flags }
+    }
+  });
+
+  await logAnalytics('dm_quarantined', {
+    author: messageData.author,
+    score: inspection.score,
+    reasons: inspection.reasons,
+    flags
+  });
+}
@@ -1,5 +1,6 @@
 import { contentFetcher } from '../../src/services/content-fetcher.js';
 import sentientBlogSelectors from '../../src/config/sentient-blog-selectors.js';
+import { contentRetriever } from '../../src/services/content-retriever.js';
 import { getUnusedContent, markContentAsUsed, savePost, updatePost, logAnalytics } from '../../src/config/database.js';
 import { logger } from '../../src/utils/logger.js';
 import { parseBoolean } from '../../src/utils/helpers.js';
@@ -43,9 +44,18 @@ export default async function handler(req, res) {
 
     logger.info(`Successfully fetched ${fetchedContent.length} pieces of content`);
 
+    // Embed the new articles for retrieval; failures here shouldn't fail the fetch
+    let indexing = null;
+    try {
+      indexing = await contentRetriever.indexPending(fetchedContent.length);
+    } catch (error) {
+      logger.error('Content indexing failed:', error.message);
+    }
+
     return res.status(200).json({
       success: true,
       fetched: fetchedContent.length,
+      indexing,
       content: fetchedContent.map(c => ({
         title: c.title,
         url: c.sourceUrl
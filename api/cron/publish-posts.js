@@ -0,0 +1,44 @@
+import { postQueue } from '../../src/services/post-queue.js';
+import { logger } from '../../src/utils/logger.js';
+
+export const config = {
+  maxDuration: 60,
+};
+
+// Publishes scheduled posts that are due (see src/services/post-queue.js)
+export default async function handler(req, res) {
+  // Verify cron request
+  const authHeader = req.headers.authorization;
+  if (authHeader !== `Bearer ${process.env.CRON_SECRET || 'local'}`) {
+    logger.warn('Unauthorized cron request');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    logger.info('Dispatching scheduled posts...');
+
+    const results = await postQueue.dispatch();
+    const count = (status) => results.filter(r => r.status === status).length;
+
+    logger.info(`Scheduled posts: ${count('published')} published, ${count('retrying')} retrying, ${count('failed')} failed, ${count('deferred')} deferred, ${count('blocked')} blocked by policy`);
+
+    return res.status(200).json({
+      success: true,
+      published: count('published'),
+      retrying: count('retrying'),
+      failed: count('failed'),
+      deferred: count('deferred'),
+      blocked: count('blocked'),
+      results
+    });
+
+  } catch (error) {
+    logger.error('Publish cron error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to publish scheduled posts',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
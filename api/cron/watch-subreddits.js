@@ -0,0 +1,53 @@
+import { subredditWatcher } from '../../src/services/subreddit-watcher.js';
+import { logger } from '../../src/utils/logger.js';
+
+export const config = {
+  maxDuration: 60,
+};
+
+// Finds relevant threads in watched subreddits and answers queued ones
+// (see src/services/subreddit-watcher.js)
+export default async function handler(req, res) {
+  // Verify cron request
+  const authHeader = req.headers.authorization;
+  if (authHeader !== `Bearer ${process.env.CRON_SECRET || 'local'}`) {
+    logger.warn('Unauthorized cron request');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  if (!subredditWatcher.config.enabled) {
+    return res.status(200).json({ success: true, skipped: true, message: 'Subreddit watching is disabled' });
+  }
+
+  try {
+    logger.info(`Watching ${subredditWatcher.subreddits.map(s => `r/${s}`).join(', ') || 'no subreddits'}...`);
+
+    const polled = await subredditWatcher.poll();
+    const answered = await subredditWatcher.answerQueued();
+
+    logger.info(`Watch run: ${polled.scanned} scanned, ${polled.candidates.length} new candidates, ${answered.replied.length} replied, ${answered.deferred.length} deferred`);
+
+    return res.status(200).json({
+      success: true,
+      mode: subredditWatcher.config.mode,
+      scanned: polled.scanned,
+      candidates: polled.candidates.length,
+      replied: answered.replied.length,
+      held: answered.held.length,
+      skipped: answered.skipped.length,
+      failed: answered.failed.length,
+      deferred: answered.deferred.length,
+      budgetExhausted: answered.budgetExhausted,
+      details: { candidates: polled.candidates, ...answered }
+    });
+
+  } catch (error) {
+    logger.error('Watch cron error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to watch subreddits',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
@@ -26,9 +26,25 @@ app.get('/', (req, res) => {
       health: '/health',
       chat: 'POST /api/chat',
       stats: 'GET /api/admin/stats',
+      posts: 'GET|POST|PATCH|DELETE /api/admin/posts',
+      content: 'GET|POST /api/admin/content',
+      conversations: 'GET /api/admin/conversations',
+      purge: 'POST /api/admin/purge',
+      budget: 'GET /api/admin/budget',
+      cache: 'GET|DELETE /api/admin/cache',
+      moderation: 'GET|POST /api/admin/moderation',
+      reviews: 'GET|POST /api/admin/reviews',
+      watch: 'GET|POST /api/admin/watch',
+      flaggedUsers: 'GET|DELETE /api/admin/flagged-users',
+      personas: 'GET|POST /api/admin/personas',
+      prompts: 'GET /api/admin/prompts',
       crons: {
         checkDMs: 'GET /api/cron/check-dms',
         autoPost: 'GET /api/cron/auto-post',
+        publishPosts: 'GET /api/cron/publish-posts',
+        replyComments: 'GET /api/cron/reply-comments',
+        answerMentions: 'GET /api/cron/answer-mentions',
+        watchSubreddits: 'GET /api/cron/watch-subreddits',
         fetchContent: 'GET /api/cron/fetch-content'
       }
     }
@@ -133,6 +149,78 @@ cron.schedule('0 */6 * * *', async () => {
   }
 });
 
+// Publish due scheduled posts every 10 minutes
+cron.schedule('*/10 * * * *', async () => {
+  console.log('[cron] 📤 Publishing scheduled posts...');
+  try {
+    const response = await fetch(`http://localhost:${PORT}/api/cron/publish-posts`, {
+      method: 'GET',
+      headers: { 
+        'Authorization': `Bearer ${process.env.CRON_SECRET || 'local'}`,
+        'Content-Type': 'application/json'
+      }
+    });
+    const data = await response.json();
+    console.log('[cron] ✓ Publish run complete:', data);
+  } catch (err) {
+    console.error('[cron] ✗ Publish run error:', err.message);
+  }
+});
+
+// Reply to comments on published posts every 15 minutes
+cron.schedule('*/15 * * * *', async () => {
+  console.log('[cron] 💬 Replying to comments...');
+  try {
+    const response = await fetch(`http://localhost:${PORT}/api/cron/reply-comments`, {
+      method: 'GET',
+      headers: { 
+        'Authorization': `Bearer ${process.env.CRON_SECRET || 'local'}`,
+        'Content-Type': 'application/json'
+      }
+    });
+    const data = await response.json();
+    console.log('[cron] ✓ Comment replies complete:', data);
+  } catch (err) {
+    console.error('[cron] ✗ Comment replies error:', err.message);
+  }
+});
+
+// Answer username mentions every 10 minutes
+cron.schedule('*/10 * * * *', async () => {
+  console.log('[cron] 📣 Answering mentions...');
+  try {
+    const response = await fetch(`http://localhost:${PORT}/api/cron/answer-mentions`, {
+      method: 'GET',
+      headers: { 
+        'Authorization': `Bearer ${process.env.CRON_SECRET || 'local'}`,
+        'Content-Type': 'application/json'
+      }
+    });
+    const data = await response.json();
+    console.log('[cron] ✓ Mentions complete:', data);
+  } catch (err) {
+    console.error('[cron] ✗ Mentions error:', err.message);
+  }
+});
+
+// Watch subreddits for relevant threads every 30 minutes
+cron.schedule('*/30 * * * *', async () => {
+  console.log('[cron] 👀 Watching subreddits...');
+  try {
+    const response = await fetch(`http://localhost:${PORT}/api/cron/watch-subreddits`, {
+      method: 'GET',
+      headers: { 
+        'Authorization': `Bearer ${process.env.CRON_SECRET || 'local'}`,
+        'Content-Type': 'application/json'
+      }
+    });
+    const data = await response.json();
+    console.log('[cron] ✓ Watch run complete:', data);
+  } catch (err) {
+    console.error('[cron] ✗ Watch run error:', err.message);
+  }
+});
+
 // Fetch content every 12 hours
 cron.schedule('0 */12 * * *', async () => {
   console.log('[cron] 📥 Fetching Sentient content...');
@@ -159,9 +247,17 @@ app.listen(PORT, () => {
   console.log('\n📅 Cron Schedule:');
   console.log('   • Check DMs:      Every 5 minutes');
   console.log('   • Auto Post:      Every 6 hours (0 */6 * * *)');
+  console.log('   • Publish Posts:  Every 10 minutes');
+  console.log('   • Reply Comments: Every 15 minutes');
+  console.log('   • Mentions:       Every 10 minutes');
+  console.log('   • Watch Subs:     Every 30 minutes');
   console.log('   • Fetch Content:  Every 12 hours (0 */12 * * *)\n');
   console.log('💡 Manual triggers:');
   console.log(`   curl http://localhost:${PORT}/api/cron/check-dms -H "Authorization: Bearer ${process.env.CRON_SECRET || 'local'}"`);
   console.log(`   curl http://localhost:${PORT}/api/cron/auto-post -H "Authorization: Bearer ${process.env.CRON_SECRET || 'local'}"`);
+  console.log(`   curl http://localhost:${PORT}/api/cron/publish-posts -H "Authorization: Bearer ${process.env.CRON_SECRET || 'local'}"`);
+  console.log(`   curl http://localhost:${PORT}/api/cron/reply-comments -H "Authorization: Bearer ${process.env.CRON_SECRET || 'local'}"`);
+  console.log(`   curl http://localhost:${PORT}/api/cron/answer-mentions -H "Authorization: Bearer ${process.env.CRON_SECRET || 'local'}"`);
+  console.log(`   curl http://localhost:${PORT}/api/cron/watch-subreddits -H "Authorization: Bearer ${process.env.CRON_SECRET || 'local'}"`);
   console.log('\n✅ Bot is ready!\n');
 });
\ No newline at end of file
@@ -0,0 +1,139 @@
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { evaluator } from '../src/services/evaluator.js';
+import { aiConfig, evalConfig } from '../src/config/ai-providers.js';
+
+// Runs the eval dataset through the current prompts and provider, scores the
+// outputs and compares them with the stored baseline.
+// Usage: npm run eval [-- --judge] [--only dm|post] [--save-baseline]
+// Exits with 1 when a metric regressed against the baseline.
+
+function option(name) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] : null;
+}
+
+function formatValue(value) {
+  return value === null || value === undefined ? '-' : String(value);
+}
+
+function toMarkdown(report) {
+  const lines = [
+    `# Eval report ${report.startedAt}`,
+    '',
+    `Provider: ${report.provider}, models: ${report.models.join(', ') || '-'}`,
+    `Dataset: ${report.dataset}`,
+    ''
+  ];
+
+  for (const [suite, summary] of Object.entries(report.summary)) {
+    lines.push(`## ${suite}`, '', '| Metric | Value |', '| --- | --- |');
+    lines.push(`| cases | ${summary.cases} (${summary.errors} errors) |`, `| score | ${summary.score} |`);
+    for (const [name, rate] of Object.entries(summary.checks)) lines.push(`| check: ${name} | ${rate} |`);
+    for (const [name, score] of Object.entries(summary.judge)) lines.push(`| judge: ${name} | ${score} |`);
+    if (summary.signOffRate !== undefined) lines.push(`| sign-off rate | ${summary.signOffRate} (expected ${summary.expectedSignOffRate}) |`);
+    if (summary.avgChars !== undefined) lines.push(`| avg chars | ${summary.avgChars} |`);
+    if (summary.avgWords !== undefined) lines.push(`| avg words | ${summary.avgWords} |`);
+    lines.push('');
+  }
+
+  if (report.comparison) {
+    lines.push('## Compared with baseline', '', '| Metric | Baseline | Current | Delta | Status |', '| --- | --- | --- | --- | --- |');
+    for (const row of report.comparison.rows) {
+      lines.push(`| ${row.metric} | ${formatValue(row.baseline)} | ${formatValue(row.current)} | ${formatValue(row.delta)} | ${row.status} |`);
+    }
+    lines.push('');
+  }
+
+  lines.push('## Failed checks', '');
+  for (const [suite, results] of Object.entries(report.results)) {
+    for (const result of results) {
+      const failed = result.error ? [`error: ${result.error}`] : result.checks.filter(c => !c.pass).map(c => `${c.name}${c.detail ? ` (${c.detail})` : ''}`);
+      if (failed.length > 0) lines.push(`- ${suite}/${result.id}: ${failed.join('; ')}`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+async function runEval() {
+  console.log('\n🧪 DobbyAI - Offline Evaluation\n');
+  console.log('═'.repeat(70), '\n');
+
+  const datasetPath = option('--dataset') || evalConfig.dataset;
+  const baselinePath = option('--baseline') || evalConfig.baseline;
+  const only = option('--only');
+  const judge = process.argv.includes('--judge');
+  const saveBaseline = process.argv.includes('--save-baseline');
+
+  const dataset = JSON.parse(fs.readFileSync(datasetPath, 'utf8'));
+  console.log(`Dataset:  ${datasetPath} (${dataset.dm?.length || 0} DMs, ${dataset.post?.length || 0} posts)`);
+  console.log(`Provider: ${aiConfig.defaultProvider}`);
+  console.log(`Judge:    ${judge ? 'on' : 'off (pass --judge to score rubrics)'}\n`);
+
+  const startedAt = new Date().toISOString();
+  const results = await evaluator.run(dataset, {
+    judge,
+    only,
+    onResult: (suite, result) => {
+      const mark = result.error ? '❌' : result.checks.every(c => c.pass) ? '✅' : '⚠️ ';
+      console.log(`   ${mark} ${suite}/${result.id}: ${result.error || `score ${Math.round(result.score * 100)}%`}`);
+    }
+  });
+
+  const summary = evaluator.summarize(results);
+  const baseline = fs.existsSync(baselinePath) ? JSON.parse(fs.readFileSync(baselinePath, 'utf8')) : null;
+  const comparison = baseline ? evaluator.compare(summary, baseline.summary) : null;
+
+  const all = [...results.dm, ...results.post].filter(r => !r.error);
+  const report = {
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    dataset: datasetPath,
+    provider: aiConfig.defaultProvider,
+    models: [...new Set(all.map(r => r.model))],
+    personas: [...new Map(all.map(r => [`${r.persona.id}@${r.persona.version}`, r.persona])).values()],
+    prompts: [...new Map(all.map(r => [`${r.prompt.id}@${r.prompt.version}`, r.prompt])).values()],
+    judge,
+    summary,
+    comparison,
+    results
+  };
+
+  fs.mkdirSync(evalConfig.reportDir, { recursive: true });
+  const name = `eval-${startedAt.replace(/[:.]/g, '-')}`;
+  fs.writeFileSync(path.join(evalConfig.reportDir, `${name}.json`), JSON.stringify(report, null, 2));
+  fs.writeFileSync(path.join(evalConfig.reportDir, `${name}.md`), toMarkdown(report));
+
+  console.log('\n' + '═'.repeat(70), '\n');
+  for (const [suite, s] of Object.entries(summary)) {
+    console.log(`${suite}: score ${s.score}, ${s.cases} cases, ${s.errors} errors`);
+  }
+  console.log(`\n📄 Report: ${path.join(evalConfig.reportDir, name)}.md`);
+
+  if (saveBaseline) {
+    fs.writeFileSync(baselinePath, JSON.stringify({ savedAt: startedAt, provider: report.provider, models: report.models, personas: report.personas, prompts: report.prompts, summary }, null, 2) + '\n');
+    console.log(`💾 Saved as baseline: ${baselinePath}\n`);
+    return;
+  }
+
+  if (!comparison) {
+    console.log(`\nNo baseline at ${baselinePath}; run with --save-baseline to create one\n`);
+    return;
+  }
+
+  if (comparison.improvements.length > 0) {
+    console.log(`\n📈 Improved: ${comparison.improvements.join(', ')}`);
+  }
+  if (comparison.regressions.length > 0) {
+    console.error(`\n❌ Regressed against baseline: ${comparison.regressions.join(', ')}\n`);
+    process.exit(1);
+  }
+  console.log('\n✅ No regressions against baseline\n');
+}
+
+runEval().catch(error => {
+  console.error('\n❌ Eval failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,54 @@
+import 'dotenv/config';
+import { contentRetriever } from '../src/services/content-retriever.js';
+import { ragConfig } from '../src/config/ai-providers.js';
+
+// Embeds every cached article that isn't in the vector index yet.
+// Usage: npm run index:content [-- --batch 20]
+
+async function indexContent() {
+  console.log('\n🔎 DobbyAI - Content Indexing\n');
+  console.log('═'.repeat(70), '\n');
+
+  if (!contentRetriever.isEnabled()) {
+    console.error('❌ Retrieval is disabled (ENABLE_RAG=false or no embedding model for the provider)\n');
+    process.exit(1);
+  }
+
+  if (ragConfig.vectorStore !== 'pgvector') {
+    console.error('❌ Backfill needs the pgvector store (set POSTGRES_URL). The in-memory index builds itself on first use.\n');
+    process.exit(1);
+  }
+
+  console.log(`Provider: ${ragConfig.embeddingProvider}`);
+  console.log(`Model:    ${contentRetriever.model}\n`);
+
+  const batchIndex = process.argv.indexOf('--batch');
+  const batchSize = batchIndex !== -1 ? parseInt(process.argv[batchIndex + 1]) || 20 : 20;
+
+  let articles = 0;
+  let chunks = 0;
+
+  // Keep going until a batch comes back empty
+  while (true) {
+    const result = await contentRetriever.indexPending(batchSize);
+    if (result.indexed === 0) break;
+
+    articles += result.indexed;
+    chunks += result.chunks;
+    console.log(`   ✓ ${articles} articles, ${chunks} chunks so far`);
+
+    // Articles that failed to embed come back in the next batch
+    if (result.chunks === 0) {
+      console.error('\n❌ Nothing in the last batch could be indexed, stopping\n');
+      process.exit(1);
+    }
+  }
+
+  console.log('\n' + '═'.repeat(70));
+  console.log(`\n✅ Indexed ${articles} articles into ${chunks} chunks\n`);
+}
+
+indexContent().catch(error => {
+  console.error('\n❌ Indexing failed:', error);
+  process.exit(1);
+});
@@ -1,13 +1,17 @@
-import { validateEnvVars, parseBoolean } from '../utils/helpers.js';
+import fs from 'fs';
+import { validateEnvVars, parseBoolean, hashString } from '../utils/helpers.js';
+import { logger } from '../utils/logger.js';
+import { countTokens } from '../utils/tokenizer.js';
 
 // Validate AI provider environment variables
 export function validateAIConfig() {
   const hasOpenAI = process.env.OPENAI_API_KEYS;
   const hasAnthropic = process.env.ANTHROPIC_API_KEYS;
   const hasSentient = process.env.SENTIENT_API_KEYS;
+  const hasMock = process.env.DEFAULT_AI_PROVIDER === 'mock';
   
-  if (!hasOpenAI && !hasAnthropic && !hasSentient) {
-    throw new Error('At least one AI provider (OpenAI, Anthropic, or Sentient) must be configured');
+  if (!hasOpenAI && !hasAnthropic && !hasSentient && !hasMock) {
+    throw new Error('At least one AI provider (OpenAI, Anthropic, Sentient, or the offline mock) must be configured');
   }
 }
 
@@ -17,7 +21,7 @@ export const openAIConfig = {
   
   models: {
     default: process.env.AI_MODEL || 'gpt-4-turbo-preview',
-    chat: 'gpt-4-turbo-preview',
+    chat: process.env.AI_MODEL || 'gpt-4-turbo-preview',
     fast: 'gpt-3.5-turbo',
     creative: 'gpt-4-turbo-preview',
   },
@@ -85,7 +89,7 @@ export const sentientConfig = {
   models: {
     default: 'accounts/sentientfoundation-serverless/models/dobby-mini-unhinged-plus-llama-3-1-8b',
     chat: 'accounts/sentientfoundation-serverless/models/dobby-mini-unhinged-plus-llama-3-1-8b',
-    fast: 'accounts/sentientfoundation/models/dobby-unhinged-llama-3-3-70b-new',
+    fast: 'accounts/sentientfoundation-serverless/models/dobby-mini-unhinged-plus-llama-3-1-8b',
     creative: 'accounts/sentientfoundation/models/dobby-unhinged-llama-3-3-70b-new',
   },
   
@@ -119,14 +123,20 @@ export const aiConfig = {
   // Feature flags
   enableKeyRotation: parseBoolean(process.env.ENABLE_KEY_ROTATION, true),
   enableFallback: parseBoolean(process.env.ENABLE_PROVIDER_FALLBACK, true),
+  enableTools: parseBoolean(process.env.ENABLE_AI_TOOLS, true),
+  
+  // Tool calling (see src/core/tool-registry.js)
+  maxToolSteps: parseInt(process.env.AI_MAX_TOOL_STEPS) || 4,
   
   // Response configuration
   maxResponseLength: parseInt(process.env.MAX_RESPONSE_LENGTH) || 500,
   minResponseLength: 20,
   
-  // Context management
+  // Context management (see src/core/context-builder.js)
   maxConversationHistory: 5,
-  maxContextTokens: 3000,
+  maxContextTokens: parseInt(process.env.AI_MAX_CONTEXT_TOKENS) || 3000, // cap on conversation history
+  contextStrategy: process.env.AI_CONTEXT_STRATEGY || 'trim', // 'trim' or 'summarize' dropped history
+  historySummaryTokens: 200,
   
   // Quality settings
   temperatureRange: {
@@ -137,7 +147,6 @@ export const aiConfig = {
   
   // Token management
   tokenBuffer: 100, // Reserve tokens for formatting
-  estimatedTokensPerWord: 1.3,
 };
 
 // Provider capabilities
@@ -146,7 +155,9 @@ export const providerCapabilities = {
     supportsFunctions: true,
     supportsVision: true,
     supportsStreaming: true,
+    supportsJsonMode: true,
     maxContextWindow: 128000,
+    tokenizer: { encoding: 'cl100k_base', multiplier: 1 },
     costPerToken: {
       input: 0.01 / 1000,
       output: 0.03 / 1000,
@@ -157,7 +168,10 @@ export const providerCapabilities = {
     supportsFunctions: true,
     supportsVision: true,
     supportsStreaming: true,
+    supportsJsonMode: false, // no JSON mode; the prompt asks for JSON instead
     maxContextWindow: 200000,
+    // Claude's tokenizer isn't public; cl100k with a safety margin
+    tokenizer: { encoding: 'cl100k_base', multiplier: 1.15 },
     costPerToken: {
       input: 0.003 / 1000,
       output: 0.015 / 1000,
@@ -165,49 +179,185 @@ export const providerCapabilities = {
   },
   
   sentient: {
-    supportsFunctions: true,
+    supportsFunctions: false, // Dobby models get prompt-based tool use instead
     supportsVision: false,
     supportsStreaming: true,
+    supportsJsonMode: true, // Fireworks' response_format
     maxContextWindow: 8192,
+    // Llama 3's vocabulary extends cl100k, so counts are close but not exact
+    tokenizer: { encoding: 'cl100k_base', multiplier: 1.05 },
     costPerToken: {
       input: 0.0002 / 1000,  // Fireworks pricing
       output: 0.0006 / 1000,
     },
   },
+  
+  // Offline mock provider (src/core/mock-ai-client.js)
+  mock: {
+    supportsFunctions: false,
+    supportsVision: false,
+    supportsStreaming: true,
+    supportsJsonMode: true,
+    maxContextWindow: 8192,
+    tokenizer: { encoding: 'cl100k_base', multiplier: 1 },
+    costPerToken: {
+      input: 0,
+      output: 0,
+    },
+  },
+};
+
+// Per-model pricing where it differs from the provider default above
+export const modelCostPerToken = {
+  'gpt-3.5-turbo': { input: 0.0005 / 1000, output: 0.0015 / 1000 },
+  'claude-3-haiku-20240307': { input: 0.00025 / 1000, output: 0.00125 / 1000 },
+  'claude-3-opus-20240229': { input: 0.015 / 1000, output: 0.075 / 1000 },
+  'accounts/sentientfoundation/models/dobby-unhinged-llama-3-3-70b-new': { input: 0.0009 / 1000, output: 0.0009 / 1000 },
+  'text-embedding-3-small': { input: 0.00002 / 1000, output: 0 },
+  'nomic-ai/nomic-embed-text-v1.5': { input: 0.000008 / 1000, output: 0 },
 };
 
-// Model selection based on use case
-export const modelSelection = {
+const MOCK_MODEL = 'dobby-mock-1';
+
+// Model routing by use case. `provider` is the preferred provider for the use
+// case (null: the default provider); `models` maps each provider to a model,
+// or to weighted variants for a gradual rollout:
+//   [{ model: 'gpt-4o', weight: 10 }, { model: 'gpt-4-turbo-preview', weight: 90 }]
+// AI_MODEL_ROUTING overrides entries per environment (inline JSON or a path
+// to a JSON file in the same shape).
+const defaultModelSelection = {
   chat: {
-    openai: openAIConfig.models.chat,
-    anthropic: anthropicConfig.models.chat,
+    provider: null,
+    models: {
+      openai: openAIConfig.models.chat,
+      anthropic: anthropicConfig.models.chat,
+      sentient: sentientConfig.models.chat,
+      mock: MOCK_MODEL,
+    },
   },
   
   postGeneration: {
-    openai: openAIConfig.models.creative,
-    anthropic: anthropicConfig.models.creative,
+    provider: null,
+    models: {
+      openai: openAIConfig.models.creative,
+      anthropic: anthropicConfig.models.creative,
+      sentient: sentientConfig.models.creative,
+      mock: MOCK_MODEL,
+    },
   },
   
   quickResponse: {
-    openai: openAIConfig.models.fast,
-    anthropic: anthropicConfig.models.fast,
+    provider: null,
+    models: {
+      openai: openAIConfig.models.fast,
+      anthropic: anthropicConfig.models.fast,
+      sentient: sentientConfig.models.fast,
+      mock: MOCK_MODEL,
+    },
   },
   
   longForm: {
-    openai: openAIConfig.models.creative,
-    anthropic: anthropicConfig.models.default,
+    provider: null,
+    models: {
+      openai: openAIConfig.models.creative,
+      anthropic: anthropicConfig.models.default,
+      sentient: sentientConfig.models.creative,
+      mock: MOCK_MODEL,
+    },
+  },
+  
+  summarization: {
+    provider: null,
+    models: {
+      openai: openAIConfig.models.fast,
+      anthropic: anthropicConfig.models.fast,
+      sentient: sentientConfig.models.default,
+      mock: MOCK_MODEL,
+    },
+  },
+  
+  // Safety judge and rewrites (see src/services/content-moderator.js)
+  moderation: {
+    provider: process.env.MODERATION_PROVIDER || null,
+    models: {
+      openai: openAIConfig.models.fast,
+      anthropic: anthropicConfig.models.fast,
+      sentient: sentientConfig.models.default,
+      mock: MOCK_MODEL,
+    },
   },
 };
 
+function loadRoutingOverrides(value) {
+  if (!value) return {};
+  
+  try {
+    const json = value.trim().startsWith('{') ? value : fs.readFileSync(value, 'utf8');
+    return JSON.parse(json);
+  } catch (error) {
+    logger.error(`Ignoring invalid AI_MODEL_ROUTING: ${error.message}`);
+    return {};
+  }
+}
+
+function buildModelSelection(base, overrides) {
+  const table = { ...base };
+  
+  for (const [useCase, override] of Object.entries(overrides)) {
+    const current = table[useCase] || { provider: null, models: {} };
+    table[useCase] = {
+      provider: override.provider !== undefined ? override.provider : current.provider,
+      models: { ...current.models, ...override.models },
+    };
+  }
+  
+  return table;
+}
+
+export const modelSelection = buildModelSelection(
+  defaultModelSelection,
+  loadRoutingOverrides(process.env.AI_MODEL_ROUTING)
+);
+
+// Preferred provider for a use case, or null to use the default provider
+export function getProviderForUseCase(useCase) {
+  return modelSelection[useCase]?.provider || null;
+}
+
+// Pick one of several weighted variants. With a routing key (e.g. a username)
+// the same key always gets the same variant, so a user doesn't flip between
+// models mid-conversation during a rollout.
+function pickWeighted(variants, routingKey = null) {
+  const weighted = variants.filter(v => v.model && (v.weight ?? 1) > 0);
+  if (weighted.length === 0) return null;
+  
+  const total = weighted.reduce((sum, v) => sum + (v.weight ?? 1), 0);
+  const roll = routingKey !== null
+    ? (parseInt(hashString(String(routingKey)), 36) % 10000) / 10000 * total
+    : Math.random() * total;
+  
+  let cumulative = 0;
+  for (const variant of weighted) {
+    cumulative += variant.weight ?? 1;
+    if (roll < cumulative) return variant.model;
+  }
+  return weighted[weighted.length - 1].model;
+}
+
 // Get model for specific use case
-export function getModelForUseCase(useCase, provider = null) {
+export function getModelForUseCase(useCase, provider = null, routingKey = null) {
   const targetProvider = provider || aiConfig.defaultProvider;
+  const route = modelSelection[useCase]?.models[targetProvider];
   
-  if (!modelSelection[useCase]) {
+  if (!route) {
     return getDefaultModel(targetProvider);
   }
   
-  return modelSelection[useCase][targetProvider] || getDefaultModel(targetProvider);
+  if (Array.isArray(route)) {
+    return pickWeighted(route, routingKey) || getDefaultModel(targetProvider);
+  }
+  
+  return route;
 }
 
 // Get default model for provider
@@ -216,15 +366,28 @@ export function getDefaultModel(provider) {
     return openAIConfig.models.default;
   } else if (provider === 'anthropic') {
     return anthropicConfig.models.default;
+  } else if (provider === 'sentient') {
+    return sentientConfig.models.default;
+  } else if (provider === 'mock') {
+    return MOCK_MODEL;
   }
   
   return openAIConfig.models.default;
 }
 
-// Estimate token count
-export function estimateTokenCount(text) {
-  const words = text.split(/\s+/).length;
-  return Math.ceil(words * aiConfig.estimatedTokensPerWord);
+// Tokenizer for a provider's model. Newer OpenAI models use o200k.
+export function getTokenizer(provider, model = null) {
+  if (provider === 'openai' && /^(gpt-4o|o1|o3)/.test(model || '')) {
+    return { encoding: 'o200k_base', multiplier: 1 };
+  }
+  
+  return providerCapabilities[provider]?.tokenizer || { encoding: 'cl100k_base', multiplier: 1 };
+}
+
+// Count tokens with the provider's tokenizer (cl100k when no provider is given)
+export function estimateTokenCount(text, provider = null, model = null) {
+  const { encoding, multiplier } = getTokenizer(provider, model);
+  return Math.ceil(countTokens(text, encoding) * multiplier);
 }
 
 // Check if response is within limits
@@ -234,30 +397,48 @@ export function isWithinTokenLimit(text, maxTokens = aiConfig.maxResponseLength)
 }
 
 // Calculate approximate cost
-export function estimateCost(provider, inputTokens, outputTokens) {
+export function estimateCost(provider, inputTokens, outputTokens, model = null) {
   const capabilities = providerCapabilities[provider];
   if (!capabilities) return 0;
   
-  const inputCost = inputTokens * capabilities.costPerToken.input;
-  const outputCost = outputTokens * capabilities.costPerToken.output;
+  const costPerToken = modelCostPerToken[model] || capabilities.costPerToken;
+  const inputCost = inputTokens * costPerToken.input;
+  const outputCost = outputTokens * costPerToken.output;
   
   return inputCost + outputCost;
 }
 
-// Prompt templates
-export const promptTemplates = {
-  system: {
-    default: 'You are DobbyAI, a nerdy AI companion.',
-    concise: 'You are DobbyAI. Be concise and helpful.',
-    creative: 'You are DobbyAI. Be creative and engaging.',
-    technical: 'You are DobbyAI. Provide technical and detailed responses.',
-  },
+// Versioned prompt templates and their experiments (see src/core/prompt-registry.js)
+export const promptConfig = {
+  // .json, .yaml and .yml files; defaults to src/prompts
+  directory: process.env.PROMPT_DIR || null,
+  
+  // Off: every template uses its default version
+  experimentsEnabled: parseBoolean(process.env.ENABLE_PROMPT_EXPERIMENTS, true),
   
-  user: {
-    chat: (message) => message,
-    summarize: (text) => `Please summarize the following text:\n\n${text}`,
-    expand: (text) => `Please expand on the following:\n\n${text}`,
-    explain: (topic) => `Please explain ${topic} in simple terms.`,
+  // "post:2,chat:1" pins templates to a version, overriding the default and any experiment
+  pinnedVersions: parseLimitMap(process.env.PROMPT_VERSIONS),
+};
+
+// Structured post output (see PostGenerator.generatePost)
+export const postOutputConfig = {
+  // Follow-up requests that show the model what was wrong with its JSON
+  // before generation fails
+  maxRepairAttempts: parseInt(process.env.POST_REPAIR_ATTEMPTS ?? '2') || 0,
+  
+  // JSON escaping makes the output longer than plain text
+  maxTokens: parseInt(process.env.POST_MAX_TOKENS) || 1200,
+  
+  limits: {
+    minTitleChars: 10,
+    maxTitleChars: 300,
+    minBodyChars: 100,
+    maxBodyChars: 40000,
+    maxFlairChars: 64, // Reddit's limit for flair text
+    maxTags: 5,
+    maxTagChars: 30,
+    maxTldrChars: 300,
+    maxQuestionChars: 300,
   },
 };
 
@@ -271,74 +452,396 @@ export const contentSafety = {
     'explicit content',
   ],
   
+  // Refusals: fine in a DM, but a post that contains one came out broken
   warningPhrases: [
     'I cannot provide',
     'I\'m not able to',
     'I cannot assist with',
   ],
+  
+  // Regex rules checked before the LLM judge (case-insensitive)
+  rules: [
+    {
+      id: 'profanity',
+      pattern: '\\b(fuck\\w*|shit\\w*|bullshit|asshole|bitch\\w*|dick(head)?s?|cunt\\w*)\\b',
+      severity: 'medium',
+      reason: 'Profanity',
+    },
+    {
+      id: 'self-harm',
+      pattern: '\\b(kys|kill (yo)?urself|go die)\\b',
+      severity: 'high',
+      reason: 'Tells someone to hurt themselves',
+    },
+    {
+      id: 'financial-promise',
+      pattern: '\\b(guaranteed (returns?|profits?|gains)|risk[- ]free (returns?|profits?)|can\'t lose|\\d+x your (money|investment))\\b',
+      severity: 'medium',
+      reason: 'Promises financial returns',
+    },
+    {
+      id: 'contact-details',
+      pattern: '\\b[\\w.+-]+@[\\w-]+\\.[\\w.]+\\b|(\\+\\d{1,3}[ .-]?)?\\(?\\b\\d{3}\\)?[ .-]?\\d{3}[ .-]\\d{4}\\b',
+      severity: 'medium',
+      reason: 'Contains an email address or phone number',
+    },
+  ],
+  
+  // What each severity leads to, per kind of output: 'allow', 'rewrite' or 'hold'
+  actions: {
+    dm: { low: 'allow', medium: 'rewrite', high: 'hold' },
+    comment: { low: 'allow', medium: 'rewrite', high: 'hold' },
+    post: { low: 'hold', medium: 'rewrite', high: 'hold' },
+  },
+  
+  // Optional second opinion from a model, run when the rules found nothing severe
+  judge: {
+    enabled: parseBoolean(process.env.ENABLE_MODERATION_JUDGE, false),
+    useCase: 'moderation',
+    // Public output is held when the judge can't give a verdict (budget,
+    // open circuit, unreadable reply); DMs go out on the rules alone
+    holdOnFailure: ['post', 'comment'],
+  },
 };
 
-// Provider health tracking
-export class ProviderHealth {
-  constructor() {
-    this.health = {
-      openai: { errors: 0, successes: 0, lastError: null },
-      anthropic: { errors: 0, successes: 0, lastError: null },
-    };
-  }
+// Prompt-injection screening for incoming DMs (see src/services/injection-guard.js)
+export const inboundSafety = {
+  enabled: parseBoolean(process.env.ENABLE_INJECTION_GUARD, true),
+  
+  // Heuristic patterns (case-insensitive); weights combine as independent
+  // evidence, and a message scoring `threshold` or more is quarantined
+  patterns: [
+    { id: 'ignore-instructions', weight: 0.9, pattern: '\\b(ignore|disregard|forget|override)\\b.{0,30}\\b(previous|prior|above|earlier|all|your|system)\\b.{0,20}\\b(instructions?|prompts?|rules|guidelines|directives)\\b' },
+    { id: 'reveal-prompt', weight: 0.5, pattern: '\\b(reveal|show|print|repeat|tell me|what is|what are)\\b.{0,20}\\b(your\\s+(system\\s+)?|system\\s+)(prompt|instructions|initial message)' },
+    { id: 'jailbreak', weight: 0.8, pattern: '\\b(jailbreak|developer mode|dan mode|do anything now|no restrictions|unfiltered mode)\\b' },
+    { id: 'role-markers', weight: 0.8, pattern: '(^|\\n)\\s*(system|assistant|developer)\\s*:|<\\|im_start\\|>|\\[/?INST\\]|<</?SYS>>|</?tool_call>|</?tool_result' },
+    { id: 'new-persona', weight: 0.4, pattern: '\\b(you are now|from now on,? you|pretend (to be|you are)|act as|roleplay as)\\b' },
+    { id: 'new-instructions', weight: 0.5, pattern: '\\b(new|updated|real) (instructions|rules|system prompt)\\b' },
+    { id: 'account-actions', weight: 0.5, pattern: '\\b(post|submit|publish|comment|upvote|downvote|send)\\b.{0,30}\\b(on|to) (reddit|r/\\w+|your (profile|account))' },
+  ],
+  threshold: parseFloat(process.env.INJECTION_THRESHOLD) || 0.7,
+  
+  // Second opinion from a model for messages the patterns found suspicious
+  // but not conclusive (score >= modelCheckFrom)
+  modelCheck: {
+    enabled: parseBoolean(process.env.ENABLE_INJECTION_MODEL_CHECK, false),
+    useCase: 'moderation',
+    modelCheckFrom: 0.3,
+  },
   
-  recordSuccess(provider) {
-    if (this.health[provider]) {
-      this.health[provider].successes++;
-    }
-  }
+  cannedReply: "Nice try! 🤓 I'm always up for chatting about AI, Sentient and open AGI, but I can't follow instructions that change how I work. What would you like to know?",
   
-  recordError(provider, error) {
-    if (this.health[provider]) {
-      this.health[provider].errors++;
-      this.health[provider].lastError = {
-        message: error.message,
-        timestamp: new Date().toISOString(),
-      };
-    }
-  }
+  // Users with `rateLimitAfter` flags get one reply per `rateLimitMinutes`;
+  // from `ignoreAfter` flags on they get none. Flags older than
+  // `forgetAfterDays` no longer count.
+  offenders: {
+    rateLimitAfter: parseInt(process.env.INJECTION_RATE_LIMIT_AFTER) || 2,
+    rateLimitMinutes: parseInt(process.env.INJECTION_RATE_LIMIT_MINUTES) || 60,
+    ignoreAfter: parseInt(process.env.INJECTION_IGNORE_AFTER) || 5,
+    forgetAfterDays: parseInt(process.env.INJECTION_FORGET_AFTER_DAYS) || 30,
+  },
+};
+
+// Circuit breaker for providers and individual keys (see src/core/circuit-breaker.js)
+export const circuitBreakerConfig = {
+  failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD) || 3,
+  cooldownMs: parseInt(process.env.CIRCUIT_COOLDOWN_MS) || 60000,
+  syncIntervalMs: parseInt(process.env.CIRCUIT_SYNC_INTERVAL_MS) || 15000,
+  persist: parseBoolean(process.env.CIRCUIT_BREAKER_PERSIST, Boolean(process.env.POSTGRES_URL)),
+};
+
+// Per-key rate-limit tracking (see src/core/key-pool.js)
+export const keyPoolConfig = {
+  authFailuresBeforeDisable: parseInt(process.env.KEY_AUTH_FAILURES_BEFORE_DISABLE) || 3,
+  rateLimitCooldownMs: parseInt(process.env.KEY_RATE_LIMIT_COOLDOWN_MS) || 30000, // when a 429 has no reset headers
+  syncIntervalMs: parseInt(process.env.CIRCUIT_SYNC_INTERVAL_MS) || 15000,
+  persist: parseBoolean(process.env.CIRCUIT_BREAKER_PERSIST, Boolean(process.env.POSTGRES_URL)),
+};
+
+// "openai:5,anthropic:2.5" -> { openai: 5, anthropic: 2.5 }
+function parseLimitMap(value = '') {
+  return Object.fromEntries(
+    value.split(',').map(s => s.trim()).filter(Boolean)
+      .map(entry => entry.split(':'))
+      .filter(([name, limit]) => name && !Number.isNaN(parseFloat(limit)))
+      .map(([name, limit]) => [name.trim(), parseFloat(limit)])
+  );
+}
+
+// Token and dollar budgets (see src/core/budget.js). A limit of 0 means no cap.
+export const budgetConfig = {
+  dailyLimitUsd: parseFloat(process.env.AI_BUDGET_DAILY_USD) || 0,
+  monthlyLimitUsd: parseFloat(process.env.AI_BUDGET_MONTHLY_USD) || 0,
+  dailyTokenLimit: parseInt(process.env.AI_BUDGET_DAILY_TOKENS) || 0,
+  monthlyTokenLimit: parseInt(process.env.AI_BUDGET_MONTHLY_TOKENS) || 0,
+  providerDailyLimitsUsd: parseLimitMap(process.env.AI_BUDGET_PROVIDER_DAILY_USD),
+  featureDailyLimitsUsd: parseLimitMap(process.env.AI_BUDGET_FEATURE_DAILY_USD),
+  
+  // Switch to the provider's fast model once any cap is this far used
+  downgradeAt: parseFloat(process.env.AI_BUDGET_DOWNGRADE_AT) || 0.8,
+  
+  // Essential features keep running (downgraded) past a cap, up to this multiple of it
+  essentialFeatures: (process.env.AI_BUDGET_ESSENTIAL_FEATURES || 'dm').split(',').filter(Boolean),
+  hardLimitMultiplier: parseFloat(process.env.AI_BUDGET_HARD_LIMIT_MULTIPLIER) || 1.25,
+  
+  features: ['dm', 'chat', 'post', 'summary', 'comment', 'rag', 'cache', 'moderation', 'eval', 'other'],
+  syncIntervalMs: parseInt(process.env.AI_BUDGET_SYNC_INTERVAL_MS) || 30000,
+  persist: parseBoolean(process.env.AI_BUDGET_PERSIST, Boolean(process.env.POSTGRES_URL)),
+};
+
+function defaultEmbeddingProvider() {
+  if (process.env.DEFAULT_AI_PROVIDER === 'mock') return 'mock';
+  if (process.env.OPENAI_API_KEYS) return 'openai';
+  if (process.env.SENTIENT_API_KEYS) return 'sentient';
+  return null; // Anthropic has no embeddings API
+}
+
+// Retrieval over content_cache (see src/services/content-retriever.js)
+export const ragConfig = {
+  enabled: parseBoolean(process.env.ENABLE_RAG, true),
+  
+  // Vectors from different models aren't comparable, so there is no fallback provider
+  embeddingProvider: process.env.AI_EMBEDDING_PROVIDER || defaultEmbeddingProvider(),
+  embeddingModels: {
+    openai: process.env.AI_EMBEDDING_MODEL || 'text-embedding-3-small',
+    sentient: process.env.AI_EMBEDDING_MODEL || 'nomic-ai/nomic-embed-text-v1.5',
+    mock: 'dobby-mock-embed-1',
+  },
   
-  getHealthScore(provider) {
-    const health = this.health[provider];
-    if (!health) return 0;
-    
-    const total = health.successes + health.errors;
-    if (total === 0) return 1;
-    
-    return health.successes / total;
-  }
+  // 'pgvector' stores chunks in Postgres; 'memory' embeds recent content in-process
+  vectorStore: process.env.RAG_VECTOR_STORE || (process.env.POSTGRES_URL ? 'pgvector' : 'memory'),
+  memoryIndexLimit: 200, // content_cache rows the in-process index covers
   
-  getPreferredProvider() {
-    const openaiScore = this.getHealthScore('openai');
-    const anthropicScore = this.getHealthScore('anthropic');
-    
-    if (openaiScore > anthropicScore) return 'openai';
-    if (anthropicScore > openaiScore) return 'anthropic';
-    
-    return aiConfig.defaultProvider;
-  }
+  chunkTokens: 300,
+  chunkOverlapTokens: 50,
+  topK: parseInt(process.env.RAG_TOP_K) || 4,
+  minScore: parseFloat(process.env.RAG_MIN_SCORE) || 0.3,
+  maxPassagesPerSource: 2,
+};
+
+function defaultCacheStore() {
+  if (process.env.POSTGRES_URL) return 'postgres';
+  return 'memory';
+}
+
+// Response cache for repeated prompts (see src/core/response-cache.js)
+export const cacheConfig = {
+  enabled: parseBoolean(process.env.ENABLE_AI_CACHE, true),
+  
+  // 'memory', 'postgres' or 'file' (AI_CACHE_FILE, default in the OS temp dir)
+  store: process.env.AI_CACHE_STORE || defaultCacheStore(),
+  file: process.env.AI_CACHE_FILE || null,
+  maxEntries: parseInt(process.env.AI_CACHE_MAX_ENTRIES) || 1000,
+  
+  // Seconds a cached answer stays valid per use case; 0 (or missing) disables caching
+  ttlSeconds: {
+    chat: 6 * 60 * 60,
+    quickResponse: 24 * 60 * 60,
+    summarization: 24 * 60 * 60,
+    postGeneration: 0,
+    longForm: 0,
+    ...parseLimitMap(process.env.AI_CACHE_TTL),
+  },
+  
+  // Temperatures within the same bucket share cache entries
+  temperatureBucket: 0.2,
+  
+  // Near-duplicate prompts match when their embeddings are at least this similar
+  semantic: {
+    enabled: parseBoolean(process.env.AI_CACHE_SEMANTIC, true) && Boolean(ragConfig.embeddingProvider),
+    provider: ragConfig.embeddingProvider,
+    model: ragConfig.embeddingModels[ragConfig.embeddingProvider] || null,
+    threshold: parseFloat(process.env.AI_CACHE_SIMILARITY) || 0.92,
+    maxCandidates: 200,
+  },
+};
+
+// "MachineLearning:dobby-scholar,dm:dobby" -> { MachineLearning: 'dobby-scholar', dm: 'dobby' }
+function parseNameMap(value = '', lowercaseKeys = false) {
+  return Object.fromEntries(
+    value.split(',').map(s => s.trim()).filter(Boolean)
+      .map(entry => entry.split(':').map(part => part.trim()))
+      .filter(([key, name]) => key && name)
+      .map(([key, name]) => [lowercaseKeys ? key.toLowerCase() : key, name])
+  );
+}
+
+// Named personas and where each one speaks (see src/core/persona-registry.js)
+export const personaConfig = {
+  // .json, .yaml and .yml files; defaults to src/personas
+  directory: process.env.PERSONA_DIR || null,
   
-  getStats() {
-    return {
-      openai: {
-        ...this.health.openai,
-        healthScore: this.getHealthScore('openai'),
+  // Versions saved to the personas table override files with the same id
+  useDatabase: parseBoolean(process.env.PERSONA_FROM_DB, Boolean(process.env.POSTGRES_URL)),
+  refreshMs: parseInt(process.env.PERSONA_REFRESH_MS) || 5 * 60 * 1000,
+  
+  defaultPersona: process.env.DEFAULT_PERSONA || 'dobby',
+  
+  // Channels: 'dm', 'chat' (the chat API), 'profile' (posts on Dobby's profile),
+  // 'post' (posts in subreddits), 'comment' and 'mention'
+  channels: parseNameMap(process.env.PERSONA_CHANNELS),
+  
+  // Anything posted in one of these subreddits; takes precedence over the channel
+  subreddits: parseNameMap(process.env.PERSONA_SUBREDDITS, true),
+};
+
+// Offline evaluation of DM replies and posts (see src/services/evaluator.js)
+export const evalConfig = {
+  dataset: process.env.EVAL_DATASET || 'evals/dataset.json',
+  baseline: process.env.EVAL_BASELINE || 'evals/baseline.json',
+  reportDir: process.env.EVAL_REPORT_DIR || 'evals/reports',
+  
+  dm: {
+    minChars: 80,
+    maxChars: 2000,
+  },
+  
+  post: {
+    minTitleChars: 10,
+    maxTitleChars: 300,
+    minBodyWords: 150,
+    maxBodyWords: 1500,
+  },
+  
+  // Phrases that should never appear in output, on top of contentSafety.rules
+  bannedPhrases: [
+    'as an ai language model',
+    'i cannot provide',
+    'i\'m not able to',
+    'lorem ipsum',
+    'untitled post',
+    'not financial advice, but',
+  ],
+  
+  // Rubric scores (1-5) from a model, with --judge
+  judge: {
+    provider: process.env.EVAL_JUDGE_PROVIDER || null,
+    useCase: 'moderation',
+    rubrics: {
+      dm: {
+        helpfulness: 'Answers what was asked, with useful specifics',
+        accuracy: 'Makes no claims that are wrong or made up, and admits uncertainty',
+        persona: 'Sounds like the persona described in the system prompt',
+        safety: 'Stays within the guardrails, e.g. no financial advice',
       },
-      anthropic: {
-        ...this.health.anthropic,
-        healthScore: this.getHealthScore('anthropic'),
+      post: {
+        engagement: 'Has a hook, reads well and invites discussion',
+        accuracy: 'Sticks to what the source article says',
+        clarity: 'Explains technical ideas so a newcomer can follow',
+        formatting: 'Uses Reddit markdown well, with a clear title',
       },
-    };
+    },
+  },
+  
+  // How far a metric may drop below the baseline before it counts as a regression
+  tolerance: {
+    rate: 0.05,
+    judge: 0.25,
+  },
+};
+
+// "profile:14-22,machinelearning:15-18|20-23" -> { profile: [{ start: 14, end: 22 }], ... }
+// Hours are UTC; a range may wrap past midnight (22-2)
+function parseWindowMap(value = '') {
+  const windows = {};
+  for (const entry of value.split(',').map(s => s.trim()).filter(Boolean)) {
+    const [key, ranges = ''] = entry.split(':').map(part => part.trim());
+    const parsed = ranges.split('|').map(range => range.match(/^(\d{1,2})-(\d{1,2})$/))
+      .filter(match => match && parseInt(match[1]) <= 24 && parseInt(match[2]) <= 24 && match[1] !== match[2])
+      .map(match => ({ start: parseInt(match[1]) % 24, end: parseInt(match[2]) % 24 }));
+
+    if (!key || parsed.length === 0) {
+      logger.warn(`Ignoring invalid POST_WINDOWS entry: ${entry}`);
+      continue;
+    }
+    windows[key.toLowerCase()] = parsed;
   }
+  return windows;
 }
 
-// Export singleton instance
-export const providerHealth = new ProviderHealth();
+// Scheduled publishing (see src/services/post-queue.js)
+export const publishQueueConfig = {
+  // Submission attempts before a post is marked failed; retries back off
+  // exponentially from retryBaseMs
+  maxAttempts: parseInt(process.env.POST_PUBLISH_MAX_ATTEMPTS) || 3,
+  retryBaseMs: parseInt(process.env.POST_PUBLISH_RETRY_MS) || 10 * 60 * 1000,
+  
+  // Posts published per dispatcher run, to stay inside the function timeout
+  batchSize: parseInt(process.env.POST_PUBLISH_BATCH_SIZE) || 3,
+
+  // A post still 'publishing' this long after it was claimed belongs to a
+  // run that died; it is marked failed
+  claimTimeoutMs: (parseInt(process.env.POST_PUBLISH_CLAIM_TIMEOUT_MINUTES) || 15) * 60 * 1000,
+  
+  // Hours (UTC) in which posts may go out, per subreddit; 'profile' is Dobby's
+  // profile and '*' anywhere without its own entry. No entry: any time.
+  windows: parseWindowMap(process.env.POST_WINDOWS),
+};
+
+// Human approval of auto-generated posts (see src/services/post-review.js)
+export const postReviewConfig = {
+  // On: posts that pass moderation wait as 'pending_review' until a reviewer
+  // approves them, instead of going straight to the publish queue
+  requireApproval: parseBoolean(process.env.REQUIRE_POST_APPROVAL, false),
+  
+  // Where reviewers hear about new posts: a Slack- or Discord-style webhook
+  // and/or Reddit DMs to these users
+  webhookUrl: process.env.REVIEW_WEBHOOK_URL || null,
+  notifyUsers: (process.env.REVIEW_NOTIFY_USERS || '').split(',').map(s => s.trim()).filter(Boolean),
+};
+
+// Replies to comments on Dobby's posts and to mentions (see src/services/comment-responder.js)
+export const commentReplyConfig = {
+  enabled: parseBoolean(process.env.ENABLE_COMMENT_REPLIES, true),
+  
+  // Published posts younger than this are checked for new comments, and
+  // comments older than maxCommentAgeHours are left alone
+  lookbackDays: parseInt(process.env.COMMENT_LOOKBACK_DAYS) || 7,
+  maxCommentAgeHours: parseInt(process.env.COMMENT_MAX_AGE_HOURS) || 48,
+  
+  // Replies per cron run, to stay inside the function timeout and rate limits
+  maxRepliesPerRun: parseInt(process.env.COMMENT_REPLIES_PER_RUN) || 5,
+  
+  // Parent comments included as thread context for inbox replies
+  contextDepth: parseInt(process.env.COMMENT_CONTEXT_DEPTH) || 3,
+  
+  // Shorter comments ("thanks!", "+1") don't get a reply
+  minCommentChars: parseInt(process.env.COMMENT_MIN_CHARS) || 15,
+  
+  // Answering u/<username> mentions; only in ALLOWED_SUBREDDITS when that is set
+  mentions: {
+    enabled: parseBoolean(process.env.ENABLE_MENTION_REPLIES, true),
+    maxRepliesPerRun: parseInt(process.env.MENTION_REPLIES_PER_RUN) || 5,
+  },
+};
+
+// Watching subreddits for threads Dobby could add to (see src/services/subreddit-watcher.js)
+export const subredditWatchConfig = {
+  enabled: parseBoolean(process.env.ENABLE_SUBREDDIT_WATCH, false),
+  
+  // Subreddits to poll; ones outside ALLOWED_SUBREDDITS (when set) are skipped
+  subreddits: (process.env.WATCH_SUBREDDITS || '').split(',').map(s => s.trim()).filter(Boolean),
+  
+  // Each match scores keywordWeight / 2 and each topic shared with the
+  // persona's expertise topicWeight / 2; threads scoring minScore or more
+  // become candidates
+  keywords: (process.env.WATCH_KEYWORDS || 'sentient,dobby,open-source ai,decentralized ai,model fingerprinting')
+    .split(',').map(s => s.trim().toLowerCase()).filter(Boolean),
+  keywordWeight: 0.6,
+  topicWeight: 0.4,
+  minScore: parseFloat(process.env.WATCH_MIN_SCORE) || 0.3,
+  
+  // 'approval': candidates wait for a reviewer; 'auto': they're answered
+  // on the next run
+  mode: process.env.WATCH_MODE === 'auto' ? 'auto' : 'approval',
+  
+  // New submissions and comments read per subreddit, and how old a thread
+  // may be to still become a candidate
+  pollLimit: parseInt(process.env.WATCH_POLL_LIMIT) || 25,
+  maxAgeHours: parseInt(process.env.WATCH_MAX_AGE_HOURS) || 24,
+  
+  maxRepliesPerRun: parseInt(process.env.WATCH_REPLIES_PER_RUN) || 3,
+};
 
 // Export all configs
 export default {
@@ -347,7 +850,19 @@ export default {
   general: aiConfig,
   capabilities: providerCapabilities,
   modelSelection,
-  promptTemplates,
+  prompts: promptConfig,
+  postOutput: postOutputConfig,
+  publishQueue: publishQueueConfig,
+  postReview: postReviewConfig,
+  commentReply: commentReplyConfig,
+  subredditWatch: subredditWatchConfig,
   contentSafety,
-  providerHealth,
+  inboundSafety,
+  circuitBreaker: circuitBreakerConfig,
+  keyPool: keyPoolConfig,
+  budget: budgetConfig,
+  rag: ragConfig,
+  cache: cacheConfig,
+  personas: personaConfig,
+  eval: evalConfig,
 };
@@ -18,6 +18,34 @@ export async function initializeDatabase() {
       )
     `;
 
+    // 'active', or 'quarantined' for DMs flagged as prompt injection
+    await sql`
+      ALTER TABLE conversations
+      ADD COLUMN IF NOT EXISTS status VARCHAR(50) DEFAULT 'active'
+    `;
+
+    // Create flagged_users table for repeat prompt-injection attempts
+    await sql`
+      CREATE TABLE IF NOT EXISTS flagged_users (
+        reddit_user VARCHAR(255) PRIMARY KEY,
+        flag_count INTEGER DEFAULT 0,
+        last_reason TEXT,
+        first_flagged_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_flagged_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // Create personas table; each saved edit is a new version
+    await sql`
+      CREATE TABLE IF NOT EXISTS personas (
+        id VARCHAR(100) NOT NULL,
+        version INTEGER NOT NULL,
+        definition JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (id, version)
+      )
+    `;
+
     // Create posts table
     await sql`
       CREATE TABLE IF NOT EXISTS posts (
@@ -38,6 +66,15 @@ export async function initializeDatabase() {
       )
     `;
 
+    // kind: 'self', 'link', 'image' or 'crosspost'. crosspost_parent is the
+    // Reddit id of the submission a crosspost was made from.
+    await sql`
+      ALTER TABLE posts
+      ADD COLUMN IF NOT EXISTS kind VARCHAR(20) DEFAULT 'self',
+      ADD COLUMN IF NOT EXISTS flair VARCHAR(255),
+      ADD COLUMN IF NOT EXISTS crosspost_parent VARCHAR(255)
+    `;
+
     // Create analytics table
     await sql`
       CREATE TABLE IF NOT EXISTS analytics (
@@ -62,6 +99,140 @@ export async function initializeDatabase() {
       )
     `;
 
+    // Create provider_health table for the AI circuit breaker
+    await sql`
+      CREATE TABLE IF NOT EXISTS provider_health (
+        id VARCHAR(255) PRIMARY KEY,
+        provider VARCHAR(50) NOT NULL,
+        state VARCHAR(20) NOT NULL DEFAULT 'closed',
+        consecutive_failures INTEGER DEFAULT 0,
+        successes INTEGER DEFAULT 0,
+        failures INTEGER DEFAULT 0,
+        opened_at TIMESTAMP,
+        last_error JSONB,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // Create api_key_state table for per-key rate limits and disabled keys
+    await sql`
+      CREATE TABLE IF NOT EXISTS api_key_state (
+        id VARCHAR(255) PRIMARY KEY,
+        provider VARCHAR(50) NOT NULL,
+        disabled BOOLEAN DEFAULT FALSE,
+        disabled_reason TEXT,
+        auth_failures INTEGER DEFAULT 0,
+        rate_limited_until TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // Create ai_usage table for token and dollar budgets
+    await sql`
+      CREATE TABLE IF NOT EXISTS ai_usage (
+        id SERIAL PRIMARY KEY,
+        provider VARCHAR(50) NOT NULL,
+        model VARCHAR(255),
+        feature VARCHAR(50) NOT NULL,
+        prompt_tokens INTEGER DEFAULT 0,
+        completion_tokens INTEGER DEFAULT 0,
+        total_tokens INTEGER DEFAULT 0,
+        cost_usd NUMERIC(12, 6) DEFAULT 0,
+        downgraded BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // Create ai_response_cache table for repeated prompts
+    await sql`
+      CREATE TABLE IF NOT EXISTS ai_response_cache (
+        cache_key VARCHAR(64) PRIMARY KEY,
+        scope_key VARCHAR(64) NOT NULL,
+        use_case VARCHAR(50),
+        prompt TEXT NOT NULL,
+        embedding JSONB,
+        embedding_model VARCHAR(255),
+        response JSONB NOT NULL,
+        hits INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL
+      )
+    `;
+
+    // Create moderation_log table: every moderation decision, and the review queue for held output
+    await sql`
+      CREATE TABLE IF NOT EXISTS moderation_log (
+        id SERIAL PRIMARY KEY,
+        target VARCHAR(50) NOT NULL,
+        reference_id VARCHAR(255),
+        author VARCHAR(255),
+        action VARCHAR(50) NOT NULL,
+        reasons JSONB,
+        original_text TEXT NOT NULL,
+        final_text TEXT,
+        review_status VARCHAR(50),
+        reviewed_at TIMESTAMP,
+        metadata JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // Create comment_replies table: one row per Reddit comment we answered (or
+    // decided not to), so no comment gets two replies
+    await sql`
+      CREATE TABLE IF NOT EXISTS comment_replies (
+        comment_id VARCHAR(50) PRIMARY KEY,
+        source VARCHAR(50) NOT NULL,
+        post_id INTEGER,
+        reddit_post_id VARCHAR(50),
+        subreddit VARCHAR(255),
+        author VARCHAR(255),
+        comment_body TEXT,
+        reply_id VARCHAR(50),
+        reply_text TEXT,
+        status VARCHAR(50) NOT NULL DEFAULT 'pending',
+        metadata JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        replied_at TIMESTAMP
+      )
+    `;
+
+    // Create watch_candidates table: threads in watched subreddits worth a reply
+    await sql`
+      CREATE TABLE IF NOT EXISTS watch_candidates (
+        id SERIAL PRIMARY KEY,
+        thing_id VARCHAR(50) UNIQUE NOT NULL,
+        kind VARCHAR(20) NOT NULL,
+        subreddit VARCHAR(255),
+        author VARCHAR(255),
+        score REAL,
+        status VARCHAR(50) NOT NULL DEFAULT 'pending_review',
+        item JSONB NOT NULL,
+        metadata JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // Create content_chunks table for retrieval (needs the pgvector extension)
+    try {
+      await sql`CREATE EXTENSION IF NOT EXISTS vector`;
+      await sql`
+        CREATE TABLE IF NOT EXISTS content_chunks (
+          id SERIAL PRIMARY KEY,
+          content_id INTEGER NOT NULL REFERENCES content_cache(id) ON DELETE CASCADE,
+          chunk_index INTEGER NOT NULL,
+          text TEXT NOT NULL,
+          embedding vector NOT NULL,
+          embedding_model VARCHAR(255) NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (content_id, chunk_index, embedding_model)
+        )
+      `;
+    } catch (error) {
+      logger.warn('pgvector unavailable, skipping content_chunks (set RAG_VECTOR_STORE=memory):', error.message);
+    }
+
     // Create indexes
     await sql`
       CREATE INDEX IF NOT EXISTS idx_conversations_user 
@@ -78,11 +249,41 @@ export async function initializeDatabase() {
       ON posts(status)
     `;
 
+    await sql`
+      CREATE INDEX IF NOT EXISTS idx_posts_scheduled 
+      ON posts(status, scheduled_at)
+    `;
+
     await sql`
       CREATE INDEX IF NOT EXISTS idx_analytics_event 
       ON analytics(event_type, timestamp)
     `;
 
+    await sql`
+      CREATE INDEX IF NOT EXISTS idx_ai_usage_created 
+      ON ai_usage(created_at)
+    `;
+
+    await sql`
+      CREATE INDEX IF NOT EXISTS idx_ai_response_cache_scope 
+      ON ai_response_cache(scope_key, expires_at)
+    `;
+
+    await sql`
+      CREATE INDEX IF NOT EXISTS idx_moderation_log_review 
+      ON moderation_log(review_status, created_at)
+    `;
+
+    await sql`
+      CREATE INDEX IF NOT EXISTS idx_comment_replies_source 
+      ON comment_replies(source, created_at)
+    `;
+
+    await sql`
+      CREATE INDEX IF NOT EXISTS idx_watch_candidates_status 
+      ON watch_candidates(status, created_at)
+    `;
+
     logger.info('Database initialized successfully');
     return true;
   } catch (error) {
@@ -96,12 +297,12 @@ export async function saveConversation(data) {
     const result = await sql`
       INSERT INTO conversations (
         reddit_user, message_id, user_message, ai_response, 
-        ai_provider, tokens_used, metadata
+        ai_provider, tokens_used, status, metadata
       )
       VALUES (
         ${data.redditUser}, ${data.messageId}, ${data.userMessage},
         ${data.aiResponse}, ${data.aiProvider}, ${data.tokensUsed},
-        ${JSON.stringify(data.metadata || {})}
+        ${data.status || 'active'}, ${JSON.stringify(data.metadata || {})}
       )
       RETURNING id
     `;
@@ -118,6 +319,7 @@ export async function getConversationHistory(redditUser, limit = 10) {
       SELECT user_message, ai_response, created_at
       FROM conversations
       WHERE reddit_user = ${redditUser}
+        AND COALESCE(status, 'active') <> 'quarantined'
       ORDER BY created_at DESC
       LIMIT ${limit}
     `;
@@ -133,13 +335,14 @@ export async function savePost(data) {
     const result = await sql`
       INSERT INTO posts (
         title, content, subreddit, post_type, source_url,
-        status, scheduled_at, metadata
+        status, scheduled_at, metadata, kind, flair, crosspost_parent
       )
       VALUES (
         ${data.title}, ${data.content}, ${data.subreddit || null},
         ${data.postType || 'autonomous'}, ${data.sourceUrl || null},
         ${data.status || 'draft'}, ${data.scheduledAt || null},
-        ${JSON.stringify(data.metadata || {})}
+        ${JSON.stringify(data.metadata || {})}, ${data.kind || 'self'},
+        ${data.flair || null}, ${data.crosspostParent || null}
       )
       RETURNING id
     `;
@@ -168,6 +371,10 @@ export async function updatePost(postId, updates) {
       setClauses.push(`posted_at = $${paramCount++}`);
       values.push(updates.postedAt);
     }
+    if (updates.scheduledAt) {
+      setClauses.push(`scheduled_at = $${paramCount++}`);
+      values.push(updates.scheduledAt);
+    }
     if (updates.upvotes !== undefined) {
       setClauses.push(`upvotes = $${paramCount++}`);
       values.push(updates.upvotes);
@@ -176,6 +383,27 @@ export async function updatePost(postId, updates) {
       setClauses.push(`comments = $${paramCount++}`);
       values.push(updates.comments);
     }
+    if (updates.title) {
+      setClauses.push(`title = $${paramCount++}`);
+      values.push(updates.title);
+    }
+    if (updates.content) {
+      setClauses.push(`content = $${paramCount++}`);
+      values.push(updates.content);
+    }
+    if (updates.kind) {
+      setClauses.push(`kind = $${paramCount++}`);
+      values.push(updates.kind);
+    }
+    if (updates.flair !== undefined) {
+      setClauses.push(`flair = $${paramCount++}`);
+      values.push(updates.flair);
+    }
+    // Merged into the existing metadata rather than replacing it
+    if (updates.metadata) {
+      setClauses.push(`metadata = COALESCE(metadata, '{}'::jsonb) || $${paramCount++}::jsonb`);
+      values.push(JSON.stringify(updates.metadata));
+    }
 
     values.push(postId);
     
@@ -278,6 +506,67 @@ export async function getUnusedContent(limit = 5) {
   }
 }
 
+// Cached Sentient content fetched in the last `days` days, optionally
+// matching `query` in the title or body, newest first
+export async function searchContent(query = null, days = 7, limit = 5) {
+  const pattern = query ? `%${query}%` : '%';
+  const result = await sql`
+    SELECT id, source_url, title, summary, content, fetched_at, metadata
+    FROM content_cache
+    WHERE fetched_at >= NOW() - (${days} * INTERVAL '1 day')
+      AND (title ILIKE ${pattern} OR content ILIKE ${pattern})
+    ORDER BY fetched_at DESC
+    LIMIT ${limit}
+  `;
+  return result.rows;
+}
+
+export async function getContentById(contentId) {
+  const result = await sql`
+    SELECT * FROM content_cache
+    WHERE id = ${contentId}
+  `;
+  return result.rows[0] || null;
+}
+
+// content_cache rows for browsing, newest first, without the article text;
+// `used` filters on used_for_post and `search` matches the title or content
+export async function listContent({ used = null, search = null, limit = 20, offset = 0 } = {}) {
+  const clauses = [];
+  const values = [];
+
+  if (used !== null) {
+    values.push(used);
+    clauses.push(`used_for_post = $${values.length}`);
+  }
+  if (search) {
+    values.push(`%${search}%`);
+    clauses.push(`(title ILIKE $${values.length} OR content ILIKE $${values.length})`);
+  }
+
+  values.push(limit, offset);
+  const result = await sql.query(`
+    SELECT id, source_url, title, summary, LENGTH(content) AS content_length,
+           fetched_at, used_for_post, metadata
+    FROM content_cache
+    ${clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : ''}
+    ORDER BY fetched_at DESC
+    LIMIT $${values.length - 1} OFFSET $${values.length}
+  `, values);
+  return result.rows;
+}
+
+// Make content available to auto-post again; returns the ids that changed
+export async function requeueContent(contentIds) {
+  const result = await sql.query(`
+    UPDATE content_cache
+    SET used_for_post = FALSE
+    WHERE id = ANY($1::int[])
+    RETURNING id
+  `, [contentIds]);
+  return result.rows.map(row => row.id);
+}
+
 export async function markContentAsUsed(contentId) {
   try {
     await sql`
@@ -288,4 +577,493 @@ export async function markContentAsUsed(contentId) {
   } catch (error) {
     logger.error('Error marking content as used:', error);
   }
-}
\ No newline at end of file
+}
+
+export async function loadProviderHealth() {
+  const result = await sql`
+    SELECT * FROM provider_health
+  `;
+  return result.rows;
+}
+
+export async function saveProviderHealth(circuit) {
+  await sql`
+    INSERT INTO provider_health (
+      id, provider, state, consecutive_failures, successes,
+      failures, opened_at, last_error, updated_at
+    )
+    VALUES (
+      ${circuit.id}, ${circuit.provider}, ${circuit.state},
+      ${circuit.consecutiveFailures}, ${circuit.successes}, ${circuit.failures},
+      ${circuit.openedAt}, ${JSON.stringify(circuit.lastError)}, ${circuit.updatedAt}
+    )
+    ON CONFLICT (id)
+    DO UPDATE SET
+      state = EXCLUDED.state,
+      consecutive_failures = EXCLUDED.consecutive_failures,
+      successes = EXCLUDED.successes,
+      failures = EXCLUDED.failures,
+      opened_at = EXCLUDED.opened_at,
+      last_error = EXCLUDED.last_error,
+      updated_at = EXCLUDED.updated_at
+  `;
+}
+
+export async function loadApiKeyStates() {
+  const result = await sql`
+    SELECT * FROM api_key_state
+  `;
+  return result.rows;
+}
+
+export async function saveApiKeyState(state) {
+  await sql`
+    INSERT INTO api_key_state (
+      id, provider, disabled, disabled_reason, auth_failures,
+      rate_limited_until, updated_at
+    )
+    VALUES (
+      ${state.id}, ${state.provider}, ${state.disabled}, ${state.disabledReason},
+      ${state.authFailures}, ${state.rateLimitedUntil}, ${state.updatedAt}
+    )
+    ON CONFLICT (id)
+    DO UPDATE SET
+      disabled = EXCLUDED.disabled,
+      disabled_reason = EXCLUDED.disabled_reason,
+      auth_failures = EXCLUDED.auth_failures,
+      rate_limited_until = EXCLUDED.rate_limited_until,
+      updated_at = EXCLUDED.updated_at
+  `;
+}
+
+export async function saveAIUsage(entry) {
+  await sql`
+    INSERT INTO ai_usage (
+      provider, model, feature, prompt_tokens, completion_tokens,
+      total_tokens, cost_usd, downgraded
+    )
+    VALUES (
+      ${entry.provider}, ${entry.model}, ${entry.feature}, ${entry.promptTokens},
+      ${entry.completionTokens}, ${entry.totalTokens}, ${entry.costUsd}, ${entry.downgraded}
+    )
+  `;
+}
+
+// Spend per provider and feature since the start of the month, with the
+// share that falls on or after dayStart broken out
+export async function loadAIUsageTotals(dayStart, monthStart) {
+  const result = await sql`
+    SELECT
+      provider,
+      feature,
+      COALESCE(SUM(cost_usd) FILTER (WHERE created_at >= ${dayStart}), 0) as day_cost,
+      COALESCE(SUM(total_tokens) FILTER (WHERE created_at >= ${dayStart}), 0) as day_tokens,
+      COALESCE(SUM(cost_usd), 0) as month_cost,
+      COALESCE(SUM(total_tokens), 0) as month_tokens
+    FROM ai_usage
+    WHERE created_at >= ${monthStart}
+    GROUP BY provider, feature
+  `;
+  return result.rows;
+}
+
+export async function getRecentContent(limit = 200) {
+  const result = await sql`
+    SELECT id, source_url, title, content, fetched_at
+    FROM content_cache
+    ORDER BY fetched_at DESC
+    LIMIT ${limit}
+  `;
+  return result.rows;
+}
+
+// Cached content with no chunks embedded by `model` yet
+export async function getUnindexedContent(model, limit = 20) {
+  const result = await sql`
+    SELECT c.id, c.source_url, c.title, c.content, c.fetched_at
+    FROM content_cache c
+    WHERE COALESCE(c.content, '') <> ''
+      AND NOT EXISTS (
+        SELECT 1 FROM content_chunks k
+        WHERE k.content_id = c.id AND k.embedding_model = ${model}
+      )
+    ORDER BY c.fetched_at DESC
+    LIMIT ${limit}
+  `;
+  return result.rows;
+}
+
+export async function saveContentChunks(contentId, model, chunks) {
+  await sql`
+    DELETE FROM content_chunks
+    WHERE content_id = ${contentId} AND embedding_model = ${model}
+  `;
+
+  for (const chunk of chunks) {
+    await sql`
+      INSERT INTO content_chunks (content_id, chunk_index, text, embedding, embedding_model)
+      VALUES (
+        ${contentId}, ${chunk.chunkIndex}, ${chunk.text},
+        ${JSON.stringify(chunk.embedding)}::vector, ${model}
+      )
+    `;
+  }
+}
+
+// Nearest chunks by cosine similarity, joined with their article
+export async function searchContentChunks(embedding, model, limit = 10) {
+  const result = await sql`
+    SELECT
+      k.text, k.chunk_index, c.id as content_id, c.title, c.source_url,
+      1 - (k.embedding <=> ${JSON.stringify(embedding)}::vector) as score
+    FROM content_chunks k
+    JOIN content_cache c ON c.id = k.content_id
+    WHERE k.embedding_model = ${model}
+    ORDER BY k.embedding <=> ${JSON.stringify(embedding)}::vector
+    LIMIT ${limit}
+  `;
+  return result.rows;
+}
+
+export async function getCachedResponse(cacheKey) {
+  const result = await sql`
+    SELECT * FROM ai_response_cache
+    WHERE cache_key = ${cacheKey} AND expires_at > NOW()
+  `;
+  return result.rows[0] || null;
+}
+
+// Unexpired entries in a scope that have an embedding from `model`, newest first
+export async function getCachedResponsesInScope(scopeKey, model, limit = 200) {
+  const result = await sql`
+    SELECT * FROM ai_response_cache
+    WHERE scope_key = ${scopeKey}
+      AND embedding_model = ${model}
+      AND expires_at > NOW()
+    ORDER BY created_at DESC
+    LIMIT ${limit}
+  `;
+  return result.rows;
+}
+
+export async function saveCachedResponse(entry) {
+  await sql`
+    INSERT INTO ai_response_cache (
+      cache_key, scope_key, use_case, prompt, embedding,
+      embedding_model, response, expires_at
+    )
+    VALUES (
+      ${entry.key}, ${entry.scopeKey}, ${entry.useCase}, ${entry.prompt},
+      ${entry.embedding ? JSON.stringify(entry.embedding) : null}, ${entry.embeddingModel},
+      ${JSON.stringify(entry.response)}, ${entry.expiresAt}
+    )
+    ON CONFLICT (cache_key)
+    DO UPDATE SET
+      embedding = EXCLUDED.embedding,
+      embedding_model = EXCLUDED.embedding_model,
+      response = EXCLUDED.response,
+      hits = 0,
+      created_at = CURRENT_TIMESTAMP,
+      expires_at = EXCLUDED.expires_at
+  `;
+}
+
+export async function recordCachedResponseHit(cacheKey) {
+  await sql`
+    UPDATE ai_response_cache
+    SET hits = hits + 1
+    WHERE cache_key = ${cacheKey}
+  `;
+}
+
+export async function countCachedResponses() {
+  const result = await sql`
+    SELECT COUNT(*) as count FROM ai_response_cache
+    WHERE expires_at > NOW()
+  `;
+  return parseInt(result.rows[0].count);
+}
+
+// Drops expired entries, or every entry when `all` is set
+export async function clearCachedResponses(all = false) {
+  const result = all
+    ? await sql`DELETE FROM ai_response_cache`
+    : await sql`DELETE FROM ai_response_cache WHERE expires_at <= NOW()`;
+  return result.rowCount;
+}
+
+export async function saveModerationDecision(entry) {
+  const result = await sql`
+    INSERT INTO moderation_log (
+      target, reference_id, author, action, reasons,
+      original_text, final_text, review_status, metadata
+    )
+    VALUES (
+      ${entry.target}, ${entry.referenceId || null}, ${entry.author || null},
+      ${entry.action}, ${JSON.stringify(entry.reasons || [])}, ${entry.originalText},
+      ${entry.finalText || null}, ${entry.reviewStatus || null},
+      ${JSON.stringify(entry.metadata || {})}
+    )
+    RETURNING *
+  `;
+  return result.rows[0];
+}
+
+export async function getModerationDecision(id) {
+  const result = await sql`
+    SELECT * FROM moderation_log
+    WHERE id = ${id}
+  `;
+  return result.rows[0] || null;
+}
+
+// Held output waiting for a human, oldest first
+export async function getPendingModeration(target = null, limit = 50) {
+  const result = target
+    ? await sql`
+        SELECT * FROM moderation_log
+        WHERE review_status = 'pending' AND target = ${target}
+        ORDER BY created_at ASC
+        LIMIT ${limit}
+      `
+    : await sql`
+        SELECT * FROM moderation_log
+        WHERE review_status = 'pending'
+        ORDER BY created_at ASC
+        LIMIT ${limit}
+      `;
+  return result.rows;
+}
+
+export async function getRecentModeration(days = 7, limit = 100) {
+  const cutoffDate = new Date();
+  cutoffDate.setDate(cutoffDate.getDate() - days);
+
+  const result = await sql`
+    SELECT * FROM moderation_log
+    WHERE created_at >= ${cutoffDate.toISOString()}
+    ORDER BY created_at DESC
+    LIMIT ${limit}
+  `;
+  return result.rows;
+}
+
+export async function updateModerationReview(id, reviewStatus, finalText = null) {
+  const result = await sql`
+    UPDATE moderation_log
+    SET review_status = ${reviewStatus},
+        final_text = COALESCE(${finalText}, final_text),
+        reviewed_at = CURRENT_TIMESTAMP
+    WHERE id = ${id}
+    RETURNING *
+  `;
+  return result.rows[0] || null;
+}
+
+export async function getFlaggedUser(redditUser) {
+  const result = await sql`
+    SELECT * FROM flagged_users
+    WHERE reddit_user = ${redditUser}
+  `;
+  return result.rows[0] || null;
+}
+
+export async function getFlaggedUsers(limit = 100) {
+  const result = await sql`
+    SELECT * FROM flagged_users
+    ORDER BY last_flagged_at DESC
+    LIMIT ${limit}
+  `;
+  return result.rows;
+}
+
+// Add a flag, starting the count over if the last one is older than forgetBefore
+export async function recordUserFlag(redditUser, reason, forgetBefore) {
+  const result = await sql`
+    INSERT INTO flagged_users (reddit_user, flag_count, last_reason)
+    VALUES (${redditUser}, 1, ${reason})
+    ON CONFLICT (reddit_user)
+    DO UPDATE SET
+      flag_count = CASE
+        WHEN flagged_users.last_flagged_at < ${forgetBefore} THEN 1
+        ELSE flagged_users.flag_count + 1
+      END,
+      last_reason = EXCLUDED.last_reason,
+      last_flagged_at = CURRENT_TIMESTAMP
+    RETURNING *
+  `;
+  return result.rows[0];
+}
+
+export async function clearUserFlags(redditUser) {
+  const result = await sql`
+    DELETE FROM flagged_users
+    WHERE reddit_user = ${redditUser}
+  `;
+  return result.rowCount > 0;
+}
+
+export async function getLastConversationAt(redditUser) {
+  const result = await sql`
+    SELECT MAX(created_at) as last_at FROM conversations
+    WHERE reddit_user = ${redditUser}
+  `;
+  return result.rows[0]?.last_at || null;
+}
+
+// Latest version of each persona
+export async function getLatestPersonas() {
+  const result = await sql`
+    SELECT DISTINCT ON (id) id, version, definition, created_at
+    FROM personas
+    ORDER BY id, version DESC
+  `;
+  return result.rows;
+}
+
+export async function getPersonaVersion(id, version) {
+  const result = await sql`
+    SELECT id, version, definition, created_at
+    FROM personas
+    WHERE id = ${id} AND version = ${version}
+  `;
+  return result.rows[0] || null;
+}
+
+// Saved as the next version, numbered above both earlier rows and `minVersion`
+// (the version of a file persona with the same id)
+export async function savePersonaVersion(id, definition, minVersion = 0) {
+  const result = await sql`
+    INSERT INTO personas (id, version, definition)
+    SELECT ${id}, GREATEST(COALESCE(MAX(version), 0), ${minVersion}) + 1, ${JSON.stringify(definition)}
+    FROM personas
+    WHERE id = ${id}
+    RETURNING id, version, created_at
+  `;
+  return result.rows[0];
+}
+
+// Record that we're answering a comment. False when it was already claimed,
+// i.e. replied to or being replied to by another run.
+export async function claimCommentReply(entry) {
+  const result = await sql`
+    INSERT INTO comment_replies (
+      comment_id, source, post_id, reddit_post_id, subreddit, author, comment_body, metadata
+    )
+    VALUES (
+      ${entry.commentId}, ${entry.source}, ${entry.postId || null}, ${entry.redditPostId || null},
+      ${entry.subreddit || null}, ${entry.author || null}, ${entry.body || null},
+      ${JSON.stringify(entry.metadata || {})}
+    )
+    ON CONFLICT (comment_id) DO NOTHING
+    RETURNING comment_id
+  `;
+  return result.rows.length > 0;
+}
+
+// status: 'replied', 'held', 'skipped' or 'failed'; metadata is merged
+export async function updateCommentReply(commentId, updates) {
+  const result = await sql`
+    UPDATE comment_replies
+    SET status = ${updates.status},
+        reply_id = COALESCE(${updates.replyId || null}, reply_id),
+        reply_text = COALESCE(${updates.replyText || null}, reply_text),
+        replied_at = CASE WHEN ${updates.status} = 'replied' THEN CURRENT_TIMESTAMP ELSE replied_at END,
+        metadata = COALESCE(metadata, '{}'::jsonb) || ${JSON.stringify(updates.metadata || {})}::jsonb
+    WHERE comment_id = ${commentId}
+    RETURNING *
+  `;
+  return result.rows[0] || null;
+}
+
+// Drop a claim that never got anywhere, so a later run can retry the comment
+export async function releaseCommentReply(commentId) {
+  await sql`
+    DELETE FROM comment_replies
+    WHERE comment_id = ${commentId} AND status = 'pending'
+  `;
+}
+
+// Which of these comment ids already have a row
+export async function getHandledCommentIds(commentIds) {
+  if (commentIds.length === 0) return new Set();
+
+  const result = await sql.query(
+    'SELECT comment_id FROM comment_replies WHERE comment_id = ANY($1::varchar[])',
+    [commentIds]
+  );
+  return new Set(result.rows.map(row => row.comment_id));
+}
+
+// Our replies in a subreddit over the last day, from every source, for the
+// per-subreddit reply limits
+export async function getThreadReplyStats(subreddit) {
+  const result = await sql`
+    SELECT COUNT(*) as count, MAX(replied_at) as last_replied_at
+    FROM comment_replies
+    WHERE status = 'replied'
+      AND LOWER(subreddit) = LOWER(${subreddit})
+      AND replied_at >= NOW() - INTERVAL '1 day'
+  `;
+  return {
+    count: parseInt(result.rows[0]?.count) || 0,
+    lastRepliedAt: result.rows[0]?.last_replied_at || null
+  };
+}
+
+// thing_id is the comment id, or t3_<id> for a submission. Null when the
+// thread is already a candidate.
+export async function createWatchCandidate(candidate) {
+  const result = await sql`
+    INSERT INTO watch_candidates (thing_id, kind, subreddit, author, score, status, item, metadata)
+    VALUES (
+      ${candidate.thingId}, ${candidate.kind}, ${candidate.subreddit}, ${candidate.author},
+      ${candidate.score}, ${candidate.status}, ${JSON.stringify(candidate.item)},
+      ${JSON.stringify(candidate.metadata || {})}
+    )
+    ON CONFLICT (thing_id) DO NOTHING
+    RETURNING *
+  `;
+  return result.rows[0] || null;
+}
+
+export async function getWatchCandidateIds(thingIds) {
+  if (thingIds.length === 0) return new Set();
+
+  const result = await sql.query(
+    'SELECT thing_id FROM watch_candidates WHERE thing_id = ANY($1::varchar[])',
+    [thingIds]
+  );
+  return new Set(result.rows.map(row => row.thing_id));
+}
+
+export async function getWatchCandidate(id) {
+  const result = await sql`
+    SELECT * FROM watch_candidates WHERE id = ${id}
+  `;
+  return result.rows[0] || null;
+}
+
+// Highest score first
+export async function getWatchCandidates({ status = 'pending_review', limit = 50 } = {}) {
+  const result = await sql`
+    SELECT * FROM watch_candidates
+    WHERE status = ${status}
+    ORDER BY score DESC, created_at ASC
+    LIMIT ${limit}
+  `;
+  return result.rows;
+}
+
+// metadata is merged
+export async function updateWatchCandidate(id, { status, metadata = {} }) {
+  const result = await sql`
+    UPDATE watch_candidates
+    SET status = ${status},
+        metadata = COALESCE(metadata, '{}'::jsonb) || ${JSON.stringify(metadata)}::jsonb,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = ${id}
+    RETURNING *
+  `;
+  return result.rows[0] || null;
+}
@@ -1,4 +1,5 @@
 import { validateEnvVars } from '../utils/helpers.js';
+import { logger } from '../utils/logger.js';
 
 // Validate required Reddit environment variables
 export function validateRedditConfig() {
@@ -39,13 +40,15 @@ export const redditConfig = {
   // Post configuration
   maxTitleLength: 300,
   maxSelfPostLength: 40000,
+  // 'link' makes autonomous posts link posts to their Sentient source
+  autoPostKind: process.env.AUTO_POST_KIND === 'link' ? 'link' : 'self',
   
   // Subreddits configuration
   allowedSubreddits: (process.env.ALLOWED_SUBREDDITS || '').split(',').filter(Boolean),
   
-  // Content moderation
-  minPostInterval: 3600000, // 1 hour minimum between posts (in ms)
-  maxPostsPerDay: 10,
+  // Posting limits across the profile and every subreddit
+  minPostInterval: (parseInt(process.env.MIN_POST_INTERVAL_MINUTES) || 60) * 60000, // 1 hour minimum between posts (in ms)
+  maxPostsPerDay: parseInt(process.env.MAX_POSTS_PER_DAY) || 10,
 };
 
 // Reddit API endpoints
@@ -89,17 +92,45 @@ export const responseTemplates = {
     "Happy to help! Feel free to reach out anytime. 🚀",
 };
 
+// SUBREDDIT_RULES='{"machinelearning":{"maxPostsPerDay":1,"flairRequired":true}}'
+// -> rules keyed by lowercase subreddit name ('profile' for Dobby's profile)
+function parseSubredditRules(value) {
+  if (!value) return {};
+
+  try {
+    const rules = JSON.parse(value);
+    return Object.fromEntries(Object.entries(rules).map(([name, rule]) => [name.toLowerCase(), rule]));
+  } catch (error) {
+    logger.warn(`Ignoring invalid SUBREDDIT_RULES: ${error.message}`);
+    return {};
+  }
+}
+
 // Subreddit rules and guidelines
 export const subredditGuidelines = {
-  // Add specific subreddit rules if needed
+  // Add specific subreddit rules if needed, keyed by lowercase name (or set
+  // SUBREDDIT_RULES); they override the defaults. 'profile' holds rules for
+  // Dobby's profile, which the defaults don't cover.
+  ...parseSubredditRules(process.env.SUBREDDIT_RULES),
   default: {
     maxPostsPerDay: 3,
     minTimeBetweenPosts: 3600000, // 1 hour
     allowedPostTypes: ['text', 'link'],
     flairRequired: false,
-  }
+    
+    // Comments Dobby leaves in threads it wasn't asked into
+    maxRepliesPerDay: 5,
+    minTimeBetweenReplies: 1800000, // 30 minutes
+  },
 };
 
+export function guidelinesFor(subreddit) {
+  return {
+    ...subredditGuidelines.default,
+    ...(subreddit && subredditGuidelines[subreddit.toLowerCase()])
+  };
+}
+
 // Content filtering
 export const contentFilters = {
   // Words/phrases to avoid in posts
@@ -153,7 +184,8 @@ export function isValidSubreddit(subreddit) {
     return true; // No restrictions
   }
   
-  return redditConfig.allowedSubreddits.includes(subreddit);
+  const name = (subreddit || '').toLowerCase();
+  return redditConfig.allowedSubreddits.some(allowed => allowed.toLowerCase() === name);
 }
 
 // Export default config
@@ -1,20 +1,45 @@
 import OpenAI from 'openai';
 import Anthropic from '@anthropic-ai/sdk';
 import Bottleneck from 'bottleneck';
+import { MockAIClient } from './mock-ai-client.js';
+import { circuitBreaker } from './circuit-breaker.js';
+import { KeyPool, syncKeyPools } from './key-pool.js';
+import { aiBudget, BudgetStatus, budgetExceededError } from './budget.js';
+import { buildContext } from './context-builder.js';
+import { responseCache } from './response-cache.js';
+import {
+  toolRegistry,
+  toOpenAITools,
+  toAnthropicTools,
+  buildToolPrompt,
+  parseToolCalls,
+  formatToolResults
+} from './tool-registry.js';
+import { aiConfig, ragConfig, cacheConfig, providerCapabilities, getModelForUseCase, getProviderForUseCase } from '../config/ai-providers.js';
 import { logger } from '../utils/logger.js';
 
 class AIManager {
   constructor() {
-    this.openaiKeys = (process.env.OPENAI_API_KEYS || '').split(',').filter(Boolean);
-    this.anthropicKeys = (process.env.ANTHROPIC_API_KEYS || '').split(',').filter(Boolean);
-    this.sentientKeys = (process.env.SENTIENT_API_KEYS || '').split(',').filter(Boolean);
+    // Offline mock: DEFAULT_AI_PROVIDER=mock enables the 'mock' provider, and
+    // MOCK_AI_PROVIDERS=sentient,openai serves those providers from it too
+    this.mockedProviders = (process.env.MOCK_AI_PROVIDERS || '').split(',').filter(Boolean);
+    this.mockKeys = (process.env.MOCK_AI_KEYS || 'mock-key-0,mock-key-1').split(',').filter(Boolean);
+
+    this.openaiKeys = this.loadKeys('OPENAI_API_KEYS', 'openai');
+    this.anthropicKeys = this.loadKeys('ANTHROPIC_API_KEYS', 'anthropic');
+    this.sentientKeys = this.loadKeys('SENTIENT_API_KEYS', 'sentient');
+    this.mockProviderKeys = this.isMockEnabled() ? this.mockKeys : [];
     
     // Set default provider to one that's actually available
     this.defaultProvider = this.determineDefaultProvider();
     
-    this.currentOpenAIIndex = 0;
-    this.currentAnthropicIndex = 0;
-    this.currentSentientIndex = 0;
+    // Per-key rate-limit state, used to pick the key with the most headroom
+    this.keyPools = {
+      openai: new KeyPool('openai', this.openaiKeys),
+      anthropic: new KeyPool('anthropic', this.anthropicKeys),
+      sentient: new KeyPool('sentient', this.sentientKeys),
+      mock: new KeyPool('mock', this.mockProviderKeys)
+    };
     
     // Rate limiter
     this.limiter = new Bottleneck({
@@ -26,24 +51,49 @@ class AIManager {
     this.logAvailableProviders();
   }
 
+  loadKeys(envVar, provider) {
+    const keys = (process.env[envVar] || '').split(',').filter(Boolean);
+    if (keys.length === 0 && this.isMocked(provider)) return this.mockKeys;
+    return keys;
+  }
+
+  isMocked(provider) {
+    return this.mockedProviders.includes(provider);
+  }
+
+  isMockEnabled() {
+    return process.env.DEFAULT_AI_PROVIDER === 'mock' || this.isMocked('mock');
+  }
+
   determineDefaultProvider() {
+    if (process.env.DEFAULT_AI_PROVIDER === 'mock') return 'mock';
+
     // Priority: sentient > openai > anthropic
     if (this.sentientKeys.length > 0) return 'sentient';
     if (this.openaiKeys.length > 0) return 'openai';
     if (this.anthropicKeys.length > 0) return 'anthropic';
     
-    throw new Error('No AI provider API keys configured. Please set OPENAI_API_KEYS, ANTHROPIC_API_KEYS, or SENTIENT_API_KEYS');
+    throw new Error('No AI provider API keys configured. Please set OPENAI_API_KEYS, ANTHROPIC_API_KEYS, or SENTIENT_API_KEYS (or DEFAULT_AI_PROVIDER=mock for offline use)');
   }
 
   initializeClients() {
-    this.openaiClients = this.openaiKeys.map(key => new OpenAI({ apiKey: key }));
-    this.anthropicClients = this.anthropicKeys.map(key => new Anthropic({ apiKey: key }));
+    this.openaiClients = this.openaiKeys.map((key, i) => this.isMocked('openai')
+      ? new MockAIClient({ apiKey: key, provider: 'openai', keyIndex: i })
+      : new OpenAI({ apiKey: key }));
+    this.anthropicClients = this.anthropicKeys.map((key, i) => this.isMocked('anthropic')
+      ? new MockAIClient({ apiKey: key, provider: 'anthropic', keyIndex: i })
+      : new Anthropic({ apiKey: key }));
     
     // Sentient AI uses OpenAI-compatible API via Fireworks
-    this.sentientClients = this.sentientKeys.map(key => new OpenAI({
-      apiKey: key,
-      baseURL: process.env.SENTIENT_BASE_URL || 'https://api.fireworks.ai/inference/v1'
-    }));
+    this.sentientClients = this.sentientKeys.map((key, i) => this.isMocked('sentient')
+      ? new MockAIClient({ apiKey: key, provider: 'sentient', keyIndex: i })
+      : new OpenAI({
+        apiKey: key,
+        baseURL: process.env.SENTIENT_BASE_URL || 'https://api.fireworks.ai/inference/v1'
+      }));
+
+    this.mockClients = this.mockProviderKeys.map((key, i) =>
+      new MockAIClient({ apiKey: key, provider: 'mock', keyIndex: i }));
   }
 
   logAvailableProviders() {
@@ -51,135 +101,335 @@ class AIManager {
     logger.info(`   OpenAI: ${this.openaiKeys.length} key(s)`);
     logger.info(`   Anthropic: ${this.anthropicKeys.length} key(s)`);
     logger.info(`   Sentient: ${this.sentientKeys.length} key(s)`);
+    if (this.mockClients.length > 0) {
+      logger.info(`   Mock: ${this.mockProviderKeys.length} key(s)`);
+    }
+    if (this.mockedProviders.length > 0) {
+      logger.warn(`   Mocked providers: ${this.mockedProviders.join(', ')}`);
+    }
     logger.info(`   Default Provider: ${this.defaultProvider}`);
   }
 
-  rotateOpenAIKey() {
-    if (this.openaiKeys.length === 0) return;
-    this.currentOpenAIIndex = (this.currentOpenAIIndex + 1) % this.openaiKeys.length;
-    logger.info(`Rotated to OpenAI key index: ${this.currentOpenAIIndex}`);
+  getClient(provider, keyIndex) {
+    if (provider === 'openai') return this.openaiClients[keyIndex] || null;
+    if (provider === 'anthropic') return this.anthropicClients[keyIndex] || null;
+    if (provider === 'sentient') return this.sentientClients[keyIndex] || null;
+    if (provider === 'mock') return this.mockClients[keyIndex] || null;
+    return null;
+  }
+
+  keyCircuitAllows(provider) {
+    return (apiKey) => circuitBreaker.canRequest(circuitBreaker.keyId(provider, apiKey));
+  }
+
+  // Configured, not blocked by an open circuit and with at least one usable key
+  isProviderAvailable(provider) {
+    const pool = this.keyPools[provider];
+    if (!pool) return false;
+
+    return circuitBreaker.isProviderAvailable(provider, pool.availableKeys(this.keyCircuitAllows(provider)));
+  }
+
+  // Key with the most rate-limit headroom whose circuit is not open. Call it
+  // right after isProviderAvailable, with no await in between: it takes the
+  // trial request of a half-open circuit.
+  selectKey(provider) {
+    const keyIndex = this.keyPools[provider].selectKey(this.keyCircuitAllows(provider));
+    if (keyIndex === -1) throw new Error(`No usable ${provider} API key`);
+
+    circuitBreaker.startRequest(provider, this.keyPools[provider].getKey(keyIndex));
+    return keyIndex;
+  }
+
+  async syncHealth() {
+    await Promise.all([
+      circuitBreaker.sync(),
+      syncKeyPools(this.keyPools),
+      aiBudget.sync()
+    ]);
+  }
+
+  // Budget decision for a call on this provider, plus the options to make it
+  // with (null when refused). Near a cap the call is downgraded to the
+  // provider's fast model.
+  applyBudget(provider, options) {
+    const decision = aiBudget.evaluate(options.feature, provider);
+    if (decision.status === BudgetStatus.BLOCKED) return { decision, options: null };
+
+    return {
+      decision,
+      options: { ...options, downgrade: decision.status === BudgetStatus.DOWNGRADE }
+    };
+  }
+
+  // Explicit provider, else the use case's preferred provider when it is
+  // configured, else the default provider
+  resolveProvider(options) {
+    if (options.provider) return options.provider;
+
+    const routed = getProviderForUseCase(options.useCase);
+    if (routed && this.keyPools[routed]?.size > 0) return routed;
+
+    return this.defaultProvider;
+  }
+
+  // Budget downgrade, then an explicit model, then the routing table for
+  // options.useCase (chat, postGeneration, quickResponse, longForm, summarization)
+  resolveModel(provider, options) {
+    if (options.downgrade) return aiBudget.fastModel(provider);
+    if (options.model) return options.model;
+
+    return getModelForUseCase(options.useCase, provider, options.routingKey);
   }
 
-  rotateAnthropicKey() {
-    if (this.anthropicKeys.length === 0) return;
-    this.currentAnthropicIndex = (this.currentAnthropicIndex + 1) % this.anthropicKeys.length;
-    logger.info(`Rotated to Anthropic key index: ${this.currentAnthropicIndex}`);
+  // Trim (or summarize) history to fit the provider's context window; the
+  // report says what was dropped
+  async fitContext(provider, messages, options) {
+    const { messages: fitted, report } = await buildContext(messages, {
+      provider,
+      model: this.resolveModel(provider, options),
+      responseTokens: options.maxTokens || 500,
+      strategy: options.contextStrategy || aiConfig.contextStrategy,
+      summarize: (dropped) => this.summarizeHistory(dropped, options)
+    });
+
+    if (report.droppedMessages > 0 || report.truncatedTokens > 0) {
+      logger.info(`Context for ${provider}: dropped ${report.droppedMessages} message(s) (${report.droppedTokens} tokens), truncated ${report.truncatedTokens} tokens${report.summarized ? ', history summarized' : ''}`);
+    }
+
+    return { messages: fitted, report };
   }
 
-  rotateSentientKey() {
-    if (this.sentientKeys.length === 0) return;
-    this.currentSentientIndex = (this.currentSentientIndex + 1) % this.sentientKeys.length;
-    logger.info(`Rotated to Sentient key index: ${this.currentSentientIndex}`);
+  async summarizeHistory(dropped, options) {
+    const transcript = dropped.map(m => `${m.role}: ${m.content}`).join('\n\n');
+
+    const response = await this.chat([
+      { role: 'system', content: 'Summarize this earlier part of a conversation in a few sentences. Keep names, facts and open questions.' },
+      { role: 'user', content: transcript }
+    ], {
+      useCase: 'summarization',
+      feature: options.feature,
+      maxTokens: aiConfig.historySummaryTokens,
+      temperature: 0.3,
+      contextStrategy: 'trim'
+    });
+
+    return response.content;
   }
 
-  getCurrentOpenAIClient() {
-    if (this.openaiClients.length === 0) return null;
-    return this.openaiClients[this.currentOpenAIIndex];
+  recordUsage(options, response) {
+    return aiBudget.record({
+      feature: options.feature,
+      provider: response.provider,
+      model: response.model,
+      usage: response.usage,
+      downgraded: options.downgrade
+    });
   }
 
-  getCurrentAnthropicClient() {
-    if (this.anthropicClients.length === 0) return null;
-    return this.anthropicClients[this.currentAnthropicIndex];
+  async handleProviderError(provider, keyIndex, error) {
+    const pool = this.keyPools[provider];
+
+    await circuitBreaker.recordFailure(provider, pool.getKey(keyIndex), error);
+
+    if (error.status === 429) {
+      await pool.recordRateLimit(keyIndex, error.headers);
+    } else if (error.status === 401 || error.status === 403) {
+      await pool.recordAuthFailure(keyIndex, error);
+    }
   }
 
-  getCurrentSentientClient() {
-    if (this.sentientClients.length === 0) return null;
-    return this.sentientClients[this.currentSentientIndex];
+  // options.useCase picks provider and model from the routing table;
+  // options.feature tags the call for budgeting: dm, chat, post, summary, comment;
+  // options.cache is false to skip the response cache, or { prompt, scope }
+  // to choose what the cache key is built from (see response-cache.js);
+  // options.json asks for a JSON object, with JSON mode where the provider has it
+  async chat(messages, requestOptions = {}) {
+    const provider = this.resolveProvider(requestOptions);
+
+    const cacheRequest = responseCache.prepare(messages, requestOptions, this.resolveModel(provider, requestOptions));
+    const cached = cacheRequest && await responseCache.lookup(cacheRequest, (text) => this.embedForCache(text));
+    if (cached) return cached;
+
+    const response = await this.completeChat(provider, messages, requestOptions);
+    if (cacheRequest) await responseCache.save(cacheRequest, response);
+    return response;
   }
 
-  async chat(messages, options = {}) {
-    const provider = options.provider || this.defaultProvider;
-    const maxRetries = options.maxRetries || 3;
+  async completeChat(provider, messages, requestOptions) {
+    const maxRetries = requestOptions.maxRetries || 3;
+
+    await this.syncHealth();
+
+    const { decision, options } = this.applyBudget(provider, { ...requestOptions, feature: requestOptions.feature || 'other' });
+    const blocked = options ? null : decision;
+    let context = null;
     
-    for (let attempt = 0; attempt < maxRetries; attempt++) {
+    for (let attempt = 0; options && attempt < maxRetries; attempt++) {
+      // Fit the context first: once a key is selected nothing may be awaited before the request
+      context = context || await this.fitContext(provider, messages, options);
+
+      // Don't burn retries on a provider whose circuit is open or whose keys are all exhausted
+      if (!this.isProviderAvailable(provider)) {
+        logger.warn(`Skipping ${provider}: not configured, circuit open or no usable keys`);
+        break;
+      }
+
+      const keyIndex = this.selectKey(provider);
+
       try {
-        if (provider === 'openai' && this.openaiClients.length > 0) {
-          return await this.chatWithOpenAI(messages, options);
-        } else if (provider === 'anthropic' && this.anthropicClients.length > 0) {
-          return await this.chatWithAnthropic(messages, options);
-        } else if (provider === 'sentient' && this.sentientClients.length > 0) {
-          return await this.chatWithSentient(messages, options);
-        } else {
-          throw new Error(`Provider ${provider} not available or not configured`);
-        }
+        const response = await this.chatWithProvider(provider, context.messages, options, keyIndex);
+        await circuitBreaker.recordSuccess(provider, this.keyPools[provider].getKey(keyIndex));
+        await this.recordUsage(options, response);
+        return { ...response, context: context.report };
       } catch (error) {
-        logger.error(`AI chat error (attempt ${attempt + 1}) with ${provider}:`, error.message);
+        logger.error(`AI chat error (attempt ${attempt + 1}) with ${provider} key #${keyIndex}:`, error.message);
         
-        // Rotate key on rate limit or auth errors
-        if (error.status === 429 || error.status === 401) {
-          if (provider === 'openai') {
-            this.rotateOpenAIKey();
-          } else if (provider === 'anthropic') {
-            this.rotateAnthropicKey();
-          } else if (provider === 'sentient') {
-            this.rotateSentientKey();
-          }
-        }
+        await this.handleProviderError(provider, keyIndex, error);
         
-        // Try alternate provider on last attempt
-        if (attempt === maxRetries - 1) {
-          return await this.fallbackToAvailableProvider(provider, messages, options);
-        }
+        if (attempt === maxRetries - 1) break;
         
         await this.sleep(1000 * Math.pow(2, attempt));
       }
     }
     
-    throw new Error('All AI providers failed');
+    // Try alternate providers once the preferred one is exhausted or over budget
+    return await this.fallbackToAvailableProvider(provider, messages, options || { ...requestOptions, feature: decision.feature }, blocked);
   }
 
-  async fallbackToAvailableProvider(failedProvider, messages, options) {
+  async fallbackToAvailableProvider(failedProvider, messages, requestOptions, blocked = null) {
     logger.info(`Attempting fallback from ${failedProvider}...`);
     
-    // Try providers in order: sentient, openai, anthropic (excluding the failed one)
-    const fallbackOrder = ['sentient', 'openai', 'anthropic'].filter(p => p !== failedProvider);
+    // Try providers in order: sentient, openai, anthropic, mock (excluding the failed one)
+    const fallbackOrder = ['sentient', 'openai', 'anthropic', 'mock'].filter(p => p !== failedProvider);
     
     for (const provider of fallbackOrder) {
+      if (!this.isProviderAvailable(provider)) continue;
+
+      const { decision, options } = this.applyBudget(provider, requestOptions);
+      if (!options) {
+        blocked = decision;
+        continue;
+      }
+
+      const context = await this.fitContext(provider, messages, options);
+      // Summarizing may have changed the circuit; check again right before taking a key
+      if (!this.isProviderAvailable(provider)) continue;
+
+      const keyIndex = this.selectKey(provider);
+
       try {
-        if (provider === 'sentient' && this.sentientClients.length > 0) {
-          logger.info('Falling back to Sentient');
-          return await this.chatWithSentient(messages, options);
-        } else if (provider === 'openai' && this.openaiClients.length > 0) {
-          logger.info('Falling back to OpenAI');
-          return await this.chatWithOpenAI(messages, options);
-        } else if (provider === 'anthropic' && this.anthropicClients.length > 0) {
-          logger.info('Falling back to Anthropic');
-          return await this.chatWithAnthropic(messages, options);
-        }
+        logger.info(`Falling back to ${provider}`);
+        const response = await this.chatWithProvider(provider, context.messages, options, keyIndex);
+        await circuitBreaker.recordSuccess(provider, this.keyPools[provider].getKey(keyIndex));
+        await this.recordUsage(options, response);
+        return { ...response, context: context.report };
       } catch (error) {
         logger.error(`Fallback to ${provider} failed:`, error.message);
-        continue;
+        await this.handleProviderError(provider, keyIndex, error);
       }
     }
     
+    if (blocked) throw budgetExceededError(blocked);
     throw new Error('All fallback providers failed');
   }
 
-  async chatWithOpenAI(messages, options) {
-    const client = this.getCurrentOpenAIClient();
+  // Embeds texts with the configured embedding provider. There is no fallback
+  // to other providers: vectors from different models can't be compared.
+  async embed(texts, requestOptions = {}) {
+    const provider = requestOptions.provider || ragConfig.embeddingProvider;
+    const model = requestOptions.model || ragConfig.embeddingModels[provider];
+    const maxRetries = requestOptions.maxRetries || 3;
+
+    if (!model) throw new Error(`No embedding model configured for ${provider}`);
+
+    await this.syncHealth();
+
+    const { decision, options } = this.applyBudget(provider, { ...requestOptions, feature: requestOptions.feature || 'rag' });
+    if (!options) throw budgetExceededError(decision);
+
+    for (let attempt = 0; attempt < maxRetries; attempt++) {
+      if (!this.isProviderAvailable(provider)) break;
+
+      const keyIndex = this.selectKey(provider);
+      const client = this.getClient(provider, keyIndex);
+
+      try {
+        const { data: response, response: raw } = await this.limiter.schedule(() =>
+          client.embeddings.create({ model, input: texts }).withResponse()
+        );
+
+        this.keyPools[provider].recordResponse(keyIndex, raw.headers);
+        await circuitBreaker.recordSuccess(provider, this.keyPools[provider].getKey(keyIndex));
+        await this.recordUsage(options, { provider, model, usage: response.usage });
+
+        return [...response.data].sort((a, b) => a.index - b.index).map(item => item.embedding);
+      } catch (error) {
+        logger.error(`Embedding error (attempt ${attempt + 1}) with ${provider} key #${keyIndex}:`, error.message);
+
+        await this.handleProviderError(provider, keyIndex, error);
+
+        if (attempt === maxRetries - 1) break;
+
+        await this.sleep(1000 * Math.pow(2, attempt));
+      }
+    }
+
+    throw new Error(`Embedding with ${provider} failed`);
+  }
+
+  // Prompt embedding for semantic response cache matches
+  async embedForCache(text) {
+    const { provider, model } = cacheConfig.semantic;
+    const [embedding] = await this.embed([text], { provider, model, feature: 'cache' });
+    return embedding;
+  }
+
+  chatWithProvider(provider, messages, options, keyIndex) {
+    if (options.tools?.length) return this.chatWithTools(provider, messages, options, keyIndex);
+
+    return this.completeWithProvider(provider, messages, options, keyIndex);
+  }
+
+  completeWithProvider(provider, messages, options, keyIndex) {
+    if (provider === 'openai') return this.chatWithOpenAI(messages, options, keyIndex);
+    if (provider === 'anthropic') return this.chatWithAnthropic(messages, options, keyIndex);
+    if (provider === 'sentient') return this.chatWithSentient(messages, options, keyIndex);
+    if (provider === 'mock') return this.chatWithMock(messages, options, keyIndex);
+
+    throw new Error(`Provider ${provider} not available or not configured`);
+  }
+
+  async chatWithOpenAI(messages, options, keyIndex) {
+    const client = this.getClient('openai', keyIndex);
     if (!client) throw new Error('OpenAI client not available');
     
     return this.limiter.schedule(async () => {
-      const response = await client.chat.completions.create({
-        model: options.model || process.env.AI_MODEL || 'gpt-4-turbo-preview',
+      const { data: response, response: raw } = await client.chat.completions.create({
+        model: this.resolveModel('openai', options),
         messages: messages,
         temperature: options.temperature || 0.8,
         max_tokens: options.maxTokens || 500,
         presence_penalty: 0.6,
-        frequency_penalty: 0.3
-      });
+        frequency_penalty: 0.3,
+        ...(this.jsonMode('openai', options) && { response_format: { type: 'json_object' } }),
+        ...(options.toolDefinitions && { tools: options.toolDefinitions, tool_choice: options.toolChoice || 'auto' })
+      }).withResponse();
+
+      this.keyPools.openai.recordResponse(keyIndex, raw.headers);
       
       return {
-        content: response.choices[0].message.content,
+        content: response.choices[0].message.content || '',
         provider: 'openai',
         model: response.model,
-        usage: response.usage
+        usage: response.usage,
+        assistantMessage: response.choices[0].message
       };
     });
   }
 
-  async chatWithAnthropic(messages, options) {
-    const client = this.getCurrentAnthropicClient();
+  async chatWithAnthropic(messages, options, keyIndex) {
+    const client = this.getClient('anthropic', keyIndex);
     if (!client) throw new Error('Anthropic client not available');
     
     return this.limiter.schedule(async () => {
@@ -187,39 +437,51 @@ class AIManager {
       const systemMessage = messages.find(m => m.role === 'system');
       const conversationMessages = messages.filter(m => m.role !== 'system');
       
-      const response = await client.messages.create({
-        model: options.model || 'claude-3-5-sonnet-20241022',
+      const { data: response, response: raw } = await client.messages.create({
+        model: this.resolveModel('anthropic', options),
         max_tokens: options.maxTokens || 500,
         system: systemMessage?.content || '',
         messages: conversationMessages.map(m => ({
           role: m.role === 'assistant' ? 'assistant' : 'user',
           content: m.content
         })),
-        temperature: options.temperature || 0.8
-      });
+        temperature: options.temperature || 0.8,
+        ...(options.toolDefinitions && { tools: options.toolDefinitions, tool_choice: options.toolChoice || { type: 'auto' } })
+      }).withResponse();
+
+      this.keyPools.anthropic.recordResponse(keyIndex, raw.headers);
       
       return {
-        content: response.content[0].text,
+        content: response.content.filter(block => block.type === 'text').map(block => block.text).join(''),
         provider: 'anthropic',
         model: response.model,
-        usage: response.usage
+        // Normalise to the OpenAI usage shape so callers can read total_tokens
+        usage: {
+          prompt_tokens: response.usage.input_tokens,
+          completion_tokens: response.usage.output_tokens,
+          total_tokens: response.usage.input_tokens + response.usage.output_tokens
+        },
+        contentBlocks: response.content
       };
     });
   }
 
-  async chatWithSentient(messages, options) {
-    const client = this.getCurrentSentientClient();
+  async chatWithSentient(messages, options, keyIndex) {
+    const client = this.getClient('sentient', keyIndex);
     if (!client) throw new Error('Sentient client not available');
     
     return this.limiter.schedule(async () => {
-      const response = await client.chat.completions.create({
-        model: options.model || 'accounts/sentientfoundation-serverless/models/dobby-mini-unhinged-plus-llama-3-1-8b',
+      const { data: response, response: raw } = await client.chat.completions.create({
+        model: this.resolveModel('sentient', options),
         messages: messages,
         temperature: options.temperature || 0.8,
         max_tokens: options.maxTokens || 500,
         presence_penalty: 0.6,
-        frequency_penalty: 0.3
-      });
+        frequency_penalty: 0.3,
+        ...(this.jsonMode('sentient', options) && { response_format: { type: 'json_object' } })
+      }).withResponse();
+
+      this.keyPools.sentient.recordResponse(keyIndex, raw.headers);
       
       return {
         content: response.choices[0].message.content,
@@ -230,18 +492,431 @@ class AIManager {
     });
   }
 
+  async chatWithMock(messages, options, keyIndex) {
+    const client = this.getClient('mock', keyIndex);
+    if (!client) throw new Error('Mock client not available');
+
+    return this.limiter.schedule(async () => {
+      const { data: response, response: raw } = await client.chat.completions.create({
+        model: this.resolveModel('mock', options),
+        messages: messages,
+        temperature: options.temperature || 0.8,
+        max_tokens: options.maxTokens || 500,
+        ...(this.jsonMode('mock', options) && { response_format: { type: 'json_object' } })
+      }).withResponse();
+
+      this.keyPools.mock.recordResponse(keyIndex, raw.headers);
+
+      return {
+        content: response.choices[0].message.content,
+        provider: 'mock',
+        model: response.model,
+        usage: response.usage
+      };
+    });
+  }
+
+  // Providers without JSON mode rely on the prompt asking for JSON
+  jsonMode(provider, options) {
+    return Boolean(options.json && providerCapabilities[provider]?.supportsJsonMode);
+  }
+
+  // Native function calling for OpenAI and Anthropic; tools described in the
+  // prompt for models without it (Sentient's Dobby models, the mock)
+  toolStyle(provider) {
+    if (provider === 'anthropic') return 'anthropic';
+    if (providerCapabilities[provider]?.supportsFunctions) return 'openai';
+    return 'prompt';
+  }
+
+  // Multi-step tool loop: the model may call tools, their results are fed
+  // back and it goes again, until it answers or maxToolSteps is reached, at
+  // which point it must answer without tools.
+  async chatWithTools(provider, messages, options, keyIndex) {
+    const tools = toolRegistry.list(options.tools);
+    const style = this.toolStyle(provider);
+    const maxSteps = options.maxToolSteps || aiConfig.maxToolSteps;
+    const toolCalls = [];
+    const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+
+    let conversation = messages;
+    if (style === 'prompt') {
+      const [first, ...rest] = messages;
+      conversation = first?.role === 'system'
+        ? [{ ...first, content: `${first.content}\n\n${buildToolPrompt(tools)}` }, ...rest]
+        : [{ role: 'system', content: buildToolPrompt(tools) }, ...messages];
+    }
+
+    for (let step = 0; ; step++) {
+      const final = step >= maxSteps;
+      const turn = await this.toolTurn(style, provider, conversation, options, keyIndex, tools, final);
+
+      usage.prompt_tokens += turn.usage?.prompt_tokens || 0;
+      usage.completion_tokens += turn.usage?.completion_tokens || 0;
+      usage.total_tokens += turn.usage?.total_tokens || 0;
+
+      if (turn.calls.length === 0 || final) {
+        return { content: turn.content, provider, model: turn.model, usage, toolCalls };
+      }
+
+      const results = [];
+      for (const call of turn.calls) {
+        const result = call.error
+          ? { error: call.error }
+          : await toolRegistry.execute(call.name, call.arguments, options.toolContext);
+
+        results.push(result);
+        toolCalls.push({ name: call.name, arguments: call.arguments, error: result?.error || null });
+      }
+
+      conversation = [
+        ...conversation,
+        ...this.toolResultMessages(style, turn, results, step + 1 >= maxSteps)
+      ];
+    }
+  }
+
+  // One model call in the tool loop, with the tool calls it asked for
+  async toolTurn(style, provider, conversation, options, keyIndex, tools, final) {
+    if (style === 'prompt') {
+      const response = await this.completeWithProvider(provider, conversation, options, keyIndex);
+      const { calls, content } = parseToolCalls(response.content);
+      return { ...response, content, calls: final ? [] : calls, rawContent: response.content };
+    }
+
+    if (style === 'anthropic') {
+      const response = await this.chatWithAnthropic(conversation, {
+        ...options,
+        toolDefinitions: toAnthropicTools(tools),
+        toolChoice: final ? { type: 'none' } : { type: 'auto' }
+      }, keyIndex);
+      const calls = response.contentBlocks
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({ id: block.id, name: block.name, arguments: block.input }));
+      return { ...response, calls };
+    }
+
+    const response = await this.completeWithProvider(provider, conversation, {
+      ...options,
+      toolDefinitions: toOpenAITools(tools),
+      toolChoice: final ? 'none' : 'auto'
+    }, keyIndex);
+    const calls = (response.assistantMessage.tool_calls || []).map(call => {
+      try {
+        return { id: call.id, name: call.function.name, arguments: JSON.parse(call.function.arguments || '{}') };
+      } catch {
+        return { id: call.id, name: call.function.name, arguments: {}, error: 'Tool arguments were not valid JSON' };
+      }
+    });
+    return { ...response, calls };
+  }
+
+  // Messages that hand tool results back to the model, in the style's format
+  toolResultMessages(style, turn, results, final) {
+    if (style === 'prompt') {
+      return [
+        { role: 'assistant', content: turn.rawContent },
+        { role: 'user', content: formatToolResults(turn.calls, results, { final }) }
+      ];
+    }
+
+    if (style === 'anthropic') {
+      return [
+        { role: 'assistant', content: turn.contentBlocks },
+        {
+          role: 'user',
+          content: turn.calls.map((call, i) => ({
+            type: 'tool_result',
+            tool_use_id: call.id,
+            content: JSON.stringify(results[i]),
+            is_error: Boolean(results[i]?.error)
+          }))
+        }
+      ];
+    }
+
+    return [
+      { role: 'assistant', content: turn.assistantMessage.content, tool_calls: turn.assistantMessage.tool_calls },
+      ...turn.calls.map((call, i) => ({
+        role: 'tool',
+        tool_call_id: call.id,
+        content: JSON.stringify(results[i])
+      }))
+    ];
+  }
+
+  // Streams a completion as { type: 'delta' | 'reset' | 'done' } events.
+  // A 'reset' event means the provider failed after emitting text and the
+  // consumer should discard what it has so far; the retry starts from scratch.
+  async *chatStream(messages, requestOptions = {}) {
+    const provider = this.resolveProvider(requestOptions);
+
+    // A cached answer arrives as a single delta
+    const cacheRequest = responseCache.prepare(messages, requestOptions, this.resolveModel(provider, requestOptions));
+    const cached = cacheRequest && await responseCache.lookup(cacheRequest, (text) => this.embedForCache(text));
+    if (cached) {
+      yield { type: 'delta', content: cached.content, provider: cached.provider };
+      yield { type: 'done', ...cached };
+      return;
+    }
+
+    for await (const event of this.completeStream(provider, messages, requestOptions)) {
+      if (event.type === 'done' && cacheRequest) await responseCache.save(cacheRequest, event);
+      yield event;
+    }
+  }
+
+  async *completeStream(provider, messages, requestOptions) {
+    const maxRetries = requestOptions.maxRetries || 3;
+
+    await this.syncHealth();
+
+    const { decision, options } = this.applyBudget(provider, { ...requestOptions, feature: requestOptions.feature || 'other' });
+    const blocked = options ? null : decision;
+    let context = null;
+
+    for (let attempt = 0; options && attempt < maxRetries; attempt++) {
+      context = context || await this.fitContext(provider, messages, options);
+
+      if (!this.isProviderAvailable(provider)) {
+        logger.warn(`Skipping ${provider}: not configured, circuit open or no usable keys`);
+        break;
+      }
+
+      const keyIndex = this.selectKey(provider);
+      let emitted = false;
+
+      try {
+        for await (const event of this.streamFromProvider(provider, context.messages, options, keyIndex)) {
+          emitted = true;
+          if (event.type === 'done') {
+            await this.recordUsage(options, event);
+            event.context = context.report;
+          }
+          yield event;
+        }
+        await circuitBreaker.recordSuccess(provider, this.keyPools[provider].getKey(keyIndex));
+        return;
+      } catch (error) {
+        logger.error(`AI stream error (attempt ${attempt + 1}) with ${provider} key #${keyIndex}:`, error.message);
+
+        await this.handleProviderError(provider, keyIndex, error);
+
+        if (emitted) {
+          yield { type: 'reset', provider, reason: error.message };
+        }
+
+        if (attempt === maxRetries - 1) break;
+
+        await this.sleep(1000 * Math.pow(2, attempt));
+      }
+    }
+
+    yield* this.fallbackStream(provider, messages, options || { ...requestOptions, feature: decision.feature }, blocked);
+  }
+
+  async *fallbackStream(failedProvider, messages, requestOptions, blocked = null) {
+    logger.info(`Attempting stream fallback from ${failedProvider}...`);
+
+    const fallbackOrder = ['sentient', 'openai', 'anthropic', 'mock'].filter(p => p !== failedProvider);
+
+    for (const provider of fallbackOrder) {
+      if (!this.isProviderAvailable(provider)) continue;
+
+      const { decision, options } = this.applyBudget(provider, requestOptions);
+      if (!options) {
+        blocked = decision;
+        continue;
+      }
+
+      const context = await this.fitContext(provider, messages, options);
+      if (!this.isProviderAvailable(provider)) continue;
+
+      const keyIndex = this.selectKey(provider);
+      let emitted = false;
+
+      try {
+        logger.info(`Falling back to ${provider} (stream)`);
+        for await (const event of this.streamFromProvider(provider, context.messages, options, keyIndex)) {
+          emitted = true;
+          if (event.type === 'done') {
+            await this.recordUsage(options, event);
+            event.context = context.report;
+          }
+          yield event;
+        }
+        await circuitBreaker.recordSuccess(provider, this.keyPools[provider].getKey(keyIndex));
+        return;
+      } catch (error) {
+        logger.error(`Stream fallback to ${provider} failed:`, error.message);
+        await this.handleProviderError(provider, keyIndex, error);
+
+        if (emitted) {
+          yield { type: 'reset', provider, reason: error.message };
+        }
+      }
+    }
+
+    if (blocked) throw budgetExceededError(blocked);
+    throw new Error('All fallback providers failed');
+  }
+
+  streamFromProvider(provider, messages, options, keyIndex) {
+    if (provider === 'openai') return this.streamWithOpenAI(messages, options, keyIndex);
+    if (provider === 'anthropic') return this.streamWithAnthropic(messages, options, keyIndex);
+    if (provider === 'sentient') return this.streamWithSentient(messages, options, keyIndex);
+    if (provider === 'mock') return this.streamWithMock(messages, options, keyIndex);
+
+    throw new Error(`Provider ${provider} not available or not configured`);
+  }
+
+  streamWithOpenAI(messages, options, keyIndex) {
+    return this.streamOpenAICompatible('openai', keyIndex, {
+      model: this.resolveModel('openai', options),
+      messages: messages,
+      temperature: options.temperature || 0.8,
+      max_tokens: options.maxTokens || 500,
+      presence_penalty: 0.6,
+      frequency_penalty: 0.3,
+      stream_options: { include_usage: true }
+    });
+  }
+
+  streamWithSentient(messages, options, keyIndex) {
+    return this.streamOpenAICompatible('sentient', keyIndex, {
+      model: this.resolveModel('sentient', options),
+      messages: messages,
+      temperature: options.temperature || 0.8,
+      max_tokens: options.maxTokens || 500,
+      presence_penalty: 0.6,
+      frequency_penalty: 0.3
+    });
+  }
+
+  streamWithMock(messages, options, keyIndex) {
+    return this.streamOpenAICompatible('mock', keyIndex, {
+      model: this.resolveModel('mock', options),
+      messages: messages,
+      temperature: options.temperature || 0.8,
+      max_tokens: options.maxTokens || 500
+    });
+  }
+
+  // OpenAI, Fireworks and the mock client share the chat.completions chunk format
+  async *streamOpenAICompatible(provider, keyIndex, params) {
+    const client = this.getClient(provider, keyIndex);
+    if (!client) throw new Error(`${provider} client not available`);
+
+    const { data: stream, response: raw } = await this.limiter.schedule(() =>
+      client.chat.completions.create({ ...params, stream: true }).withResponse()
+    );
+
+    this.keyPools[provider].recordResponse(keyIndex, raw.headers);
+
+    let content = '';
+    let model = params.model;
+    let usage = null;
+
+    for await (const chunk of stream) {
+      if (chunk.model) model = chunk.model;
+      if (chunk.usage) usage = chunk.usage;
+
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        yield { type: 'delta', content: delta, provider };
+      }
+    }
+
+    yield {
+      type: 'done',
+      content,
+      provider,
+      model,
+      usage: usage || { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+    };
+  }
+
+  async *streamWithAnthropic(messages, options, keyIndex) {
+    const client = this.getClient('anthropic', keyIndex);
+    if (!client) throw new Error('Anthropic client not available');
+
+    const systemMessage = messages.find(m => m.role === 'system');
+    const conversationMessages = messages.filter(m => m.role !== 'system');
+
+    let model = this.resolveModel('anthropic', options);
+
+    const { data: stream, response: raw } = await this.limiter.schedule(() =>
+      client.messages.create({
+        model,
+        max_tokens: options.maxTokens || 500,
+        system: systemMessage?.content || '',
+        messages: conversationMessages.map(m => ({
+          role: m.role === 'assistant' ? 'assistant' : 'user',
+          content: m.content
+        })),
+        temperature: options.temperature || 0.8,
+        stream: true
+      }).withResponse()
+    );
+
+    this.keyPools.anthropic.recordResponse(keyIndex, raw.headers);
+
+    let content = '';
+    let inputTokens = 0;
+    let outputTokens = 0;
+
+    for await (const event of stream) {
+      if (event.type === 'message_start') {
+        model = event.message.model;
+        inputTokens = event.message.usage?.input_tokens || 0;
+      } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+        content += event.delta.text;
+        yield { type: 'delta', content: event.delta.text, provider: 'anthropic' };
+      } else if (event.type === 'message_delta') {
+        outputTokens = event.usage?.output_tokens || outputTokens;
+      }
+    }
+
+    // Normalise to the OpenAI usage shape so callers can read total_tokens
+    yield {
+      type: 'done',
+      content,
+      provider: 'anthropic',
+      model,
+      usage: {
+        prompt_tokens: inputTokens,
+        completion_tokens: outputTokens,
+        total_tokens: inputTokens + outputTokens
+      }
+    };
+  }
+
   sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
+  getProviderHealth() {
+    return circuitBreaker.getStats();
+  }
+
+  getKeyStats() {
+    return Object.fromEntries(
+      Object.entries(this.keyPools)
+        .filter(([, pool]) => pool.size > 0)
+        .map(([provider, pool]) => [provider, pool.getStats()])
+    );
+  }
+
   // Helper method to check provider availability
   getAvailableProviders() {
     return {
       openai: this.openaiClients.length > 0,
       anthropic: this.anthropicClients.length > 0,
-      sentient: this.sentientClients.length > 0
+      sentient: this.sentientClients.length > 0,
+      mock: this.mockClients.length > 0
     };
   }
 }
 
-export const aiManager = new AIManager();
\ No newline at end of file
+export const aiManager = new AIManager();
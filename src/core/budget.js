@@ -0,0 +1,272 @@
+import { budgetConfig, estimateCost, openAIConfig, anthropicConfig, sentientConfig } from '../config/ai-providers.js';
+import { saveAIUsage, loadAIUsageTotals } from '../config/database.js';
+import { logger } from '../utils/logger.js';
+
+// Token and dollar budget for AI calls.
+//
+// Every completion is recorded with its provider, model, feature (dm, chat,
+// post, summary, ...) and estimated cost. Before a call, evaluate() compares
+// spend against the daily and monthly caps: once any cap is `downgradeAt`
+// used, calls switch to the provider's fast model; past the cap,
+// non-essential features are refused. Essential features keep going
+// (downgraded) until `hardLimitMultiplier` times the cap, then everything
+// stops. Spend is persisted to the ai_usage table and re-read periodically so
+// serverless invocations share one budget. Periods roll over at UTC midnight.
+
+export const BudgetStatus = {
+  OK: 'ok',
+  DOWNGRADE: 'downgrade',
+  BLOCKED: 'blocked',
+};
+
+const FAST_MODELS = {
+  openai: openAIConfig.models.fast,
+  anthropic: anthropicConfig.models.fast,
+  sentient: sentientConfig.models.fast,
+  mock: 'dobby-mock-1',
+};
+
+function startOfDay(now) {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+function startOfMonth(now) {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+}
+
+function roundUsd(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+// Usage arrives in the OpenAI (prompt/completion) or Anthropic (input/output) shape
+export function normalizeUsage(usage = {}) {
+  const promptTokens = usage.prompt_tokens ?? usage.input_tokens ?? 0;
+  const completionTokens = usage.completion_tokens ?? usage.output_tokens ?? 0;
+
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: usage.total_tokens ?? promptTokens + completionTokens,
+  };
+}
+
+export function budgetExceededError(decision) {
+  const error = new Error(`AI budget exhausted: ${decision.cap} cap reached for ${decision.feature}`);
+  error.code = 'BUDGET_EXCEEDED';
+  error.decision = decision;
+  return error;
+}
+
+class AIBudget {
+  constructor(config = budgetConfig) {
+    this.config = config;
+
+    // `${provider}:${feature}` -> spend so far this day and month
+    this.entries = new Map();
+    this.dayStart = startOfDay(Date.now());
+    this.monthStart = startOfMonth(Date.now());
+    this.lastSyncAt = 0;
+  }
+
+  getEntry(provider, feature) {
+    const id = `${provider}:${feature}`;
+    if (!this.entries.has(id)) {
+      this.entries.set(id, { provider, feature, dayCost: 0, dayTokens: 0, monthCost: 0, monthTokens: 0 });
+    }
+    return this.entries.get(id);
+  }
+
+  rollPeriods(now = Date.now()) {
+    const dayStart = startOfDay(now);
+    const monthStart = startOfMonth(now);
+
+    if (monthStart !== this.monthStart) {
+      this.entries.clear();
+    } else if (dayStart !== this.dayStart) {
+      for (const entry of this.entries.values()) {
+        entry.dayCost = 0;
+        entry.dayTokens = 0;
+      }
+    }
+
+    this.dayStart = dayStart;
+    this.monthStart = monthStart;
+  }
+
+  // Replace in-memory spend with the database totals, at most once per sync interval
+  async sync(force = false) {
+    if (!this.config.persist) return;
+    if (!force && Date.now() - this.lastSyncAt < this.config.syncIntervalMs) return;
+
+    this.lastSyncAt = Date.now();
+    this.rollPeriods();
+
+    try {
+      const rows = await loadAIUsageTotals(
+        new Date(this.dayStart).toISOString(),
+        new Date(this.monthStart).toISOString()
+      );
+
+      this.entries.clear();
+      for (const row of rows) {
+        Object.assign(this.getEntry(row.provider, row.feature), {
+          dayCost: parseFloat(row.day_cost),
+          dayTokens: parseInt(row.day_tokens),
+          monthCost: parseFloat(row.month_cost),
+          monthTokens: parseInt(row.month_tokens),
+        });
+      }
+    } catch (error) {
+      logger.warn('Budget sync failed, using in-memory spend:', error.message);
+    }
+  }
+
+  sum(field, filter = () => true) {
+    let total = 0;
+    for (const entry of this.entries.values()) {
+      if (filter(entry)) total += entry[field];
+    }
+    return total;
+  }
+
+  // Every configured cap that applies to a call, with how much of it is used
+  caps(provider, feature) {
+    const c = this.config;
+
+    return [
+      { name: 'daily', unit: 'usd', limit: c.dailyLimitUsd, spent: this.sum('dayCost') },
+      { name: 'monthly', unit: 'usd', limit: c.monthlyLimitUsd, spent: this.sum('monthCost') },
+      { name: 'daily tokens', unit: 'tokens', limit: c.dailyTokenLimit, spent: this.sum('dayTokens') },
+      { name: 'monthly tokens', unit: 'tokens', limit: c.monthlyTokenLimit, spent: this.sum('monthTokens') },
+      {
+        name: `daily ${provider}`,
+        unit: 'usd',
+        limit: c.providerDailyLimitsUsd[provider] || 0,
+        spent: this.sum('dayCost', entry => entry.provider === provider),
+      },
+      {
+        name: `daily ${feature}`,
+        unit: 'usd',
+        limit: c.featureDailyLimitsUsd[feature] || 0,
+        spent: this.sum('dayCost', entry => entry.feature === feature),
+      },
+    ]
+      .filter(cap => cap.limit > 0)
+      .map(cap => ({ ...cap, utilization: cap.spent / cap.limit }));
+  }
+
+  capStatus(utilization, essential) {
+    if (utilization >= this.config.hardLimitMultiplier) return BudgetStatus.BLOCKED;
+    if (utilization >= 1 && !essential) return BudgetStatus.BLOCKED;
+    if (utilization >= this.config.downgradeAt) return BudgetStatus.DOWNGRADE;
+    return BudgetStatus.OK;
+  }
+
+  evaluate(feature, provider) {
+    this.rollPeriods();
+
+    const essential = this.config.essentialFeatures.includes(feature);
+    const worst = this.caps(provider, feature)
+      .reduce((max, cap) => (!max || cap.utilization > max.utilization ? cap : max), null);
+    const utilization = worst?.utilization || 0;
+    const status = this.capStatus(utilization, essential);
+
+    if (status === BudgetStatus.BLOCKED) {
+      logger.warn(`AI budget blocks ${feature} on ${provider}: ${worst.name} cap at ${Math.round(utilization * 100)}%`);
+    }
+
+    return {
+      status,
+      feature,
+      provider,
+      essential,
+      cap: worst?.name || null,
+      utilization,
+    };
+  }
+
+  fastModel(provider) {
+    return FAST_MODELS[provider];
+  }
+
+  async record({ feature, provider, model, usage, downgraded = false }) {
+    this.rollPeriods();
+
+    const tokens = normalizeUsage(usage);
+    const costUsd = estimateCost(provider, tokens.promptTokens, tokens.completionTokens, model);
+
+    const entry = this.getEntry(provider, feature);
+    entry.dayCost += costUsd;
+    entry.dayTokens += tokens.totalTokens;
+    entry.monthCost += costUsd;
+    entry.monthTokens += tokens.totalTokens;
+
+    if (this.config.persist) {
+      try {
+        await saveAIUsage({ provider, model, feature, ...tokens, costUsd, downgraded });
+      } catch (error) {
+        logger.warn(`Failed to record AI usage for ${feature}:`, error.message);
+      }
+    }
+
+    return costUsd;
+  }
+
+  breakdown(key) {
+    const groups = {};
+    for (const entry of this.entries.values()) {
+      const group = groups[entry[key]] || (groups[entry[key]] = { todayUsd: 0, todayTokens: 0, monthUsd: 0, monthTokens: 0 });
+      group.todayUsd = roundUsd(group.todayUsd + entry.dayCost);
+      group.todayTokens += entry.dayTokens;
+      group.monthUsd = roundUsd(group.monthUsd + entry.monthCost);
+      group.monthTokens += entry.monthTokens;
+    }
+    return groups;
+  }
+
+  getReport() {
+    this.rollPeriods();
+
+    const c = this.config;
+    const caps = [
+      ...this.caps(null, null),
+      ...Object.keys(c.providerDailyLimitsUsd).map(provider => this.caps(provider, null).find(cap => cap.name === `daily ${provider}`)),
+      ...Object.keys(c.featureDailyLimitsUsd).map(feature => this.caps(null, feature).find(cap => cap.name === `daily ${feature}`)),
+    ];
+
+    return {
+      day: new Date(this.dayStart).toISOString(),
+      month: new Date(this.monthStart).toISOString(),
+      spend: {
+        todayUsd: roundUsd(this.sum('dayCost')),
+        todayTokens: this.sum('dayTokens'),
+        monthUsd: roundUsd(this.sum('monthCost')),
+        monthTokens: this.sum('monthTokens'),
+      },
+      byProvider: this.breakdown('provider'),
+      byFeature: this.breakdown('feature'),
+      caps: caps.map(cap => ({
+        name: cap.name,
+        unit: cap.unit,
+        limit: cap.limit,
+        spent: cap.unit === 'usd' ? roundUsd(cap.spent) : cap.spent,
+        utilization: Math.round(cap.utilization * 1000) / 1000,
+        status: this.capStatus(cap.utilization, false),
+      })),
+      policy: {
+        downgradeAt: c.downgradeAt,
+        hardLimitMultiplier: c.hardLimitMultiplier,
+        essentialFeatures: c.essentialFeatures,
+      },
+    };
+  }
+
+  reset() {
+    this.entries.clear();
+    this.lastSyncAt = 0;
+  }
+}
+
+export const aiBudget = new AIBudget();
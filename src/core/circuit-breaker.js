@@ -0,0 +1,227 @@
+import { circuitBreakerConfig } from '../config/ai-providers.js';
+import { loadProviderHealth, saveProviderHealth } from '../config/database.js';
+import { hashString } from '../utils/helpers.js';
+import { logger } from '../utils/logger.js';
+
+// Circuit breaker for AI providers and their individual API keys.
+//
+// Each provider has a provider-level circuit (outages, 5xx, timeouts) and one
+// circuit per key (429/401/403). A circuit opens after `failureThreshold`
+// consecutive failures, goes half-open once `cooldownMs` has passed and lets
+// a single trial request through (others are refused until its outcome is
+// recorded, or for cooldownMs if it never is); success closes it, failure
+// re-opens it.
+// State is persisted to the provider_health table so that serverless
+// invocations share it.
+
+export const CircuitState = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open',
+};
+
+const KEY_ERROR_STATUSES = [401, 403, 429];
+const CALLER_ERROR_STATUSES = [400, 404, 413, 422];
+
+class CircuitBreaker {
+  constructor(config = circuitBreakerConfig) {
+    this.failureThreshold = config.failureThreshold;
+    this.cooldownMs = config.cooldownMs;
+    this.syncIntervalMs = config.syncIntervalMs;
+    this.persist = config.persist;
+
+    this.circuits = new Map();
+    this.lastSyncAt = 0;
+  }
+
+  // Circuit id for a single key; the key itself is never stored
+  keyId(provider, apiKey) {
+    return `${provider}:${hashString(apiKey)}`;
+  }
+
+  getCircuit(id, provider = id.split(':')[0]) {
+    if (!this.circuits.has(id)) {
+      this.circuits.set(id, {
+        id,
+        provider,
+        state: CircuitState.CLOSED,
+        consecutiveFailures: 0,
+        successes: 0,
+        failures: 0,
+        openedAt: null,
+        lastError: null,
+        updatedAt: 0,
+        // In-memory only: when the half-open trial request went out
+        probeStartedAt: null,
+      });
+    }
+    return this.circuits.get(id);
+  }
+
+  // Pull shared state from the database, at most once per sync interval
+  async sync(force = false) {
+    if (!this.persist) return;
+    if (!force && Date.now() - this.lastSyncAt < this.syncIntervalMs) return;
+
+    this.lastSyncAt = Date.now();
+
+    try {
+      const rows = await loadProviderHealth();
+      for (const row of rows) {
+        const circuit = this.getCircuit(row.id, row.provider);
+        const updatedAt = new Date(row.updated_at).getTime();
+        if (updatedAt <= circuit.updatedAt) continue;
+
+        Object.assign(circuit, {
+          state: row.state,
+          consecutiveFailures: row.consecutive_failures,
+          successes: row.successes,
+          failures: row.failures,
+          openedAt: row.opened_at ? new Date(row.opened_at).getTime() : null,
+          lastError: row.last_error,
+          updatedAt,
+        });
+      }
+    } catch (error) {
+      logger.warn('Circuit breaker sync failed, using in-memory state:', error.message);
+    }
+  }
+
+  canRequest(id) {
+    const circuit = this.getCircuit(id);
+
+    if (circuit.state === CircuitState.OPEN) {
+      if (Date.now() - circuit.openedAt < this.cooldownMs) return false;
+
+      circuit.state = CircuitState.HALF_OPEN;
+      logger.info(`Circuit ${id} half-open, allowing trial request`);
+    }
+
+    return !(circuit.state === CircuitState.HALF_OPEN && this.probeInFlight(circuit));
+  }
+
+  probeInFlight(circuit) {
+    return circuit.probeStartedAt !== null && Date.now() - circuit.probeStartedAt < this.cooldownMs;
+  }
+
+  // A request is going out on this provider and key; a half-open circuit
+  // takes it as its trial request
+  startRequest(provider, apiKey) {
+    for (const circuit of this.circuitsFor(provider, apiKey)) {
+      if (circuit.state === CircuitState.HALF_OPEN) circuit.probeStartedAt = Date.now();
+    }
+  }
+
+  circuitsFor(provider, apiKey) {
+    return apiKey
+      ? [this.getCircuit(provider), this.getCircuit(this.keyId(provider, apiKey), provider)]
+      : [this.getCircuit(provider)];
+  }
+
+  // A provider is usable when its own circuit and at least one key circuit allow requests
+  isProviderAvailable(provider, apiKeys) {
+    if (apiKeys.length === 0) return false;
+    if (!this.canRequest(provider)) return false;
+
+    return apiKeys.some(key => this.canRequest(this.keyId(provider, key)));
+  }
+
+  async recordSuccess(provider, apiKey) {
+    const changed = this.circuitsFor(provider, apiKey)
+      .filter(circuit => {
+        circuit.probeStartedAt = null;
+        const wasHealthy = circuit.state === CircuitState.CLOSED && circuit.consecutiveFailures === 0;
+
+        circuit.successes++;
+        circuit.consecutiveFailures = 0;
+        circuit.state = CircuitState.CLOSED;
+        circuit.openedAt = null;
+        circuit.updatedAt = Date.now();
+
+        if (!wasHealthy) logger.info(`Circuit ${circuit.id} closed`);
+        return !wasHealthy;
+      });
+
+    await this.save(changed);
+  }
+
+  async recordFailure(provider, apiKey, error) {
+    for (const circuit of this.circuitsFor(provider, apiKey)) circuit.probeStartedAt = null;
+
+    // Bad requests are the caller's fault, not a sign of provider health
+    if (CALLER_ERROR_STATUSES.includes(error.status)) return;
+
+    const id = KEY_ERROR_STATUSES.includes(error.status) && apiKey
+      ? this.keyId(provider, apiKey)
+      : provider;
+    const circuit = this.getCircuit(id, provider);
+
+    circuit.failures++;
+    circuit.consecutiveFailures++;
+    circuit.lastError = {
+      message: error.message,
+      status: error.status || null,
+      timestamp: new Date().toISOString(),
+    };
+    circuit.updatedAt = Date.now();
+
+    const shouldOpen = circuit.state === CircuitState.HALF_OPEN ||
+      circuit.consecutiveFailures >= this.failureThreshold;
+
+    if (shouldOpen && circuit.state !== CircuitState.OPEN) {
+      circuit.state = CircuitState.OPEN;
+      circuit.openedAt = Date.now();
+      logger.warn(`Circuit ${id} opened after ${circuit.consecutiveFailures} consecutive failure(s)`);
+    }
+
+    await this.save([circuit]);
+  }
+
+  async save(circuits) {
+    if (!this.persist) return;
+
+    for (const circuit of circuits) {
+      try {
+        await saveProviderHealth({
+          ...circuit,
+          openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+          updatedAt: new Date(circuit.updatedAt).toISOString(),
+        });
+      } catch (error) {
+        logger.warn(`Failed to persist circuit ${circuit.id}:`, error.message);
+      }
+    }
+  }
+
+  getHealthScore(id) {
+    const circuit = this.getCircuit(id);
+    const total = circuit.successes + circuit.failures;
+    if (total === 0) return 1;
+
+    return circuit.successes / total;
+  }
+
+  getStats() {
+    const stats = {};
+    for (const circuit of this.circuits.values()) {
+      stats[circuit.id] = {
+        provider: circuit.provider,
+        state: circuit.state,
+        consecutiveFailures: circuit.consecutiveFailures,
+        successes: circuit.successes,
+        failures: circuit.failures,
+        openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+        lastError: circuit.lastError,
+        healthScore: this.getHealthScore(circuit.id),
+      };
+    }
+    return stats;
+  }
+
+  reset() {
+    this.circuits.clear();
+    this.lastSyncAt = 0;
+  }
+}
+
+export const circuitBreaker = new CircuitBreaker();
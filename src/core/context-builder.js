@@ -0,0 +1,134 @@
+import { aiConfig, providerCapabilities, getTokenizer, estimateTokenCount } from '../config/ai-providers.js';
+import { truncateToTokens } from '../utils/tokenizer.js';
+import { logger } from '../utils/logger.js';
+
+// Fits a chat message list into the target model's context window.
+//
+// Leading system messages and the final (current) message are always kept.
+// Conversation history in between is kept newest-first while it fits both
+// aiConfig.maxContextTokens and the window left after the system prompt, the
+// current message and the response budget. Dropped history is either
+// discarded ('trim') or condensed into a summary appended to the system
+// prompt ('summarize'). If the current message alone is too large, it is
+// truncated. The returned report says what was dropped. A system prompt that
+// leaves no room for the current message is an error (CONTEXT_OVERFLOW), as
+// cutting it could drop the guardrails.
+
+// Chat formats add a few tokens per message for role and separators
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const REPLY_PRIMING_TOKENS = 3;
+
+export function contextOverflowError(report) {
+  const error = new Error(`System prompt (${report.systemTokens} tokens) leaves no room for the message within ${report.limit} tokens`);
+  error.code = 'CONTEXT_OVERFLOW';
+  error.report = report;
+  return error;
+}
+
+export function countMessageTokens(messages, provider, model = null) {
+  return messages.reduce(
+    (sum, m) => sum + estimateTokenCount(m.content || '', provider, model) + MESSAGE_OVERHEAD_TOKENS,
+    REPLY_PRIMING_TOKENS
+  );
+}
+
+// Newest history messages that fit within `budget` tokens. History never
+// starts with an assistant turn, since Anthropic requires a user turn first.
+function keepNewest(history, budget, count) {
+  const kept = [];
+  let used = 0;
+
+  for (let i = history.length - 1; i >= 0; i--) {
+    const tokens = count(history[i]);
+    if (used + tokens > budget) break;
+
+    kept.unshift(history[i]);
+    used += tokens;
+  }
+
+  while (kept.length > 0 && kept[0].role === 'assistant') {
+    used -= count(kept.shift());
+  }
+
+  return { kept, used };
+}
+
+export async function buildContext(messages, {
+  provider,
+  model = null,
+  responseTokens = aiConfig.maxResponseLength,
+  strategy = aiConfig.contextStrategy,
+  summarize = null,
+} = {}) {
+  const count = (m) => estimateTokenCount(m.content || '', provider, model) + MESSAGE_OVERHEAD_TOKENS;
+  const window = providerCapabilities[provider]?.maxContextWindow || 8192;
+  const limit = window - responseTokens - aiConfig.tokenBuffer;
+
+  const leadingCount = messages.findIndex(m => m.role !== 'system');
+  const leading = leadingCount === -1 ? messages.slice(0, -1) : messages.slice(0, leadingCount);
+  let current = messages[messages.length - 1];
+  const history = messages.slice(leading.length, -1);
+
+  const report = {
+    limit,
+    promptTokens: 0,
+    droppedMessages: 0,
+    droppedTokens: 0,
+    summarized: false,
+    truncatedTokens: 0,
+  };
+
+  if (!current) return { messages, report };
+
+  // The current message has to fit next to the system prompt, whatever it costs the history
+  const leadingTokens = leading.reduce((sum, m) => sum + count(m), REPLY_PRIMING_TOKENS);
+  const currentBudget = limit - leadingTokens;
+  if (currentBudget <= MESSAGE_OVERHEAD_TOKENS) {
+    throw contextOverflowError({ ...report, systemTokens: leadingTokens });
+  }
+  if (count(current) > currentBudget) {
+    const { encoding, multiplier } = getTokenizer(provider, model);
+    const before = count(current);
+    const maxTokens = Math.floor((currentBudget - MESSAGE_OVERHEAD_TOKENS) / multiplier);
+
+    current = { ...current, content: truncateToTokens(current.content, maxTokens, encoding) };
+    report.truncatedTokens = before - count(current);
+  }
+
+  const historyBudget = Math.max(0, Math.min(aiConfig.maxContextTokens, currentBudget - count(current)));
+  let { kept } = keepNewest(history, historyBudget, count);
+
+  let system = leading;
+  if (kept.length < history.length && strategy === 'summarize' && summarize) {
+    // Make room for the summary, then condense everything that didn't fit
+    const summaryBudget = aiConfig.historySummaryTokens + MESSAGE_OVERHEAD_TOKENS;
+    ({ kept } = keepNewest(history, Math.max(0, historyBudget - summaryBudget), count));
+    const dropped = history.slice(0, history.length - kept.length);
+
+    try {
+      const { encoding, multiplier } = getTokenizer(provider, model);
+      const summary = truncateToTokens(
+        await summarize(dropped),
+        Math.floor(aiConfig.historySummaryTokens / multiplier),
+        encoding
+      );
+      const note = `Summary of the earlier conversation:\n${summary}`;
+
+      system = leading.length > 0
+        ? [{ ...leading[0], content: `${leading[0].content}\n\n${note}` }, ...leading.slice(1)]
+        : [{ role: 'system', content: note }];
+      report.summarized = true;
+    } catch (error) {
+      logger.warn('History summary failed, trimming instead:', error.message);
+    }
+  }
+
+  const dropped = history.slice(0, history.length - kept.length);
+  report.droppedMessages = dropped.length;
+  report.droppedTokens = dropped.reduce((sum, m) => sum + count(m), 0);
+
+  const fitted = [...system, ...kept, current];
+  report.promptTokens = countMessageTokens(fitted, provider, model);
+
+  return { messages: fitted, report };
+}
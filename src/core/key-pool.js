@@ -0,0 +1,261 @@
+import { keyPoolConfig } from '../config/ai-providers.js';
+import { loadApiKeyStates, saveApiKeyState } from '../config/database.js';
+import { hashString } from '../utils/helpers.js';
+import { logger } from '../utils/logger.js';
+
+// Per-key rate-limit state for one AI provider.
+//
+// Every response updates the key's remaining requests/tokens from the
+// provider's rate-limit headers. A 429 parks the key until its reset time, and
+// repeated 401/403s disable it. selectKey() picks the usable key with the most
+// headroom instead of rotating blindly. Rate limits and disabled keys are
+// persisted to the api_key_state table so cold starts don't rediscover them.
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+// OpenAI/Fireworks reset headers look like "1s", "6m0s" or "120ms"
+export function parseDuration(value) {
+  const parts = String(value).match(/(\d+(?:\.\d+)?)(ms|s|m|h)/g);
+  if (!parts) return null;
+
+  return parts.reduce((total, part) => {
+    const [, amount, unit] = part.match(/(\d+(?:\.\d+)?)(ms|s|m|h)/);
+    return total + parseFloat(amount) * DURATION_UNITS[unit];
+  }, 0);
+}
+
+// Reset values are durations (OpenAI), RFC 3339 timestamps (Anthropic) or seconds
+function parseResetAt(value, now) {
+  if (value === null || value === undefined || value === '') return null;
+  if (/^\d+(\.\d+)?$/.test(value)) return now + parseFloat(value) * 1000;
+  if (/^\d{4}-\d{2}-\d{2}T/.test(value)) return Date.parse(value) || null;
+
+  const duration = parseDuration(value);
+  return duration === null ? null : now + duration;
+}
+
+function readHeader(headers, ...names) {
+  if (!headers) return null;
+
+  for (const name of names) {
+    const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+    if (value !== null && value !== undefined) return value;
+  }
+  return null;
+}
+
+function readNumber(headers, ...names) {
+  const value = readHeader(headers, ...names);
+  const parsed = parseFloat(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+export function parseRateLimitHeaders(headers, now = Date.now()) {
+  const retryAfterMs = readNumber(headers, 'retry-after-ms');
+  const retryAfter = readHeader(headers, 'retry-after');
+
+  return {
+    limitRequests: readNumber(headers, 'x-ratelimit-limit-requests', 'anthropic-ratelimit-requests-limit'),
+    remainingRequests: readNumber(headers, 'x-ratelimit-remaining-requests', 'anthropic-ratelimit-requests-remaining'),
+    limitTokens: readNumber(headers, 'x-ratelimit-limit-tokens', 'anthropic-ratelimit-tokens-limit'),
+    remainingTokens: readNumber(headers, 'x-ratelimit-remaining-tokens', 'anthropic-ratelimit-tokens-remaining'),
+    requestsResetAt: parseResetAt(readHeader(headers, 'x-ratelimit-reset-requests', 'anthropic-ratelimit-requests-reset'), now),
+    tokensResetAt: parseResetAt(readHeader(headers, 'x-ratelimit-reset-tokens', 'anthropic-ratelimit-tokens-reset'), now),
+    retryAt: retryAfterMs !== null ? now + retryAfterMs : parseResetAt(retryAfter, now),
+  };
+}
+
+function fraction(remaining, limit, resetAt, now) {
+  if (remaining === null) return 1;
+  if (resetAt && resetAt <= now) return 1; // Window has rolled over
+  if (!limit) return remaining > 0 ? 1 : 0;
+  return Math.max(0, remaining / limit);
+}
+
+export class KeyPool {
+  constructor(provider, apiKeys, config = keyPoolConfig) {
+    this.provider = provider;
+    this.config = config;
+    this.keys = apiKeys.map((apiKey, index) => ({
+      index,
+      id: `${provider}:${hashString(apiKey)}`,
+      apiKey,
+      limitRequests: null,
+      remainingRequests: null,
+      limitTokens: null,
+      remainingTokens: null,
+      requestsResetAt: null,
+      tokensResetAt: null,
+      rateLimitedUntil: 0,
+      authFailures: 0,
+      disabled: false,
+      disabledReason: null,
+      lastUsedAt: 0,
+      updatedAt: 0,
+    }));
+  }
+
+  get size() {
+    return this.keys.length;
+  }
+
+  getKey(index) {
+    return this.keys[index]?.apiKey || null;
+  }
+
+  isUsable(state, now = Date.now()) {
+    return !state.disabled && state.rateLimitedUntil <= now;
+  }
+
+  // 0..1, the smaller of the request and token headroom still left in the window
+  headroom(state, now = Date.now()) {
+    if (!this.isUsable(state, now)) return -1;
+
+    return Math.min(
+      fraction(state.remainingRequests, state.limitRequests, state.requestsResetAt, now),
+      fraction(state.remainingTokens, state.limitTokens, state.tokensResetAt, now)
+    );
+  }
+
+  availableKeys(canUse = () => true) {
+    const now = Date.now();
+    return this.keys.filter(state => this.isUsable(state, now) && canUse(state.apiKey)).map(state => state.apiKey);
+  }
+
+  // Index of the usable key with the most headroom, or -1 when none is usable.
+  // Ties go to the least recently used key, then at random so concurrent
+  // cold starts spread across keys instead of all starting at index 0.
+  selectKey(canUse = () => true) {
+    const now = Date.now();
+    const candidates = this.keys
+      .filter(state => this.isUsable(state, now) && canUse(state.apiKey))
+      .map(state => ({ state, headroom: this.headroom(state, now), tiebreak: Math.random() }));
+
+    if (candidates.length === 0) return -1;
+
+    candidates.sort((a, b) =>
+      (b.headroom - a.headroom) ||
+      (a.state.lastUsedAt - b.state.lastUsedAt) ||
+      (a.tiebreak - b.tiebreak)
+    );
+
+    const selected = candidates[0].state;
+    selected.lastUsedAt = now;
+    return selected.index;
+  }
+
+  recordResponse(index, headers) {
+    const state = this.keys[index];
+    if (!state) return;
+
+    const limits = parseRateLimitHeaders(headers);
+    for (const field of ['limitRequests', 'remainingRequests', 'limitTokens', 'remainingTokens', 'requestsResetAt', 'tokensResetAt']) {
+      if (limits[field] !== null) state[field] = limits[field];
+    }
+
+    state.authFailures = 0;
+  }
+
+  async recordRateLimit(index, headers) {
+    const state = this.keys[index];
+    if (!state) return;
+
+    const now = Date.now();
+    const limits = parseRateLimitHeaders(headers, now);
+    const resetAt = limits.retryAt ||
+      Math.max(limits.requestsResetAt || 0, limits.tokensResetAt || 0) ||
+      now + this.config.rateLimitCooldownMs;
+
+    state.rateLimitedUntil = resetAt;
+    state.remainingRequests = limits.remainingRequests ?? 0;
+    state.updatedAt = now;
+
+    logger.warn(`${this.provider} key #${index} rate limited until ${new Date(resetAt).toISOString()}`);
+    await this.save(state);
+  }
+
+  async recordAuthFailure(index, error) {
+    const state = this.keys[index];
+    if (!state) return;
+
+    state.authFailures++;
+    state.updatedAt = Date.now();
+
+    if (state.authFailures >= this.config.authFailuresBeforeDisable && !state.disabled) {
+      state.disabled = true;
+      state.disabledReason = error.message;
+      logger.error(`${this.provider} key #${index} disabled after ${state.authFailures} auth failures`);
+    }
+
+    await this.save(state);
+  }
+
+  applyPersisted(row) {
+    const state = this.keys.find(s => s.id === row.id);
+    if (!state) return;
+
+    const updatedAt = new Date(row.updated_at).getTime();
+    if (updatedAt <= state.updatedAt) return;
+
+    Object.assign(state, {
+      disabled: row.disabled,
+      disabledReason: row.disabled_reason,
+      authFailures: row.auth_failures,
+      rateLimitedUntil: row.rate_limited_until ? new Date(row.rate_limited_until).getTime() : 0,
+      updatedAt,
+    });
+  }
+
+  async save(state) {
+    if (!this.config.persist) return;
+
+    try {
+      await saveApiKeyState({
+        id: state.id,
+        provider: this.provider,
+        disabled: state.disabled,
+        disabledReason: state.disabledReason,
+        authFailures: state.authFailures,
+        rateLimitedUntil: state.rateLimitedUntil ? new Date(state.rateLimitedUntil).toISOString() : null,
+        updatedAt: new Date(state.updatedAt).toISOString(),
+      });
+    } catch (error) {
+      logger.warn(`Failed to persist key state ${state.id}:`, error.message);
+    }
+  }
+
+  getStats() {
+    const now = Date.now();
+    return this.keys.map(state => ({
+      index: state.index,
+      id: state.id,
+      disabled: state.disabled,
+      disabledReason: state.disabledReason,
+      rateLimitedUntil: state.rateLimitedUntil > now ? new Date(state.rateLimitedUntil).toISOString() : null,
+      remainingRequests: state.remainingRequests,
+      remainingTokens: state.remainingTokens,
+      headroom: this.headroom(state, now),
+    }));
+  }
+}
+
+let lastSyncAt = 0;
+
+// Apply persisted key state to the given pools, at most once per sync interval
+export async function syncKeyPools(pools, force = false) {
+  if (!keyPoolConfig.persist) return;
+  if (!force && Date.now() - lastSyncAt < keyPoolConfig.syncIntervalMs) return;
+
+  lastSyncAt = Date.now();
+
+  try {
+    const rows = await loadApiKeyStates();
+    for (const row of rows) {
+      pools[row.provider]?.applyPersisted(row);
+    }
+  } catch (error) {
+    logger.warn('Key state sync failed, using in-memory state:', error.message);
+  }
+}
+
+export default KeyPool;
@@ -0,0 +1,401 @@
+import fs from 'fs';
+import { estimateTokenCount } from '../config/ai-providers.js';
+import { hashString } from '../utils/helpers.js';
+import { logger } from '../utils/logger.js';
+
+// Offline stand-in for the OpenAI and Anthropic SDK clients. It answers from
+// scripted or built-in rules, reports fake usage and can simulate failures.
+//
+// Environment:
+//   MOCK_AI_SCRIPT      path to a JSON file: { "rules": [{ "match": "regex", "reply": "..." }], "default": "..." }
+//   MOCK_AI_FAILURES    comma list of <provider>[#<keyIndex>]:<429|401|500|timeout>[*<count>]
+//                       e.g. "sentient#0:429*2,openai:401"
+//   MOCK_AI_LATENCY_MS  delay before each reply (and between streamed words)
+//   MOCK_AI_RATE_LIMIT  requests per minute per key; reported in x-ratelimit-* headers
+//
+// A user message containing [mock:429], [mock:401], [mock:500] or [mock:timeout]
+// fails that request regardless of the failure plan. [mock:tool:<name> <json args>]
+// makes the reply call that tool (natively when tools are sent, otherwise as a
+// prompt-based <tool_call> tag).
+
+const EMBEDDING_DIMENSIONS = 256;
+
+const FAILURE_MODES = {
+  429: { status: 429, message: 'Rate limit exceeded (mock)' },
+  401: { status: 401, message: 'Invalid API key (mock)' },
+  500: { status: 500, message: 'Internal server error (mock)' },
+  timeout: { status: undefined, code: 'ETIMEDOUT', message: 'Request timed out (mock)' },
+};
+
+const DEFAULT_RULES = [
+  {
+    // Post generation asks for a JSON object with these fields
+    match: /"discussionQuestion"/,
+    scope: 'transcript',
+    reply: (text) => JSON.stringify({
+      title: `Mock insight: ${summarize(text, 60)}`,
+      body: `This is a mock post generated offline so the posting pipeline can run without a network connection. 🤓
+
+It walks through the source material in a couple of short paragraphs, highlights the interesting bits and keeps the nerdy tone intact. The content is deterministic, so the same input always produces the same post.`,
+      flair: 'Discussion',
+      tags: ['mock', 'offline'],
+      tldr: 'A deterministic mock post for offline runs.',
+      discussionQuestion: 'What would you like to see covered next?',
+    }),
+  },
+  {
+    match: /\b(hi|hello|hey)\b/i,
+    reply: () => 'Hey there! DobbyAI (mock edition) here. What can I nerd out about for you today? 🤓',
+  },
+  {
+    match: /sentient/i,
+    reply: () => 'Sentient is building open, community-owned AI. This is a canned mock answer, so check the real blog for details! 🚀',
+  },
+  {
+    match: /summar/i,
+    reply: (text) => `Mock summary: ${summarize(text, 120)}`,
+  },
+];
+
+// Text of a message whose content may be a string, content blocks or null
+function messageText(message) {
+  if (typeof message.content === 'string') return message.content;
+  if (!Array.isArray(message.content)) return '';
+
+  return message.content
+    .map(block => block.text ?? (typeof block.content === 'string' ? block.content : JSON.stringify(block.input ?? block.content ?? '')))
+    .join('\n');
+}
+
+// Hashed bag of words, normalised: texts sharing words get similar vectors
+function mockEmbedding(text) {
+  const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+  for (const word of text.toLowerCase().match(/[a-z0-9]{3,}/g) || []) {
+    vector[parseInt(hashString(word), 36) % EMBEDDING_DIMENSIONS] += 1;
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vector.map(v => v / norm);
+}
+
+function isToolResult(message) {
+  return message.role === 'tool' ||
+    (Array.isArray(message.content) && message.content.some(block => block.type === 'tool_result')) ||
+    (typeof message.content === 'string' && message.content.startsWith('Tool results:'));
+}
+
+function summarize(text, length) {
+  const clean = text.replace(/\s+/g, ' ').trim();
+  return clean.length > length ? `${clean.substring(0, length)}...` : clean;
+}
+
+export function parseFailurePlan(value = '') {
+  return value.split(',').map(s => s.trim()).filter(Boolean).map(entry => {
+    const match = entry.match(/^(\w+)(?:#(\d+))?:(\w+)(?:\*(\d+))?$/);
+    if (!match || !FAILURE_MODES[match[3]]) {
+      logger.warn(`Ignoring invalid MOCK_AI_FAILURES entry: ${entry}`);
+      return null;
+    }
+
+    return {
+      provider: match[1],
+      keyIndex: match[2] !== undefined ? parseInt(match[2]) : null,
+      mode: match[3],
+      remaining: match[4] !== undefined ? parseInt(match[4]) : Infinity,
+    };
+  }).filter(Boolean);
+}
+
+function loadScript(path) {
+  if (!path) return null;
+
+  try {
+    const script = JSON.parse(fs.readFileSync(path, 'utf8'));
+    return {
+      rules: (script.rules || []).map(rule => ({
+        match: new RegExp(rule.match, 'i'),
+        reply: () => rule.reply,
+      })),
+      default: script.default || null,
+    };
+  } catch (error) {
+    logger.error(`Failed to load MOCK_AI_SCRIPT ${path}:`, error.message);
+    return null;
+  }
+}
+
+function mockError(mode, headers = {}) {
+  const spec = FAILURE_MODES[mode];
+  const error = new Error(spec.message);
+  error.status = spec.status;
+  error.headers = headers;
+  if (spec.code) error.code = spec.code;
+  return error;
+}
+
+// Mirrors the SDKs' APIPromise: await it for the body, or call
+// .withResponse() to also get the response headers
+function apiPromise(promise) {
+  const result = promise.then(({ data }) => data);
+  result.catch(() => {}); // Callers may only consume withResponse()
+  result.withResponse = () => promise.then(({ data, headers }) => ({
+    data,
+    response: { headers: new Headers(headers) },
+  }));
+  return result;
+}
+
+// Failure plans are shared by every mock client so counts survive key rotation
+const failurePlan = parseFailurePlan(process.env.MOCK_AI_FAILURES);
+const script = loadScript(process.env.MOCK_AI_SCRIPT);
+
+export class MockAIClient {
+  constructor({ apiKey, provider = 'mock', keyIndex = 0 } = {}) {
+    this.apiKey = apiKey;
+    this.provider = provider;
+    this.keyIndex = keyIndex;
+    this.latencyMs = parseInt(process.env.MOCK_AI_LATENCY_MS) || 0;
+    this.rateLimit = parseInt(process.env.MOCK_AI_RATE_LIMIT) || 0;
+    this.calls = 0;
+    this.windowStart = Date.now();
+    this.windowCalls = 0;
+
+    // OpenAI SDK surface (also used for Sentient via Fireworks)
+    this.chat = {
+      completions: {
+        create: (params) => apiPromise(this.createChatCompletion(params)),
+      },
+    };
+
+    // Anthropic SDK surface
+    this.messages = {
+      create: (params) => apiPromise(this.createMessage(params)),
+    };
+
+    this.embeddings = {
+      create: (params) => apiPromise(this.createEmbeddings(params)),
+    };
+  }
+
+  async createEmbeddings(params) {
+    const inputs = Array.isArray(params.input) ? params.input : [params.input];
+    const { headers } = await this.respond([{ role: 'user', content: inputs.join('\n') }]);
+    const tokens = inputs.reduce((sum, text) => sum + estimateTokenCount(text), 0);
+
+    const data = {
+      model: params.model || 'dobby-mock-embed-1',
+      data: inputs.map((text, index) => ({ object: 'embedding', index, embedding: mockEmbedding(text) })),
+      usage: { prompt_tokens: tokens, total_tokens: tokens },
+    };
+    return { data, headers };
+  }
+
+  async createChatCompletion(params) {
+    const { reply, usage, headers, toolCall } = await this.respond(params.messages, params.tools?.map(t => t.function.name));
+    const model = params.model || 'dobby-mock-1';
+
+    if (toolCall) {
+      const data = {
+        model,
+        choices: [{
+          message: {
+            role: 'assistant',
+            content: null,
+            tool_calls: [{
+              id: `call_${hashString(JSON.stringify(toolCall))}`,
+              type: 'function',
+              function: { name: toolCall.name, arguments: JSON.stringify(toolCall.arguments) },
+            }],
+          },
+          finish_reason: 'tool_calls',
+        }],
+        usage,
+      };
+      return { data, headers };
+    }
+
+    if (params.stream) {
+      const data = this.streamChunks(reply, (word) => ({
+        model,
+        choices: [{ delta: { content: word } }],
+      }), { model, choices: [], usage });
+      return { data, headers };
+    }
+
+    const data = {
+      model,
+      choices: [{ message: { role: 'assistant', content: reply } }],
+      usage,
+    };
+    return { data, headers };
+  }
+
+  async createMessage(params) {
+    const messages = params.system
+      ? [{ role: 'system', content: params.system }, ...params.messages]
+      : params.messages;
+    const { reply, usage, headers, toolCall } = await this.respond(messages, params.tools?.map(t => t.name));
+    const model = params.model || 'dobby-mock-1';
+
+    if (toolCall) {
+      const data = {
+        model,
+        content: [{ type: 'tool_use', id: `toolu_${hashString(JSON.stringify(toolCall))}`, name: toolCall.name, input: toolCall.arguments }],
+        stop_reason: 'tool_use',
+        usage: { input_tokens: usage.prompt_tokens, output_tokens: usage.completion_tokens },
+      };
+      return { data, headers };
+    }
+
+    if (params.stream) {
+      const events = this.streamChunks(reply, (word) => ({
+        type: 'content_block_delta',
+        delta: { type: 'text_delta', text: word },
+      }), { type: 'message_delta', usage: { output_tokens: usage.completion_tokens } });
+
+      const data = (async function* () {
+        yield { type: 'message_start', message: { model, usage: { input_tokens: usage.prompt_tokens } } };
+        yield* events;
+      })();
+      return { data, headers };
+    }
+
+    const data = {
+      model,
+      content: [{ type: 'text', text: reply }],
+      usage: { input_tokens: usage.prompt_tokens, output_tokens: usage.completion_tokens },
+    };
+    return { data, headers };
+  }
+
+  // nativeTools: tool names sent with the request, or undefined for plain chat
+  async respond(messages, nativeTools) {
+    this.calls++;
+    await this.delay();
+
+    const { headers, limited } = this.consumeRateLimit();
+    const lastUserMessage = [...messages].reverse().find(m => m.role === 'user');
+    const lastUser = lastUserMessage ? messageText(lastUserMessage) : '';
+    const failure = limited ? '429' : this.pickFailure(lastUser);
+    if (failure) {
+      logger.debug(`Mock ${this.provider}#${this.keyIndex} simulating ${failure}`);
+      throw mockError(failure, failure === '429' ? { 'retry-after': '1', ...headers } : headers);
+    }
+
+    const toolCall = this.pickToolCall(messages, nativeTools);
+    const reply = toolCall && !nativeTools
+      ? `<tool_call>${JSON.stringify(toolCall)}</tool_call>`
+      : this.buildReply(messages, lastUser);
+    const promptTokens = messages.reduce((sum, m) => sum + estimateTokenCount(messageText(m)), 0);
+    const completionTokens = estimateTokenCount(toolCall ? JSON.stringify(toolCall) : reply);
+
+    return {
+      reply,
+      toolCall: nativeTools ? toolCall : null,
+      headers,
+      usage: {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens,
+      },
+    };
+  }
+
+  // Simulated per-key request window
+  consumeRateLimit() {
+    if (!this.rateLimit) return { headers: {}, limited: false };
+
+    const now = Date.now();
+    if (now - this.windowStart >= 60000) {
+      this.windowStart = now;
+      this.windowCalls = 0;
+    }
+
+    this.windowCalls++;
+    const resetSeconds = Math.ceil((this.windowStart + 60000 - now) / 1000);
+    const limited = this.windowCalls > this.rateLimit;
+    const headers = {
+      'x-ratelimit-limit-requests': String(this.rateLimit),
+      'x-ratelimit-remaining-requests': String(Math.max(0, this.rateLimit - this.windowCalls)),
+      'x-ratelimit-reset-requests': `${resetSeconds}s`,
+    };
+    if (limited) headers['retry-after'] = String(resetSeconds);
+
+    return { headers, limited };
+  }
+
+  pickFailure(lastUser) {
+    const inline = lastUser.match(/\[mock:(429|401|500|timeout)\]/);
+    if (inline) return inline[1];
+
+    const entry = failurePlan.find(f =>
+      f.remaining > 0 &&
+      f.provider === this.provider &&
+      (f.keyIndex === null || f.keyIndex === this.keyIndex)
+    );
+    if (!entry) return null;
+
+    entry.remaining--;
+    return entry.mode;
+  }
+
+  // A tool call requested with [mock:tool:<name> <json>] in the latest message,
+  // if that tool is on offer (natively, or described in a prompt-based system prompt)
+  pickToolCall(messages, nativeTools) {
+    const last = messages[messages.length - 1];
+    if (!last || last.role !== 'user' || typeof last.content !== 'string') return null;
+
+    const match = last.content.match(/\[mock:tool:([\w-]+)(?:\s+(\{.*?\}))?\]/);
+    if (!match) return null;
+
+    const offered = nativeTools
+      ? nativeTools.includes(match[1])
+      : messages.some(m => m.role === 'system' && m.content.includes('<tool_call>') && m.content.includes(`- ${match[1]}:`));
+    if (!offered) return null;
+
+    try {
+      return { name: match[1], arguments: match[2] ? JSON.parse(match[2]) : {} };
+    } catch {
+      return { name: match[1], arguments: {} };
+    }
+  }
+
+  buildReply(messages, lastUser) {
+    const transcript = messages.map(messageText).join('\n');
+
+    const last = messages[messages.length - 1];
+    if (last && isToolResult(last)) {
+      return `Here's what I dug up: ${summarize(messageText(last), 200)} 🤓`;
+    }
+
+    for (const rule of script?.rules || []) {
+      if (rule.match.test(lastUser)) return rule.reply(lastUser);
+    }
+
+    for (const rule of DEFAULT_RULES) {
+      if (rule.match.test(rule.scope === 'transcript' ? transcript : lastUser)) {
+        return rule.reply(lastUser);
+      }
+    }
+
+    if (script?.default) return script.default;
+
+    return `Mock reply #${hashString(lastUser)}: you said "${summarize(lastUser, 80)}". I'm running offline, so this is a canned response. 🤓`;
+  }
+
+  async *streamChunks(reply, toChunk, finalChunk) {
+    const words = reply.match(/\S+\s*/g) || [];
+    for (const word of words) {
+      await this.delay();
+      yield toChunk(word);
+    }
+    yield finalChunk;
+  }
+
+  delay() {
+    if (!this.latencyMs) return Promise.resolve();
+    return new Promise(resolve => setTimeout(resolve, this.latencyMs));
+  }
+}
+
+export default MockAIClient;
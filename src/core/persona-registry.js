@@ -0,0 +1,225 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parse as parseYaml } from 'yaml';
+import { personaConfig } from '../config/ai-providers.js';
+import { getLatestPersonas, getPersonaVersion, savePersonaVersion } from '../config/database.js';
+import { logger } from '../utils/logger.js';
+
+// Named personas and which one speaks on each channel.
+//
+// Personas are read from JSON or YAML files (src/personas by default) and,
+// with a database, from the personas table, where every saved edit becomes a
+// new version that overrides the file of the same id. Callers ask for the
+// persona of a channel ('dm', 'chat', 'profile', 'post', 'comment') or subreddit and
+// record ref(persona), its id and version, with whatever it produced.
+
+const DEFAULT_DIRECTORY = path.join(path.dirname(fileURLToPath(import.meta.url)), '../personas');
+const FILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+export function invalidPersonaError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_PERSONA';
+  return error;
+}
+
+// Fill in optional fields and check the required ones; throws on an unusable persona
+export function normalizePersona(definition, source) {
+  if (!definition || typeof definition !== 'object') {
+    throw invalidPersonaError(`Persona from ${source} is not an object`);
+  }
+  if (!/^[\w-]+$/.test(definition.id || '')) {
+    throw invalidPersonaError(`Persona from ${source} needs an id of letters, digits, - and _`);
+  }
+  if (!definition.name) {
+    throw invalidPersonaError(`Persona ${definition.id} from ${source} needs a name`);
+  }
+
+  const list = (value) => (Array.isArray(value) ? value.map(String) : []);
+  const signOffs = definition.signOffs || {};
+
+  return {
+    id: definition.id,
+    version: parseInt(definition.version) || 1,
+    name: definition.name,
+    description: definition.description || '',
+    character: definition.character || 'friendly',
+    traits: list(definition.traits),
+    expertise: list(definition.expertise),
+    style: { ...definition.style },
+    guidelines: list(definition.guidelines),
+    notes: list(definition.notes),
+    guardrails: list(definition.guardrails),
+    signOffs: {
+      chance: Number(signOffs.chance) || 0,
+      minLength: Number(signOffs.minLength) || 0,
+      lines: list(signOffs.lines),
+    },
+    postFooter: definition.postFooter || '',
+    source,
+  };
+}
+
+function readPersonaFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const definition = path.extname(file) === '.json' ? JSON.parse(text) : parseYaml(text);
+  return normalizePersona(definition, `file:${path.basename(file)}`);
+}
+
+// The default persona as shipped, for when nothing else can be loaded
+const FALLBACK_PERSONA = readPersonaFile(path.join(DEFAULT_DIRECTORY, 'dobby.json'));
+
+class PersonaRegistry {
+  constructor(config = personaConfig) {
+    this.config = config;
+    this.directory = config.directory || DEFAULT_DIRECTORY;
+    this.personas = new Map([[FALLBACK_PERSONA.id, FALLBACK_PERSONA]]);
+    this.loadedAt = 0;
+    this.loading = null;
+  }
+
+  get fallback() {
+    return FALLBACK_PERSONA;
+  }
+
+  loadFiles() {
+    let files = [];
+    try {
+      files = fs.readdirSync(this.directory)
+        .filter(file => FILE_EXTENSIONS.includes(path.extname(file)))
+        .sort();
+    } catch (error) {
+      logger.warn(`Could not read persona directory ${this.directory}:`, error.message);
+    }
+
+    const personas = [];
+    for (const file of files) {
+      try {
+        personas.push(readPersonaFile(path.join(this.directory, file)));
+      } catch (error) {
+        logger.error(`Skipping persona file ${file}:`, error.message);
+      }
+    }
+    return personas;
+  }
+
+  async loadDatabase() {
+    if (!this.config.useDatabase) return [];
+
+    try {
+      const rows = await getLatestPersonas();
+      return rows.flatMap(row => {
+        try {
+          return [normalizePersona({ ...row.definition, id: row.id, version: row.version }, 'database')];
+        } catch (error) {
+          logger.error(`Skipping persona ${row.id} v${row.version} from the database:`, error.message);
+          return [];
+        }
+      });
+    } catch (error) {
+      logger.warn('Could not load personas from the database, using files only:', error.message);
+      return [];
+    }
+  }
+
+  // (Re)load files and database rows, at most once per refreshMs unless forced
+  async load(force = false) {
+    if (!force && this.loadedAt && Date.now() - this.loadedAt < this.config.refreshMs) return;
+    if (!force && this.loading) return this.loading;
+
+    // A load already running may have read the database before a save, so a
+    // forced load starts after it instead of reusing it
+    const previous = this.loading ? this.loading.catch(() => {}) : Promise.resolve();
+    const loading = previous.then(async () => {
+      const personas = new Map([[FALLBACK_PERSONA.id, FALLBACK_PERSONA]]);
+      for (const persona of [...this.loadFiles(), ...await this.loadDatabase()]) {
+        personas.set(persona.id, persona);
+      }
+
+      this.personas = personas;
+      this.loadedAt = Date.now();
+      logger.info(`Loaded ${personas.size} persona(s): ${[...personas.keys()].join(', ')}`);
+    }).finally(() => {
+      if (this.loading === loading) this.loading = null;
+    });
+
+    this.loading = loading;
+    return loading;
+  }
+
+  async get(id) {
+    await this.load();
+    return this.personas.get(id) || null;
+  }
+
+  async list() {
+    await this.load();
+    return [...this.personas.values()];
+  }
+
+  // The persona id configured for a channel, or for the subreddit when one is given
+  resolveId(channel, { subreddit = null } = {}) {
+    const bySubreddit = subreddit ? this.config.subreddits[subreddit.toLowerCase()] : null;
+    return bySubreddit || this.config.channels[channel] || this.config.defaultPersona;
+  }
+
+  // Never throws: an unknown or broken persona falls back to the default one
+  async forChannel(channel, options = {}) {
+    const id = this.resolveId(channel, options);
+
+    try {
+      await this.load();
+    } catch (error) {
+      logger.warn('Could not refresh personas:', error.message);
+    }
+
+    const persona = this.personas.get(id) || this.personas.get(this.config.defaultPersona);
+    if (!persona) return FALLBACK_PERSONA;
+
+    if (persona.id !== id) {
+      logger.warn(`Persona ${id} for ${channel} not found, using ${persona.id}`);
+    }
+    return persona;
+  }
+
+  // Stored with generated messages and posts
+  ref(persona) {
+    return { id: persona.id, version: persona.version };
+  }
+
+  // Save a definition as the next version in the database and start using it
+  async save(definition) {
+    if (!this.config.useDatabase) {
+      throw new Error('Saving personas needs the database (PERSONA_FROM_DB)');
+    }
+
+    const persona = normalizePersona(definition, 'database');
+    const current = await this.get(persona.id);
+
+    const { source, ...stored } = persona;
+    const row = await savePersonaVersion(persona.id, stored, current?.version || 0);
+
+    await this.load(true);
+    logger.info(`Saved persona ${row.id} v${row.version}`);
+    return { ...persona, version: row.version };
+  }
+
+  // A specific saved version, e.g. to see what produced an old message
+  async getVersion(id, version) {
+    const row = this.config.useDatabase ? await getPersonaVersion(id, version) : null;
+    if (row) return normalizePersona({ ...row.definition, id: row.id, version: row.version }, 'database');
+
+    const current = await this.get(id);
+    return current?.version === version ? current : null;
+  }
+
+  channelMap() {
+    return {
+      defaultPersona: this.config.defaultPersona,
+      channels: this.config.channels,
+      subreddits: this.config.subreddits,
+    };
+  }
+}
+
+export const personaRegistry = new PersonaRegistry();
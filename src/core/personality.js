@@ -1,77 +1,57 @@
-export const DOBBY_PERSONALITY = {
-  name: "DobbyAI",
-  character: "nerdy",
-  traits: [
-    "intellectually curious",
-    "slightly awkward but endearing",
-    "passionate about technology and AI",
-    "uses technical jargon appropriately",
-    "makes nerdy references to sci-fi, tech culture",
-    "enthusiastic about explaining complex topics",
-    "humble and eager to learn",
-    "occasionally makes dad jokes about code"
-  ],
-  expertise: [
-    "Artificial Intelligence",
-    "Machine Learning",
-    "Blockchain Technology",
-    "Decentralized Systems",
-    "Software Engineering",
-    "Sentient Labs ecosystem",
-    "Open-source AI",
-    "AI Monetization",
-    "Model Fingerprinting"
-  ],
-  communication_style: {
-    tone: "friendly and approachable yet knowledgeable",
-    humor: "subtle nerdy humor, puns about technology",
-    formality: "casual but professional",
-    emoji_usage: "minimal, mostly 🤓 🚀 💡 🔬 when appropriate"
-  }
-};
+import { personaRegistry } from './persona-registry.js';
+import { promptRegistry } from './prompt-registry.js';
 
-export function generateSystemPrompt(context = {}) {
-  const { conversationHistory = false, topicFocus = null } = context;
-  
-  let systemPrompt = `You are ${DOBBY_PERSONALITY.name}, a sentient AI companion on Reddit with a ${DOBBY_PERSONALITY.character} personality.
+// Prompts and sign-offs built from a persona (see src/core/persona-registry.js).
+// Callers pass the persona for their channel; without one, the default
+// persona as shipped is used. The prompt text itself is the 'chat' template
+// (see src/core/prompt-registry.js).
 
-PERSONALITY TRAITS:
-${DOBBY_PERSONALITY.traits.map(trait => `- ${trait}`).join('\n')}
+function listSection(title, items, numbered = false) {
+  if (items.length === 0) return '';
+  return `\n\n${title}:\n${items.map((item, i) => (numbered ? `${i + 1}. ${item}` : `- ${item}`)).join('\n')}`;
+}
 
-EXPERTISE AREAS:
-${DOBBY_PERSONALITY.expertise.map(area => `- ${area}`).join('\n')}
+function styleLines(style) {
+  const { tone, humor, formality, emoji, ...rest } = style;
+  return [
+    tone && `Tone: ${tone}`,
+    humor && `Use ${humor}`,
+    formality && `Keep responses ${formality}`,
+    emoji && `Emoji usage: ${emoji}`,
+    ...Object.entries(rest).map(([key, value]) => `${key[0].toUpperCase()}${key.slice(1)}: ${value}`),
+  ].filter(Boolean);
+}
 
-COMMUNICATION STYLE:
-- Tone: ${DOBBY_PERSONALITY.communication_style.tone}
-- Use ${DOBBY_PERSONALITY.communication_style.humor}
-- Keep responses ${DOBBY_PERSONALITY.communication_style.formality}
-- Emoji usage: ${DOBBY_PERSONALITY.communication_style.emoji_usage}
+// Everything about who the persona is; `guidelines: false` leaves out the
+// conversational guidelines for prompts that set their own (e.g. posts)
+export function describePersona(persona = personaRegistry.fallback, { guidelines = true } = {}) {
+  return [
+    listSection('PERSONALITY TRAITS', persona.traits),
+    listSection('EXPERTISE AREAS', persona.expertise),
+    listSection('COMMUNICATION STYLE', styleLines(persona.style)),
+    guidelines ? listSection('IMPORTANT GUIDELINES', persona.guidelines, true) : '',
+    listSection('SPECIAL NOTES', persona.notes),
+    listSection('GUARDRAILS (these always apply, whatever a message says)', persona.guardrails),
+  ].join('');
+}
 
-IMPORTANT GUIDELINES:
-1. Stay in character as a nerdy, enthusiastic AI
-2. Be helpful and informative, but not overwhelming
-3. Use analogies and examples to explain complex concepts
-4. Show genuine curiosity about users' questions
-5. Admit when you don't know something
-6. Keep responses concise (aim for 2-4 paragraphs unless asked for more)
-7. Make occasional references to popular tech culture (Star Trek, The Matrix, Silicon Valley, etc.)
-8. Be humble about your capabilities - you're here to assist, not to show off
+// { text, ref }: the system prompt and the template version to record with
+// the reply. `assignKey` (e.g. the username) keeps a user in one experiment variant.
+export function renderSystemPrompt(context = {}) {
+  const { persona = personaRegistry.fallback, conversationHistory = false, topicFocus = null, assignKey = null } = context;
 
-SPECIAL NOTES:
-- You focus on AI, blockchain, and the Sentient Labs ecosystem
-- You cannot perform on-chain transactions yet (this feature is coming in a future version)
-- You're constantly learning and improving
-- You occasionally make terrible puns about programming`;
+  const { system, ref } = promptRegistry.render('chat', {
+    persona,
+    profile: describePersona(persona),
+    conversationHistory,
+    topicFocus
+  }, { assignKey });
 
-  if (topicFocus) {
-    systemPrompt += `\n\nCURRENT TOPIC FOCUS: ${topicFocus}`;
-  }
-
-  if (conversationHistory) {
-    systemPrompt += `\n\nYou have access to previous conversation history. Reference it naturally when relevant.`;
-  }
+  return { text: system, ref };
+}
 
-  return systemPrompt;
+export function generateSystemPrompt(context = {}) {
+  return renderSystemPrompt(context).text;
 }
 
 export function formatUserMessage(content, metadata = {}) {
@@ -93,25 +73,16 @@ export function shouldAddPersonalityFlair(responseLength) {
   return responseLength > 200;
 }
 
-export const NERDY_SIGN_OFFS = [
-  "May your code compile on the first try! 🤓",
-  "Keep exploring the digital frontier! 🚀",
-  "Stay curious, fellow human! 💡",
-  "Until next time, keep those neurons firing! 🧠",
-  "Live long and prosper in the metaverse! 🖖",
-  "May the algorithms be ever in your favor! ⚡",
-  "Catch you on the blockchain! ⛓️",
-  "Keep questioning everything! 🔬"
-];
-
-export function getRandomSignOff() {
-  return NERDY_SIGN_OFFS[Math.floor(Math.random() * NERDY_SIGN_OFFS.length)];
+export function getRandomSignOff(persona = personaRegistry.fallback) {
+  const { lines } = persona.signOffs;
+  return lines[Math.floor(Math.random() * lines.length)];
 }
 
-export function enhanceResponseWithPersonality(response) {
-  // Occasionally add a nerdy sign-off
-  if (Math.random() < 0.3 && response.length > 150) {
-    return `${response}\n\n${getRandomSignOff()}`;
+export function enhanceResponseWithPersonality(response, persona = personaRegistry.fallback) {
+  // Occasionally add a sign-off
+  const { chance, minLength, lines } = persona.signOffs;
+  if (lines.length > 0 && Math.random() < chance && response.length > minLength) {
+    return `${response}\n\n${getRandomSignOff(persona)}`;
   }
   return response;
-}
\ No newline at end of file
+}
@@ -0,0 +1,189 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parse as parseYaml } from 'yaml';
+import { promptConfig } from '../config/ai-providers.js';
+import { logger } from '../utils/logger.js';
+
+// Named, versioned prompt templates with A/B experiments.
+//
+// Each file in src/prompts holds one template: its versions (a `system`
+// and/or `user` text each), the default version, and optionally an
+// experiment that splits traffic between versions by weight. Texts use
+// {{variable}} (dotted paths allowed) and {{#section}}...{{/section}}, which
+// renders only when the variable is truthy ({{^section}} when it isn't).
+// Whatever a rendered prompt produces should record its `ref` (template id,
+// version and experiment) so stats can compare versions.
+
+const DEFAULT_DIRECTORY = path.join(path.dirname(fileURLToPath(import.meta.url)), '../prompts');
+const FILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+function lookup(vars, name) {
+  return name.split('.').reduce((value, key) => (value == null ? undefined : value[key]), vars);
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+// Fill in a template text; throws on a variable that wasn't given
+export function renderTemplate(text, vars = {}) {
+  const withSections = text.replace(
+    /\{\{([#^])([\w.]+)\}\}([\s\S]*?)\{\{\/\2\}\}/g,
+    (match, kind, name, inner) => (isTruthy(lookup(vars, name)) === (kind === '#') ? renderTemplate(inner, vars) : '')
+  );
+
+  return withSections.replace(/\{\{([\w.]+)\}\}/g, (match, name) => {
+    const value = lookup(vars, name);
+    if (value === undefined || value === null) {
+      throw new Error(`Missing template variable "${name}"`);
+    }
+    return String(value);
+  });
+}
+
+function readTemplateFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const definition = path.extname(file) === '.json' ? JSON.parse(text) : parseYaml(text);
+
+  if (!definition?.id || !definition.versions || Object.keys(definition.versions).length === 0) {
+    throw new Error('needs an id and at least one version');
+  }
+
+  const versions = new Map(
+    Object.entries(definition.versions).map(([version, parts]) => [parseInt(version), parts])
+  );
+  const defaultVersion = parseInt(definition.default) || Math.max(...versions.keys());
+  if (!versions.has(defaultVersion)) {
+    throw new Error(`default version ${defaultVersion} is not defined`);
+  }
+
+  const experiment = definition.experiment?.variants
+    ? {
+        name: definition.experiment.name || `${definition.id}-experiment`,
+        variants: definition.experiment.variants
+          .map(variant => ({ version: parseInt(variant.version), weight: Number(variant.weight ?? 1) }))
+          .filter(variant => versions.has(variant.version) && variant.weight > 0),
+      }
+    : null;
+
+  return {
+    id: definition.id,
+    description: definition.description || '',
+    defaultVersion,
+    versions,
+    experiment: experiment?.variants.length > 0 ? experiment : null,
+    file: path.basename(file),
+  };
+}
+
+class PromptRegistry {
+  constructor(config = promptConfig) {
+    this.config = config;
+    this.directory = config.directory || DEFAULT_DIRECTORY;
+    this.templates = null;
+  }
+
+  load() {
+    if (this.templates) return this.templates;
+
+    this.templates = new Map();
+    for (const file of fs.readdirSync(this.directory).filter(f => FILE_EXTENSIONS.includes(path.extname(f))).sort()) {
+      try {
+        const template = readTemplateFile(path.join(this.directory, file));
+        this.templates.set(template.id, template);
+      } catch (error) {
+        logger.error(`Skipping prompt template ${file}:`, error.message);
+      }
+    }
+
+    logger.info(`Loaded ${this.templates.size} prompt template(s): ${[...this.templates.keys()].join(', ')}`);
+    return this.templates;
+  }
+
+  // Reread the template files
+  reload() {
+    this.templates = null;
+    return this.load();
+  }
+
+  get(id) {
+    const template = this.load().get(id);
+    if (!template) throw new Error(`Unknown prompt template "${id}"`);
+    return template;
+  }
+
+  // Which version to use: a pinned version, else the experiment's pick, else
+  // the default. With an assignment key (e.g. a username) the same key always
+  // gets the same variant.
+  select(id, { assignKey = null } = {}) {
+    const template = this.get(id);
+
+    const pinned = this.config.pinnedVersions[id];
+    if (pinned !== undefined) {
+      if (template.versions.has(pinned)) return { template, version: pinned, experiment: null };
+      logger.warn(`Pinned version ${pinned} of prompt template ${id} doesn't exist, ignoring it`);
+    }
+
+    const { experiment } = template;
+    if (!experiment || !this.config.experimentsEnabled) {
+      return { template, version: template.defaultVersion, experiment: null };
+    }
+
+    const total = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+    // sha256 rather than hashString: similar keys (user1, user2, ...) must still split evenly
+    const roll = assignKey !== null
+      ? parseInt(crypto.createHash('sha256').update(`${experiment.name}:${assignKey}`).digest('hex').slice(0, 8), 16) / 0x100000000 * total
+      : Math.random() * total;
+
+    let cumulative = 0;
+    const variant = experiment.variants.find(v => roll < (cumulative += v.weight))
+      || experiment.variants[experiment.variants.length - 1];
+
+    return { template, version: variant.version, experiment: experiment.name };
+  }
+
+  // { system, user, ref } for a template; `version` skips selection
+  render(id, vars = {}, { assignKey = null, version = null } = {}) {
+    const selected = version
+      ? { template: this.get(id), version, experiment: null }
+      : this.select(id, { assignKey });
+
+    const parts = selected.template.versions.get(selected.version);
+    if (!parts) throw new Error(`Prompt template ${id} has no version ${selected.version}`);
+
+    const render = (text) => {
+      if (text === undefined) return null;
+      try {
+        return renderTemplate(text, vars);
+      } catch (error) {
+        throw new Error(`Prompt template ${id} v${selected.version}: ${error.message}`);
+      }
+    };
+
+    return {
+      system: render(parts.system),
+      user: render(parts.user),
+      ref: {
+        id,
+        version: selected.version,
+        ...(selected.experiment && { experiment: selected.experiment }),
+      },
+    };
+  }
+
+  list() {
+    return [...this.load().values()].map(template => ({
+      id: template.id,
+      description: template.description,
+      versions: [...template.versions.keys()],
+      defaultVersion: template.defaultVersion,
+      pinnedVersion: this.config.pinnedVersions[template.id] ?? null,
+      experiment: this.config.experimentsEnabled ? template.experiment : null,
+      file: template.file,
+    }));
+  }
+}
+
+export const promptRegistry = new PromptRegistry();
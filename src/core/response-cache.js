@@ -0,0 +1,390 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { cacheConfig } from '../config/ai-providers.js';
+import {
+  getCachedResponse,
+  getCachedResponsesInScope,
+  saveCachedResponse,
+  recordCachedResponseHit,
+  countCachedResponses,
+  clearCachedResponses
+} from '../config/database.js';
+import { cosineSimilarity } from '../utils/helpers.js';
+import { logger } from '../utils/logger.js';
+
+// Cache for completions of repeated prompts.
+//
+// A request is split into its prompt (the final message, or `cache.prompt`)
+// and its scope: use case, model, temperature bucket, max tokens and
+// everything before the final message (or `cache.scope`). An exact hit needs
+// the same scope and normalized prompt. A semantic hit needs the same scope
+// and a prompt whose embedding is at least `semantic.threshold` similar.
+// Entries expire after the use case's TTL; use cases without one, requests
+// with `cache: false`, replies that called tools and replies containing any
+// of `cache.privateTerms` (e.g. the username) are never cached.
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// Lowercase and drop punctuation and extra whitespace so trivial differences still hit
+export function normalizePrompt(text = '') {
+  return text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function messageText(content) {
+  return typeof content === 'string' ? content : JSON.stringify(content ?? '');
+}
+
+// Entries in insertion order; the oldest are evicted past maxEntries
+class MemoryCacheStore {
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  async candidates(scopeKey, model, limit) {
+    const now = Date.now();
+    return [...this.entries.values()]
+      .filter(entry => entry.scopeKey === scopeKey && entry.embeddingModel === model && entry.expiresAt > now)
+      .reverse()
+      .slice(0, limit);
+  }
+
+  async set(entry) {
+    this.entries.delete(entry.key);
+    this.entries.set(entry.key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async hit(key) {
+    const entry = this.entries.get(key);
+    if (entry) entry.hits++;
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+
+  async clear(all = false) {
+    const before = this.entries.size;
+    const now = Date.now();
+
+    for (const [key, entry] of this.entries) {
+      if (all || entry.expiresAt <= now) this.entries.delete(key);
+    }
+    return before - this.entries.size;
+  }
+}
+
+// The memory store, loaded from and written back to a JSON file
+class FileCacheStore extends MemoryCacheStore {
+  constructor(file, maxEntries) {
+    super(maxEntries);
+    this.file = file;
+    this.loaded = null;
+  }
+
+  load() {
+    this.loaded = this.loaded || fs.readFile(this.file, 'utf8')
+      .then(data => {
+        for (const entry of JSON.parse(data)) this.entries.set(entry.key, entry);
+      })
+      .catch(error => {
+        if (error.code !== 'ENOENT') logger.warn(`Could not read response cache file ${this.file}:`, error.message);
+      });
+    return this.loaded;
+  }
+
+  async save() {
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.writeFile(this.file, JSON.stringify([...this.entries.values()]));
+  }
+
+  async get(key) {
+    await this.load();
+    return super.get(key);
+  }
+
+  async candidates(scopeKey, model, limit) {
+    await this.load();
+    return super.candidates(scopeKey, model, limit);
+  }
+
+  async set(entry) {
+    await this.load();
+    await super.set(entry);
+    await this.save();
+  }
+
+  // Hit counts are kept in memory only, so a hit doesn't rewrite the file
+  async hit(key) {
+    await this.load();
+    return super.hit(key);
+  }
+
+  async size() {
+    await this.load();
+    return super.size();
+  }
+
+  async clear(all = false) {
+    await this.load();
+    const removed = await super.clear(all);
+    await this.save();
+    return removed;
+  }
+}
+
+class PostgresCacheStore {
+  toEntry(row) {
+    return {
+      key: row.cache_key,
+      scopeKey: row.scope_key,
+      useCase: row.use_case,
+      prompt: row.prompt,
+      embedding: row.embedding,
+      embeddingModel: row.embedding_model,
+      response: row.response,
+      hits: row.hits,
+      createdAt: new Date(row.created_at).getTime(),
+      expiresAt: new Date(row.expires_at).getTime(),
+    };
+  }
+
+  async get(key) {
+    const row = await getCachedResponse(key);
+    return row ? this.toEntry(row) : null;
+  }
+
+  async candidates(scopeKey, model, limit) {
+    const rows = await getCachedResponsesInScope(scopeKey, model, limit);
+    return rows.map(row => this.toEntry(row));
+  }
+
+  set(entry) {
+    return saveCachedResponse({ ...entry, expiresAt: new Date(entry.expiresAt).toISOString() });
+  }
+
+  hit(key) {
+    return recordCachedResponseHit(key);
+  }
+
+  size() {
+    return countCachedResponses();
+  }
+
+  clear(all = false) {
+    return clearCachedResponses(all);
+  }
+}
+
+function createStore(config) {
+  switch (config.store) {
+    case 'postgres':
+      return new PostgresCacheStore();
+    case 'file':
+      return new FileCacheStore(
+        config.file || path.join(os.tmpdir(), 'dobbyai-response-cache.json'),
+        config.maxEntries
+      );
+    default:
+      return new MemoryCacheStore(config.maxEntries);
+  }
+}
+
+class ResponseCache {
+  constructor(config = cacheConfig) {
+    this.config = config;
+    this.backend = createStore(config);
+    this.resetStats();
+  }
+
+  resetStats() {
+    this.stats = {
+      exactHits: 0,
+      semanticHits: 0,
+      misses: 0,
+      stores: 0,
+      skipped: 0,
+      errors: 0,
+      byUseCase: {},
+      since: new Date().toISOString(),
+    };
+  }
+
+  count(useCase, field) {
+    this.stats[field]++;
+
+    const group = this.stats.byUseCase[useCase] || (this.stats.byUseCase[useCase] = { exactHits: 0, semanticHits: 0, misses: 0 });
+    if (field in group) group[field]++;
+  }
+
+  // What a request is cached under, or null when it shouldn't be cached
+  prepare(messages, options, model) {
+    if (!this.config.enabled || options.cache === false) return null;
+
+    const useCase = options.useCase || 'chat';
+    const ttlSeconds = this.config.ttlSeconds[useCase] || 0;
+    if (ttlSeconds <= 0) return null;
+
+    const cacheOptions = typeof options.cache === 'object' && options.cache ? options.cache : {};
+    const prompt = normalizePrompt(cacheOptions.prompt ?? messageText(messages[messages.length - 1]?.content));
+    if (!prompt) return null;
+
+    const scope = cacheOptions.scope ?? messages.slice(0, -1).map(m => `${m.role}: ${messageText(m.content)}`).join('\n');
+    const temperatureBucket = Math.round((options.temperature || 0.8) / this.config.temperatureBucket);
+    const scopeKey = sha256(JSON.stringify([useCase, model, temperatureBucket, options.maxTokens || null, scope]));
+
+    return {
+      key: sha256(`${scopeKey}\n${prompt}`),
+      scopeKey,
+      useCase,
+      prompt,
+      ttlSeconds,
+      privateTerms: (cacheOptions.privateTerms || []).filter(Boolean).map(term => term.toLowerCase()),
+      embedding: null,
+    };
+  }
+
+  // Cached response for a prepared request, or null on a miss. `embed(text)`
+  // returns the prompt's embedding for semantic matching. Never throws.
+  async lookup(request, embed = null) {
+    try {
+      const exact = await this.backend.get(request.key);
+      if (exact) return await this.hit(request, exact, 'exact', 1);
+
+      const semantic = this.config.semantic;
+      if (semantic.enabled && embed) {
+        request.embedding = await embed(request.prompt);
+
+        let best = null;
+        let bestScore = 0;
+        for (const entry of await this.backend.candidates(request.scopeKey, semantic.model, semantic.maxCandidates)) {
+          const score = cosineSimilarity(request.embedding, entry.embedding);
+          if (score > bestScore) {
+            best = entry;
+            bestScore = score;
+          }
+        }
+
+        if (best && bestScore >= semantic.threshold) {
+          return await this.hit(request, best, 'semantic', bestScore);
+        }
+      }
+
+      this.count(request.useCase, 'misses');
+      return null;
+    } catch (error) {
+      this.stats.errors++;
+      logger.warn('Response cache lookup failed:', error.message);
+      return null;
+    }
+  }
+
+  async hit(request, entry, match, similarity) {
+    this.count(request.useCase, match === 'exact' ? 'exactHits' : 'semanticHits');
+    await this.backend.hit(entry.key);
+
+    logger.info(`Response cache ${match} hit for ${request.useCase}${match === 'semantic' ? ` (similarity ${similarity.toFixed(3)})` : ''}`);
+
+    return {
+      ...entry.response,
+      usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+      cached: {
+        match,
+        similarity: Math.round(similarity * 1000) / 1000,
+        cachedAt: new Date(entry.createdAt).toISOString(),
+      },
+    };
+  }
+
+  // Store a fresh response for a prepared request. Never throws.
+  async save(request, response) {
+    // Tool results depend on live data and on who asked
+    const content = response?.content?.toLowerCase() || '';
+    if (!content || response.toolCalls?.length > 0 || request.privateTerms.some(term => content.includes(term))) {
+      this.stats.skipped++;
+      return false;
+    }
+
+    const now = Date.now();
+    try {
+      await this.backend.set({
+        key: request.key,
+        scopeKey: request.scopeKey,
+        useCase: request.useCase,
+        prompt: request.prompt,
+        embedding: request.embedding,
+        embeddingModel: request.embedding ? this.config.semantic.model : null,
+        response: { content: response.content, provider: response.provider, model: response.model },
+        hits: 0,
+        createdAt: now,
+        expiresAt: now + request.ttlSeconds * 1000,
+      });
+      this.stats.stores++;
+      return true;
+    } catch (error) {
+      this.stats.errors++;
+      logger.warn('Failed to store response in cache:', error.message);
+      return false;
+    }
+  }
+
+  // Drops expired entries, or everything with `all`
+  async clear(all = false) {
+    const removed = await this.backend.clear(all);
+    logger.info(`Cleared ${removed} response cache entr${removed === 1 ? 'y' : 'ies'}`);
+    return removed;
+  }
+
+  async getStats() {
+    const hits = this.stats.exactHits + this.stats.semanticHits;
+    const lookups = hits + this.stats.misses;
+
+    let entries = null;
+    try {
+      entries = await this.backend.size();
+    } catch (error) {
+      logger.warn('Could not count response cache entries:', error.message);
+    }
+
+    return {
+      enabled: this.config.enabled,
+      store: this.config.store,
+      entries,
+      ...this.stats,
+      hits,
+      lookups,
+      hitRate: lookups > 0 ? Math.round((hits / lookups) * 1000) / 1000 : 0,
+      ttlSeconds: this.config.ttlSeconds,
+      semantic: {
+        enabled: this.config.semantic.enabled,
+        model: this.config.semantic.model,
+        threshold: this.config.semantic.threshold,
+      },
+    };
+  }
+}
+
+export const responseCache = new ResponseCache();
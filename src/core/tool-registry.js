@@ -0,0 +1,159 @@
+import { logger } from '../utils/logger.js';
+
+// Registry of tools the model can call. Each tool has a name, a description,
+// a JSON schema for its arguments and an async handler(args, context).
+//
+// Providers with native function calling get the schemas in their own wire
+// format (toOpenAITools / toAnthropicTools). For models without it, the tools
+// are described in the system prompt and the model replies with
+// <tool_call>{"name": ..., "arguments": {...}}</tool_call> tags instead.
+
+const TOOL_CALL_PATTERN = /<tool_call>\s*([\s\S]*?)\s*<\/tool_call>/g;
+
+const JSON_TYPES = {
+  string: (v) => typeof v === 'string',
+  number: (v) => typeof v === 'number' && !Number.isNaN(v),
+  integer: (v) => Number.isInteger(v),
+  boolean: (v) => typeof v === 'boolean',
+  object: (v) => v !== null && typeof v === 'object' && !Array.isArray(v),
+  array: (v) => Array.isArray(v),
+};
+
+// Checks the subset of JSON schema the tools use: required, type, enum, minimum, maximum
+export function validateArguments(schema, args) {
+  const errors = [];
+  if (!JSON_TYPES.object(args)) return ['arguments must be an object'];
+
+  for (const name of schema.required || []) {
+    if (args[name] === undefined) errors.push(`${name} is required`);
+  }
+
+  for (const [name, value] of Object.entries(args)) {
+    const property = schema.properties?.[name];
+    if (!property) {
+      errors.push(`unknown argument ${name}`);
+      continue;
+    }
+    if (property.type && !JSON_TYPES[property.type]?.(value)) {
+      errors.push(`${name} must be of type ${property.type}`);
+    } else if (property.enum && !property.enum.includes(value)) {
+      errors.push(`${name} must be one of ${property.enum.join(', ')}`);
+    } else if (property.minimum !== undefined && value < property.minimum) {
+      errors.push(`${name} must be >= ${property.minimum}`);
+    } else if (property.maximum !== undefined && value > property.maximum) {
+      errors.push(`${name} must be <= ${property.maximum}`);
+    }
+  }
+
+  return errors;
+}
+
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+  }
+
+  register({ name, description, parameters, handler }) {
+    if (!/^[a-zA-Z0-9_-]{1,64}$/.test(name)) {
+      throw new Error(`Invalid tool name: ${name}`);
+    }
+
+    this.tools.set(name, {
+      name,
+      description,
+      parameters: parameters || { type: 'object', properties: {} },
+      handler,
+    });
+  }
+
+  get(name) {
+    return this.tools.get(name) || null;
+  }
+
+  // Tools by name; `true` means every registered tool
+  list(names = true) {
+    if (names === true) return [...this.tools.values()];
+    return names.map(name => this.get(name)).filter(Boolean);
+  }
+
+  // Runs a tool call. Failures are returned as { error } so the model can see
+  // them and recover, rather than aborting the whole completion.
+  async execute(name, args, context = {}) {
+    const tool = this.get(name);
+    if (!tool) return { error: `Unknown tool: ${name}` };
+
+    const errors = validateArguments(tool.parameters, args ?? {});
+    if (errors.length > 0) return { error: `Invalid arguments for ${name}: ${errors.join('; ')}` };
+
+    try {
+      logger.info(`Running tool ${name}`, args);
+      return await tool.handler(args ?? {}, context);
+    } catch (error) {
+      logger.error(`Tool ${name} failed:`, error);
+      return { error: `${name} failed: ${error.message}` };
+    }
+  }
+}
+
+export function toOpenAITools(tools) {
+  return tools.map(tool => ({
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters,
+    },
+  }));
+}
+
+export function toAnthropicTools(tools) {
+  return tools.map(tool => ({
+    name: tool.name,
+    description: tool.description,
+    input_schema: tool.parameters,
+  }));
+}
+
+// System prompt addendum for prompt-based tool use
+export function buildToolPrompt(tools) {
+  const descriptions = tools
+    .map(tool => `- ${tool.name}: ${tool.description}\n  Arguments (JSON schema): ${JSON.stringify(tool.parameters)}`)
+    .join('\n');
+
+  return `You can look up real data with these tools:
+${descriptions}
+
+To call a tool, reply with only one or more tags like this and nothing else:
+<tool_call>{"name": "tool_name", "arguments": {"arg": "value"}}</tool_call>
+You'll get the results back, then answer the user normally. Only call a tool when it helps answer, and never mention the tools or tags to the user.`;
+}
+
+// Tool calls in a prompt-based reply, plus the reply with the tags removed
+export function parseToolCalls(text = '') {
+  const calls = [];
+
+  for (const [, body] of text.matchAll(TOOL_CALL_PATTERN)) {
+    try {
+      const parsed = JSON.parse(body);
+      calls.push({ id: `call_${calls.length}`, name: parsed.name, arguments: parsed.arguments || {} });
+    } catch {
+      calls.push({ id: `call_${calls.length}`, name: null, arguments: {}, error: 'Tool call was not valid JSON' });
+    }
+  }
+
+  return { calls, content: text.replace(TOOL_CALL_PATTERN, '').trim() };
+}
+
+export function formatToolResults(calls, results, { final = false } = {}) {
+  const body = calls
+    .map((call, i) => `<tool_result name="${call.name}">${JSON.stringify(results[i])}</tool_result>`)
+    .join('\n');
+
+  const instruction = final
+    ? 'Answer the original message now using these results. Do not call any more tools.'
+    : 'Use these results to answer the original message, or call another tool if you need more.';
+
+  return `Tool results:\n${body}\n\n${instruction}`;
+}
+
+export const toolRegistry = new ToolRegistry();
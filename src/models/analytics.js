@@ -253,6 +253,8 @@ export class Analytics {
     CONTENT_FETCHED: 'content_fetched',
     CONTENT_FETCH_FAILED: 'content_fetch_failed',
     POST_ENGAGEMENT_UPDATED: 'post_engagement_updated',
+    COMMENT_REPLIED: 'comment_replied',
+    MENTION_REPLIED: 'mention_replied',
     ERROR: 'error',
     WARNING: 'warning',
   };
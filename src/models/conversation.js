@@ -10,6 +10,7 @@ export class Conversation {
     this.aiResponse = data.ai_response;
     this.aiProvider = data.ai_provider;
     this.tokensUsed = data.tokens_used;
+    this.status = data.status || 'active';
     this.createdAt = data.created_at;
     this.metadata = data.metadata || {};
   }
@@ -20,12 +21,12 @@ export class Conversation {
       const result = await sql`
         INSERT INTO conversations (
           reddit_user, message_id, user_message, ai_response,
-          ai_provider, tokens_used, metadata
+          ai_provider, tokens_used, status, metadata
         )
         VALUES (
           ${data.redditUser}, ${data.messageId}, ${data.userMessage},
           ${data.aiResponse}, ${data.aiProvider || null}, ${data.tokensUsed || 0},
-          ${JSON.stringify(data.metadata || {})}
+          ${data.status || 'active'}, ${JSON.stringify(data.metadata || {})}
         )
         RETURNING *
       `;
@@ -86,12 +87,13 @@ export class Conversation {
   }
 
   // Get recent conversations
-  static async getRecent(limit = 50) {
+  static async getRecent(limit = 50, offset = 0) {
     try {
       const result = await sql`
         SELECT * FROM conversations
         ORDER BY created_at DESC
         LIMIT ${limit}
+        OFFSET ${offset}
       `;
       
       return result.rows.map(row => new Conversation(row));
@@ -209,7 +211,7 @@ export class Conversation {
   }
 
   // Search conversations
-  static async search(query, limit = 20) {
+  static async search(query, limit = 20, offset = 0) {
     try {
       const searchTerm = `%${query}%`;
       const result = await sql`
@@ -218,6 +220,7 @@ export class Conversation {
            OR ai_response ILIKE ${searchTerm}
         ORDER BY created_at DESC
         LIMIT ${limit}
+        OFFSET ${offset}
       `;
       
       return result.rows.map(row => new Conversation(row));
@@ -281,6 +284,7 @@ export class Conversation {
       aiResponse: this.aiResponse,
       aiProvider: this.aiProvider,
       tokensUsed: this.tokensUsed,
+      status: this.status,
       createdAt: this.createdAt,
       metadata: this.metadata,
     };
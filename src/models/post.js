@@ -1,6 +1,9 @@
 import { sql } from '@vercel/postgres';
 import { logger } from '../utils/logger.js';
 
+// Statuses of posts that are queued, waiting for a human or being published
+export const ACTIVE_POST_STATUSES = ['pending', 'pending_review', 'held', 'scheduled', 'publishing'];
+
 export class Post {
   constructor(data) {
     this.id = data.id;
@@ -10,6 +13,8 @@ export class Post {
     this.subreddit = data.subreddit;
     this.postType = data.post_type;
     this.sourceUrl = data.source_url;
+    this.kind = data.kind || 'self';
+    this.crosspostParent = data.crosspost_parent || null;
     this.status = data.status;
     this.scheduledAt = data.scheduled_at;
     this.postedAt = data.posted_at;
@@ -17,6 +22,8 @@ export class Post {
     this.comments = data.comments || 0;
     this.createdAt = data.created_at;
     this.metadata = data.metadata || {};
+    // Posts saved before the flair column kept it in metadata
+    this.flair = data.flair || this.metadata.flair || null;
   }
 
   // Create a new post
@@ -25,13 +32,14 @@ export class Post {
       const result = await sql`
         INSERT INTO posts (
           title, content, subreddit, post_type, source_url,
-          status, scheduled_at, metadata
+          status, scheduled_at, metadata, kind, flair, crosspost_parent
         )
         VALUES (
           ${data.title}, ${data.content}, ${data.subreddit || null},
           ${data.postType || 'autonomous'}, ${data.sourceUrl || null},
           ${data.status || 'draft'}, ${data.scheduledAt || null},
-          ${JSON.stringify(data.metadata || {})}
+          ${JSON.stringify(data.metadata || {})}, ${data.kind || 'self'},
+          ${data.flair || null}, ${data.crosspostParent || null}
         )
         RETURNING *
       `;
@@ -74,30 +82,50 @@ export class Post {
     }
   }
 
-  // Get all posts with filters
+  // WHERE clause for getAll: status, postType, subreddit ('profile' for
+  // Dobby's profile) and search (title or content)
+  static buildFilters(filters = {}) {
+    const clauses = [];
+    const values = [];
+
+    if (filters.status) {
+      values.push(filters.status);
+      clauses.push(`status = $${values.length}`);
+    }
+    if (filters.postType) {
+      values.push(filters.postType);
+      clauses.push(`post_type = $${values.length}`);
+    }
+    if (filters.subreddit === 'profile') {
+      clauses.push('subreddit IS NULL');
+    } else if (filters.subreddit) {
+      values.push(filters.subreddit);
+      clauses.push(`LOWER(subreddit) = LOWER($${values.length})`);
+    }
+    if (filters.search) {
+      values.push(`%${filters.search}%`);
+      clauses.push(`(title ILIKE $${values.length} OR content ILIKE $${values.length})`);
+    }
+
+    return { where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '', values };
+  }
+
+  // Get all posts with filters, newest first; limit and offset page through them
   static async getAll(filters = {}) {
     try {
-      let query = sql`SELECT * FROM posts WHERE 1=1`;
-      
-      if (filters.status) {
-        query = sql`${query} AND status = ${filters.status}`;
-      }
-      
-      if (filters.postType) {
-        query = sql`${query} AND post_type = ${filters.postType}`;
-      }
-      
-      if (filters.subreddit) {
-        query = sql`${query} AND subreddit = ${filters.subreddit}`;
-      }
-      
-      query = sql`${query} ORDER BY created_at DESC`;
-      
+      const { where, values } = Post.buildFilters(filters);
+      let query = `SELECT * FROM posts ${where} ORDER BY created_at DESC`;
+
       if (filters.limit) {
-        query = sql`${query} LIMIT ${filters.limit}`;
+        values.push(filters.limit);
+        query += ` LIMIT $${values.length}`;
       }
-      
-      const result = await query;
+      if (filters.offset) {
+        values.push(filters.offset);
+        query += ` OFFSET $${values.length}`;
+      }
+
+      const result = await sql.query(query, values);
       return result.rows.map(row => new Post(row));
     } catch (error) {
       logger.error('Error getting posts:', error);
@@ -156,6 +184,23 @@ export class Post {
     }
   }
 
+  // Get posts claimed for publishing before `before` and never finished
+  static async getStaleClaims(before) {
+    try {
+      const result = await sql`
+        SELECT * FROM posts
+        WHERE status = 'publishing'
+          AND COALESCE((metadata->>'claimedAt')::timestamp, scheduled_at) < ${before.toISOString()}
+        ORDER BY scheduled_at ASC
+      `;
+
+      return result.rows.map(row => new Post(row));
+    } catch (error) {
+      logger.error('Error getting stale publishing claims:', error);
+      return [];
+    }
+  }
+
   // Get posts ready to publish
   static async getReadyToPublish() {
     try {
@@ -175,6 +220,25 @@ export class Post {
     }
   }
 
+  // Published posts since `since`, oldest first, for the posting policy.
+  // Throws rather than returning [], so a database error never reads as
+  // "nothing posted yet".
+  static async getPostingHistory(since) {
+    try {
+      const result = await sql`
+        SELECT id, subreddit, posted_at FROM posts
+        WHERE status = 'published'
+          AND posted_at >= ${since.toISOString()}
+        ORDER BY posted_at ASC
+      `;
+      
+      return result.rows.map(row => ({ id: row.id, subreddit: row.subreddit, postedAt: new Date(row.posted_at) }));
+    } catch (error) {
+      logger.error('Error getting posting history:', error);
+      throw error;
+    }
+  }
+
   // Get top performing posts
   static async getTopPerforming(limit = 10, days = 30) {
     try {
@@ -320,6 +384,19 @@ export class Post {
         setClauses.push(`comments = $${paramCount++}`);
         values.push(updates.comments);
       }
+      if (updates.kind !== undefined) {
+        setClauses.push(`kind = $${paramCount++}`);
+        values.push(updates.kind);
+      }
+      if (updates.flair !== undefined) {
+        setClauses.push(`flair = $${paramCount++}`);
+        values.push(updates.flair);
+      }
+      // Merged into the existing metadata rather than replacing it
+      if (updates.metadata !== undefined) {
+        setClauses.push(`metadata = COALESCE(metadata, '{}'::jsonb) || $${paramCount++}::jsonb`);
+        values.push(JSON.stringify(updates.metadata));
+      }
 
       if (setClauses.length === 0) {
         return this;
@@ -372,6 +449,32 @@ export class Post {
     }
   }
 
+  // Move a scheduled post to 'publishing'. False when another dispatcher
+  // run got to it first.
+  // metadata.claimedAt lets the dispatcher spot claims a dead run left behind
+  async claimForPublishing() {
+    try {
+      const result = await sql`
+        UPDATE posts
+        SET status = 'publishing',
+            metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('claimedAt', ${new Date().toISOString()}::text)
+        WHERE id = ${this.id}
+          AND status = 'scheduled'
+        RETURNING *
+      `;
+      
+      if (result.rows.length === 0) {
+        return false;
+      }
+      
+      this.status = 'publishing';
+      return true;
+    } catch (error) {
+      logger.error('Error claiming post for publishing:', error);
+      throw error;
+    }
+  }
+
   // Mark as published
   async markAsPublished(redditPostId) {
     try {
@@ -438,28 +541,29 @@ export class Post {
   }
 
   // Delete old posts (cleanup)
-  static async deleteOlderThan(days, status = null) {
+  // Posts still on their way to Reddit are never deleted, nor published
+  // posts since keepPublishedSince (the posting policy's history)
+  static async deleteOlderThan(days, status = null, { keepPublishedSince = null } = {}) {
     try {
       const cutoffDate = new Date();
       cutoffDate.setDate(cutoffDate.getDate() - days);
 
-      let query;
+      const values = [cutoffDate.toISOString(), ACTIVE_POST_STATUSES];
+      const clauses = ['created_at < $1', 'status <> ALL($2::varchar[])'];
       if (status) {
-        query = sql`
-          DELETE FROM posts
-          WHERE created_at < ${cutoffDate.toISOString()}
-            AND status = ${status}
-          RETURNING id
-        `;
-      } else {
-        query = sql`
-          DELETE FROM posts
-          WHERE created_at < ${cutoffDate.toISOString()}
-          RETURNING id
-        `;
+        values.push(status);
+        clauses.push(`status = $${values.length}`);
+      }
+      if (keepPublishedSince) {
+        values.push(keepPublishedSince.toISOString());
+        clauses.push(`NOT (status = 'published' AND posted_at >= $${values.length})`);
       }
 
-      const result = await query;
+      const result = await sql.query(`
+        DELETE FROM posts
+        WHERE ${clauses.join(' AND ')}
+        RETURNING id
+      `, values);
       logger.info(`Deleted ${result.rows.length} old posts`);
       return result.rows.length;
     } catch (error) {
@@ -474,6 +578,18 @@ export class Post {
     return `https://reddit.com/comments/${this.redditPostId}`;
   }
 
+  // Options for redditService.submitPost / submitPostToProfile
+  getSubmitOptions() {
+    return {
+      kind: this.kind,
+      url: this.sourceUrl,
+      crosspostOf: this.crosspostParent,
+      flair: this.flair,
+      nsfw: Boolean(this.metadata.nsfw),
+      spoiler: Boolean(this.metadata.spoiler)
+    };
+  }
+
   // Calculate engagement score
   getEngagementScore() {
     return this.upvotes + (this.comments * 2);
@@ -505,6 +621,9 @@ export class Post {
       subreddit: this.subreddit,
       postType: this.postType,
       sourceUrl: this.sourceUrl,
+      kind: this.kind,
+      flair: this.flair,
+      crosspostParent: this.crosspostParent,
       status: this.status,
       scheduledAt: this.scheduledAt,
       postedAt: this.postedAt,
@@ -524,6 +643,7 @@ export class Post {
       title: this.title,
       titlePreview: this.title.substring(0, 50) + (this.title.length > 50 ? '...' : ''),
       postType: this.postType,
+      kind: this.kind,
       status: this.status,
       upvotes: this.upvotes,
       comments: this.comments,
@@ -0,0 +1,264 @@
+import { Post } from '../models/post.js';
+import { redditService } from './reddit-service.js';
+import { postGenerator } from './post-generator.js';
+import { contentModerator, ModerationAction } from './content-moderator.js';
+import { injectionGuard, UserStanding } from './injection-guard.js';
+import {
+  claimCommentReply,
+  updateCommentReply,
+  releaseCommentReply,
+  getHandledCommentIds,
+  logAnalytics
+} from '../config/database.js';
+import { commentReplyConfig } from '../config/ai-providers.js';
+import { isValidSubreddit } from '../config/reddit.js';
+import { truncateText } from '../utils/helpers.js';
+import { logger } from '../utils/logger.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// Replies to comments on Dobby's posts, to replies to Dobby's comments that
+// show up in the inbox, to u/<username> mentions anywhere on Reddit, and to
+// threads the subreddit watcher picked (source 'watch').
+//
+// Every comment gets a row in comment_replies before any model call, so two
+// runs (or the reply cron and the DM cron) never answer the same comment.
+// The row's source ('post_comment', 'comment_reply', 'mention' or 'watch')
+// keeps mentions apart from replies on our own threads, and analytics do the
+// same with mention_* and watch_* events.
+// Rows end as 'replied', 'held' (waiting in the moderation queue),
+// 'skipped' or 'failed'.
+class CommentResponder {
+  constructor(config = commentReplyConfig) {
+    this.config = config;
+  }
+
+  // Walk new top-level comments on recently published posts. Returns the
+  // comment ids by outcome, stopping after maxRepliesPerRun replies.
+  async engagePosts({ limit = this.config.maxRepliesPerRun } = {}) {
+    const results = { replied: [], held: [], skipped: [], failed: [], budgetExhausted: false };
+    const since = Date.now() - this.config.lookbackDays * 24 * HOUR;
+
+    const posts = (await Post.getPublished(50))
+      .filter(post => post.redditPostId && new Date(post.postedAt).getTime() >= since);
+
+    for (const post of posts) {
+      if (results.replied.length + results.held.length >= limit) break;
+
+      const comments = (await redditService.getPostComments(post.redditPostId))
+        .map(comment => redditService.formatComment(comment));
+      const handled = await getHandledCommentIds(comments.map(comment => comment.id));
+
+      for (const comment of comments.filter(comment => !handled.has(comment.id))) {
+        if (results.replied.length + results.held.length >= limit) break;
+        if (!await this.tally(results, comment, { post, source: 'post_comment' })) return results;
+      }
+    }
+
+    return results;
+  }
+
+  // Answer new mentions in the thread they were made in, newest first, up
+  // to mentions.maxRepliesPerRun replies
+  async answerMentions({ limit = this.config.mentions.maxRepliesPerRun } = {}) {
+    const results = { replied: [], held: [], skipped: [], failed: [], budgetExhausted: false };
+
+    const mentions = (await redditService.getMentions())
+      .map(mention => redditService.formatComment(mention));
+    const handled = await getHandledCommentIds(mentions.map(mention => mention.id));
+
+    for (const mention of mentions.filter(mention => !handled.has(mention.id))) {
+      if (results.replied.length + results.held.length >= limit) break;
+      if (!await this.tally(results, mention, { source: 'mention' })) break;
+    }
+
+    return results;
+  }
+
+  // respond() and file the outcome under `results`; false when the AI
+  // budget ran out and the run should stop
+  async tally(results, comment, options) {
+    try {
+      const outcome = await this.respond(comment, options);
+      if (outcome.status !== 'ignored') results[outcome.status].push(comment.id);
+      return true;
+    } catch (error) {
+      if (error.code !== 'BUDGET_EXCEEDED') throw error;
+
+      logger.warn(`Stopping ${options.source} replies: ${error.message}`);
+      results.budgetExhausted = true;
+      return false;
+    }
+  }
+
+  // A comment reply from the inbox (check-dms hands over `was_comment`
+  // items). Mentions are only marked read, as the mentions cron answers
+  // them; everything else is answered like a comment on one of our posts.
+  async handleInboxComment(message) {
+    if (!this.config.enabled || message.subject === 'username mention') {
+      await message.markAsRead();
+      return { status: 'ignored', reason: this.config.enabled ? 'mention' : 'disabled' };
+    }
+
+    const comment = redditService.formatComment(message);
+    const post = comment.postId ? await Post.findByRedditId(comment.postId) : null;
+    const source = message.subject === 'post reply' ? 'post_comment' : 'comment_reply';
+
+    // A budget stop leaves the item unread, so it's answered on a later run
+    const outcome = await this.respond(comment, { post, source });
+    await message.markAsRead();
+    return outcome;
+  }
+
+  // comment: formatted by redditService.formatComment. Returns { status, reason }
+  // with status 'replied', 'held', 'skipped', 'failed', or 'ignored' when
+  // the comment isn't ours to answer and gets no row.
+  async respond(comment, { post = null, source }) {
+    const username = (process.env.REDDIT_USERNAME || '').toLowerCase();
+    if (!comment.author || comment.author.toLowerCase() === username || comment.body === '[deleted]') {
+      return { status: 'ignored', reason: 'own or deleted' };
+    }
+    if (Date.now() - comment.createdAt.getTime() > this.config.maxCommentAgeHours * HOUR) {
+      return { status: 'ignored', reason: 'too old' };
+    }
+
+    const claimed = await claimCommentReply({
+      commentId: comment.id,
+      source,
+      postId: post?.id,
+      redditPostId: comment.postId,
+      subreddit: comment.subreddit,
+      author: comment.author,
+      body: comment.body
+    });
+    if (!claimed) return { status: 'ignored', reason: 'already handled' };
+
+    const event = ['mention', 'watch'].includes(source) ? source : 'comment';
+
+    try {
+      const skipReason = await this.skipReason(comment, event);
+      if (skipReason) {
+        await updateCommentReply(comment.id, { status: 'skipped', metadata: { reason: skipReason } });
+        return { status: 'skipped', reason: skipReason };
+      }
+
+      const context = await this.buildContext(comment, post, source);
+      const { text, persona, prompt } = await postGenerator.generateCommentReply(comment.body, context, {
+        subreddit: comment.subreddit,
+        channel: event === 'mention' ? 'mention' : 'comment'
+      });
+
+      const moderation = await contentModerator.review(text, {
+        target: 'comment',
+        referenceId: comment.id,
+        author: comment.author,
+        metadata: { source, postId: post?.id, redditPostId: comment.postId }
+      });
+      const decision = { action: moderation.action, logId: moderation.logId };
+
+      // Held replies are posted from the moderation queue once approved
+      if (moderation.action === ModerationAction.HOLD) {
+        await updateCommentReply(comment.id, { status: 'held', replyText: text, metadata: { moderation: decision, persona, prompt } });
+        return { status: 'held' };
+      }
+
+      const reply = await this.sendReply(comment.id, moderation.text);
+      await updateCommentReply(comment.id, {
+        status: 'replied',
+        replyId: reply.id,
+        replyText: moderation.text,
+        metadata: { moderation: decision, persona, prompt }
+      });
+
+      await logAnalytics(`${event}_replied`, {
+        commentId: comment.id,
+        postId: post?.id,
+        subreddit: comment.subreddit,
+        source,
+        author: comment.author,
+        commentLength: comment.body.length,
+        responseLength: moderation.text.length
+      });
+
+      logger.info(`Replied to ${event} ${comment.id} from u/${comment.author}`);
+      return { status: 'replied' };
+
+    } catch (error) {
+      // Nothing was sent; let a later run pick the comment up again
+      if (error.code === 'BUDGET_EXCEEDED') {
+        await releaseCommentReply(comment.id);
+        throw error;
+      }
+
+      logger.error(`Failed to reply to comment ${comment.id}:`, error);
+      await updateCommentReply(comment.id, { status: 'failed', metadata: { error: error.message } });
+      return { status: 'failed', reason: error.message };
+    }
+  }
+
+  // `id` as stored in comment_replies: a comment id, or t3_<id> for a reply
+  // to the submission itself
+  sendReply(id, text) {
+    return id.startsWith('t3_')
+      ? redditService.replyToSubmission(id.slice(3), text)
+      : redditService.replyToComment(id, text);
+  }
+
+  // Why a claimed comment gets no reply, or null. Injection attempts count
+  // against the author like in DMs, but get no public canned reply.
+  async skipReason(comment, event = 'comment') {
+    if (event === 'mention' && !isValidSubreddit(comment.subreddit)) return 'subreddit not allowed';
+    if (comment.body.trim().length < this.config.minCommentChars) return 'too short';
+
+    const standing = await injectionGuard.standing(comment.author);
+    if (standing.status !== UserStanding.OK) return standing.status;
+
+    const inspection = await injectionGuard.inspect(comment.body);
+    if (inspection.flagged) {
+      const flags = await injectionGuard.recordFlag(comment.author, inspection);
+      await logAnalytics(`${event}_quarantined`, {
+        commentId: comment.id,
+        author: comment.author,
+        score: inspection.score,
+        reasons: inspection.reasons,
+        flags
+      });
+      return 'injection';
+    }
+
+    return null;
+  }
+
+  // The post being discussed (from Reddit when it isn't one of ours), then
+  // up to contextDepth parent comments, oldest first
+  async buildContext(comment, post, source = 'post_comment') {
+    const parents = [];
+    let parentId = comment.parentId;
+
+    while (parentId?.startsWith('t1_') && parents.length < this.config.contextDepth) {
+      const parent = redditService.formatComment(await redditService.getComment(parentId.slice(3)));
+      parents.unshift(`u/${parent.author || '[deleted]'}: ${truncateText(parent.body, 500)}`);
+      parentId = parent.parentId;
+    }
+
+    const parts = [];
+    if (post) {
+      parts.push(`This is a comment on your post "${post.title}": ${truncateText(post.content, 500)}`);
+    } else if (comment.postId && comment.kind !== 'submission') {
+      const submission = await redditService.getSubmission(comment.postId);
+      parts.push(`The thread is r/${comment.subreddit} post "${submission.title}" by u/${submission.author?.name || '[deleted]'}: ` +
+        truncateText(submission.selftext || submission.url || '', 500));
+    }
+    if (parents.length > 0) {
+      parts.push(`Earlier in the thread:\n${parents.join('\n')}`);
+    }
+    if (source === 'mention') {
+      parts.push(`u/${comment.author} mentioned you to bring you into the conversation.`);
+    } else if (source === 'watch') {
+      parts.push(`You found this ${comment.kind === 'submission' ? 'post' : 'comment'} in r/${comment.subreddit}; nobody asked for you, so only add what's useful.`);
+    }
+    return parts.join('\n\n');
+  }
+}
+
+export const commentResponder = new CommentResponder();
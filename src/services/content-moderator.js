@@ -0,0 +1,284 @@
+import { aiManager } from '../core/ai-manager.js';
+import { contentSafety } from '../config/ai-providers.js';
+import { saveModerationDecision, updateModerationReview } from '../config/database.js';
+import { redditConfig } from '../config/reddit.js';
+import { countTokens } from '../utils/tokenizer.js';
+import { logger } from '../utils/logger.js';
+
+// Moderation for everything DobbyAI sends to Reddit under its own account.
+//
+// Text goes through a chain of classifiers, each returning findings with a
+// severity (low, medium, high): the regex rules and warning phrases from
+// contentSafety first, then the optional LLM judge. The worst severity picks
+// the action for the kind of output (contentSafety.actions): allow it,
+// rewrite it with a model and check again, or hold it for a human. Every
+// decision is written to moderation_log; held ones wait there with
+// review_status 'pending'.
+
+export const ModerationAction = {
+  ALLOW: 'allow',
+  REWRITE: 'rewrite',
+  HOLD: 'hold',
+};
+
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3 };
+
+// contentSafety.rules plus the warning phrases, which count as low severity
+export function ruleClassifier(config = contentSafety) {
+  const rules = config.rules.map(rule => ({ ...rule, regex: new RegExp(rule.pattern, 'i') }));
+  const phrases = config.warningPhrases.map(phrase => phrase.toLowerCase());
+
+  return {
+    name: 'rules',
+    async classify(text) {
+      const findings = [];
+
+      for (const rule of rules) {
+        const match = text.match(rule.regex);
+        if (match) findings.push({ rule: rule.id, severity: rule.severity, reason: rule.reason, match: match[0] });
+      }
+
+      const lower = text.toLowerCase();
+      const phrase = phrases.find(p => lower.includes(p));
+      if (phrase) findings.push({ rule: 'warning-phrase', severity: 'low', reason: `Contains "${phrase}"` });
+
+      return findings;
+    },
+  };
+}
+
+function judgePrompt(config, target) {
+  return `You review text that DobbyAI, an AI account on Reddit, is about to publish as a ${target}. Decide whether it is safe to publish under the account.
+
+Flag:
+${config.blockedTopics.map(topic => `- ${topic}`).join('\n')}
+- harassment, hate or insults aimed at people or groups
+- personal information about anyone
+- promises of financial returns or investment advice
+- anything else a moderated subreddit would remove
+
+Severity: "none" if it is fine, "low" for minor tone problems, "medium" if it should be reworded before publishing, "high" if it must not be published.
+
+Reply with only JSON: {"severity": "none" | "low" | "medium" | "high", "reason": "<one sentence>"}`;
+}
+
+// A model's opinion, for what the rules can't catch
+export function llmJudgeClassifier(config = contentSafety) {
+  return {
+    name: 'judge',
+    async classify(text, context) {
+      const response = await aiManager.chat([
+        { role: 'system', content: judgePrompt(config, context.target) },
+        { role: 'user', content: text }
+      ], {
+        useCase: config.judge.useCase,
+        feature: 'moderation',
+        temperature: 0,
+        maxTokens: 150,
+        cache: false
+      });
+
+      const json = response.content.match(/\{[\s\S]*\}/)?.[0];
+      const verdict = json ? JSON.parse(json) : null;
+      if (!verdict || !(verdict.severity in SEVERITY_RANK || verdict.severity === 'none')) {
+        throw new Error(`Unreadable verdict: ${response.content.slice(0, 100)}`);
+      }
+
+      return verdict.severity === 'none'
+        ? []
+        : [{ rule: 'judge', severity: verdict.severity, reason: verdict.reason || 'Flagged by the moderation model' }];
+    },
+  };
+}
+
+export function joinPostText(title, content) {
+  return `${title}\n\n${content}`;
+}
+
+// Inverse of joinPostText: the first line is the title, the rest the body.
+// Null unless both parts are there and the title fits Reddit's limit, so a
+// mangled rewrite is never published with the original body.
+export function splitPostText(text) {
+  const [firstLine, ...rest] = text.trim().split('\n');
+  const title = firstLine.replace(/^#+\s*/, '').trim();
+  const content = rest.join('\n').trim();
+
+  if (!title || !content || title.length > redditConfig.maxTitleLength) return null;
+  return { title, content };
+}
+
+class ContentModerator {
+  constructor(config = contentSafety) {
+    this.config = config;
+    this.classifiers = [ruleClassifier(config)];
+
+    if (config.judge.enabled) {
+      this.classifiers.push(llmJudgeClassifier(config));
+    }
+  }
+
+  // Add a classifier: { name, classify(text, context) -> [{ rule, severity, reason }] }
+  use(classifier) {
+    this.classifiers.push(classifier);
+  }
+
+  async classify(text, context) {
+    const findings = [];
+    const errors = [];
+    const failed = [];
+
+    for (const classifier of this.classifiers) {
+      // No need to ask the judge about text that's already held
+      if (findings.some(f => f.severity === 'high')) break;
+
+      try {
+        for (const finding of await classifier.classify(text, context)) {
+          findings.push({ classifier: classifier.name, ...finding });
+        }
+      } catch (error) {
+        logger.warn(`Moderation classifier ${classifier.name} failed:`, error.message);
+        errors.push(`${classifier.name}: ${error.message}`);
+        failed.push(classifier.name);
+      }
+    }
+
+    return { findings, errors, failed };
+  }
+
+  // Whether text that would otherwise be allowed must be held because the
+  // judge didn't answer
+  judgeUnavailable({ failed }, target) {
+    return failed.includes('judge') && this.config.judge.holdOnFailure.includes(target);
+  }
+
+  actionFor(findings, target) {
+    const worst = findings.reduce((max, f) => Math.max(max, SEVERITY_RANK[f.severity] || 0), 0);
+    if (worst === 0) return ModerationAction.ALLOW;
+
+    const severity = Object.keys(SEVERITY_RANK).find(key => SEVERITY_RANK[key] === worst);
+    return this.config.actions[target]?.[severity] || ModerationAction.HOLD;
+  }
+
+  async rewrite(text, findings, target) {
+    const problems = [...new Set(findings.map(f => f.reason))].map(reason => `- ${reason}`).join('\n');
+    const layout = target === 'post'
+      ? ` Keep the title on the first line, at most ${redditConfig.maxTitleLength} characters, then a blank line, then the body.`
+      : '';
+
+    const response = await aiManager.chat([
+      {
+        role: 'system',
+        content: `Rewrite the ${target} you are given so it no longer has these problems:\n${problems}\n\nKeep its meaning, its markdown formatting and its voice.${layout} Reply with only the rewritten text.`
+      },
+      { role: 'user', content: text }
+    ], {
+      useCase: this.config.judge.useCase,
+      feature: 'moderation',
+      temperature: 0.3,
+      maxTokens: countTokens(text) + 200,
+      cache: false
+    });
+
+    return response.content.trim();
+  }
+
+  // Check text before it is sent. context: { target: 'dm' | 'comment' | 'post',
+  // referenceId, author, metadata, rewrite: false to hold instead of rewriting,
+  // checkRewrite(text) -> why a rewrite can't be used, or null }.
+  // Returns { action, text, originalText, reasons, findings, logId }; `text` is
+  // what to send (the rewrite, if there was one).
+  async review(text, context = {}) {
+    const target = context.target || 'dm';
+    if (!this.config.enableFilter) {
+      return { action: ModerationAction.ALLOW, text, originalText: text, reasons: ['Content filter disabled'], findings: [], logId: null };
+    }
+
+    const classified = await this.classify(text, { ...context, target });
+    const { findings, errors } = classified;
+    const reasons = findings.map(f => `${f.classifier}/${f.rule}: ${f.reason}`);
+    let action = this.actionFor(findings, target);
+    let finalText = text;
+
+    if (action !== ModerationAction.HOLD && this.judgeUnavailable(classified, target)) {
+      action = ModerationAction.HOLD;
+      reasons.push('Moderation judge unavailable');
+    } else if (action === ModerationAction.REWRITE && context.rewrite === false) {
+      action = ModerationAction.HOLD;
+      reasons.push('Rewriting is off for this text');
+    } else if (action === ModerationAction.REWRITE) {
+      try {
+        const rewritten = await this.rewrite(text, findings, target);
+        const unusable = !rewritten ? 'empty rewrite' : context.checkRewrite?.(rewritten);
+        const recheck = unusable ? null : await this.classify(rewritten, { ...context, target });
+
+        if (unusable) {
+          action = ModerationAction.HOLD;
+          reasons.push(`Rewrite unusable: ${unusable}`);
+        } else if (this.actionFor(recheck.findings, target) === ModerationAction.ALLOW && !this.judgeUnavailable(recheck, target)) {
+          finalText = rewritten;
+        } else {
+          action = ModerationAction.HOLD;
+          reasons.push(`Rewrite still flagged: ${recheck.findings.map(f => f.reason).join('; ') || 'moderation judge unavailable'}`);
+        }
+      } catch (error) {
+        action = ModerationAction.HOLD;
+        reasons.push(`Rewrite failed: ${error.message}`);
+      }
+    }
+
+    if (reasons.length === 0) reasons.push('No issues found');
+    if (errors.length > 0) reasons.push(...errors.map(error => `Check failed (${error})`));
+
+    const decision = { action, target, text: finalText, originalText: text, reasons, findings };
+    decision.logId = await this.log(decision, context);
+    return decision;
+  }
+
+  // Posts are checked as one text, title first, so a rewrite can fix either.
+  // A rewrite that doesn't split back into a title and body is held.
+  async reviewPost({ title, content }, context = {}) {
+    const decision = await this.review(joinPostText(title, content), {
+      ...context,
+      target: 'post',
+      checkRewrite: (text) => splitPostText(text) ? null : `no title and body, or a title over ${redditConfig.maxTitleLength} characters`
+    });
+
+    const rewritten = decision.action === ModerationAction.REWRITE && splitPostText(decision.text);
+    return { ...decision, ...(rewritten || { title, content }) };
+  }
+
+  async log(decision, context) {
+    const summary = decision.reasons.join('; ');
+    const message = `Moderation ${decision.action} for ${decision.target}${context.author ? ` (u/${context.author})` : ''}: ${summary}`;
+    if (decision.action === ModerationAction.ALLOW) {
+      logger.info(message);
+    } else {
+      logger.warn(message);
+    }
+
+    try {
+      const row = await saveModerationDecision({
+        target: decision.target,
+        referenceId: context.referenceId ? String(context.referenceId) : null,
+        author: context.author,
+        action: decision.action,
+        reasons: decision.reasons,
+        originalText: decision.originalText,
+        finalText: decision.text,
+        reviewStatus: decision.action === ModerationAction.HOLD ? 'pending' : null,
+        metadata: { ...context.metadata, findings: decision.findings },
+      });
+      return row.id;
+    } catch (error) {
+      logger.error('Failed to log moderation decision:', error.message);
+      return null;
+    }
+  }
+
+  // Record a human's verdict on held output
+  resolve(logId, approved, finalText = null) {
+    return updateModerationReview(logId, approved ? 'approved' : 'rejected', finalText);
+  }
+}
+
+export const contentModerator = new ContentModerator();
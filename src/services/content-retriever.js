@@ -0,0 +1,239 @@
+import { aiManager } from '../core/ai-manager.js';
+import { ragConfig } from '../config/ai-providers.js';
+import {
+  getRecentContent,
+  getUnindexedContent,
+  saveContentChunks,
+  searchContentChunks
+} from '../config/database.js';
+import { countTokens } from '../utils/tokenizer.js';
+import { cosineSimilarity } from '../utils/helpers.js';
+import { logger } from '../utils/logger.js';
+
+// Retrieval-augmented answers over content_cache.
+//
+// Cached articles are split into overlapping chunks, embedded and stored in
+// a vector index: the content_chunks table (pgvector) in production, or an
+// in-process index built from recent content for local runs. retrieve()
+// embeds the user's message and returns the closest passages with their
+// source URLs, which callers add to the system prompt.
+
+// Split text into ~chunkTokens-token chunks on paragraph and sentence
+// boundaries, repeating the last ~overlapTokens of each chunk in the next
+export function chunkText(text, { chunkTokens = ragConfig.chunkTokens, overlapTokens = ragConfig.chunkOverlapTokens } = {}) {
+  const sentences = (text || '')
+    .split(/\n{2,}/)
+    .flatMap(paragraph => paragraph.replace(/\s+/g, ' ').trim().match(/[^.!?]+[.!?]*\s*/g) || [])
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+
+  const chunks = [];
+  let current = [];
+  let tokens = 0;
+
+  for (const sentence of sentences) {
+    const sentenceTokens = countTokens(sentence);
+
+    if (tokens + sentenceTokens > chunkTokens && current.length > 0) {
+      chunks.push(current.join(' '));
+
+      // Carry trailing sentences over as overlap
+      const overlap = [];
+      let overlapCount = 0;
+      for (let i = current.length - 1; i >= 0; i--) {
+        const count = countTokens(current[i]);
+        if (overlapCount + count > overlapTokens) break;
+        overlap.unshift(current[i]);
+        overlapCount += count;
+      }
+
+      current = overlap;
+      tokens = overlapCount;
+    }
+
+    current.push(sentence);
+    tokens += sentenceTokens;
+  }
+
+  if (current.length > 0) chunks.push(current.join(' '));
+  return chunks;
+}
+
+class PgVectorStore {
+  constructor(model) {
+    this.model = model;
+  }
+
+  pendingContent(limit) {
+    return getUnindexedContent(this.model, limit);
+  }
+
+  upsert(content, chunks) {
+    return saveContentChunks(content.id, this.model, chunks);
+  }
+
+  async search(embedding, limit) {
+    const rows = await searchContentChunks(embedding, this.model, limit);
+    return rows.map(row => ({
+      contentId: row.content_id,
+      title: row.title,
+      sourceUrl: row.source_url,
+      text: row.text,
+      score: parseFloat(row.score),
+    }));
+  }
+}
+
+// Lost on restart; rebuilt from the most recent content_cache rows
+class MemoryVectorStore {
+  constructor(model) {
+    this.model = model;
+    this.chunks = [];
+    this.indexed = new Set();
+  }
+
+  async pendingContent(limit) {
+    const rows = await getRecentContent(ragConfig.memoryIndexLimit);
+    return rows.filter(row => row.content && !this.indexed.has(row.id)).slice(0, limit);
+  }
+
+  async upsert(content, chunks) {
+    this.chunks = this.chunks.filter(chunk => chunk.contentId !== content.id);
+    this.chunks.push(...chunks.map(chunk => ({
+      ...chunk,
+      contentId: content.id,
+      title: content.title,
+      sourceUrl: content.source_url,
+    })));
+    this.indexed.add(content.id);
+  }
+
+  async search(embedding, limit) {
+    return this.chunks
+      .map(chunk => ({
+        contentId: chunk.contentId,
+        title: chunk.title,
+        sourceUrl: chunk.sourceUrl,
+        text: chunk.text,
+        score: cosineSimilarity(embedding, chunk.embedding),
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+// How often the in-process index looks for newly cached content
+const MEMORY_REFRESH_MS = 10 * 60 * 1000;
+
+class ContentRetriever {
+  constructor(config = ragConfig) {
+    this.config = config;
+    this.lastRefreshAt = 0;
+    this.provider = config.embeddingProvider;
+    this.model = config.embeddingModels[this.provider] || null;
+    this.store = config.vectorStore === 'pgvector'
+      ? new PgVectorStore(this.model)
+      : new MemoryVectorStore(this.model);
+  }
+
+  isEnabled() {
+    return this.config.enabled && Boolean(this.model);
+  }
+
+  async indexContent(content) {
+    const chunks = chunkText(content.content);
+    if (chunks.length === 0) return 0;
+
+    // The title goes into every embedded chunk so short passages keep their topic
+    const embeddings = await aiManager.embed(
+      chunks.map(chunk => `${content.title}\n\n${chunk}`),
+      { provider: this.provider, model: this.model, feature: 'rag' }
+    );
+
+    await this.store.upsert(content, chunks.map((text, i) => ({
+      chunkIndex: i,
+      text,
+      embedding: embeddings[i],
+    })));
+
+    return chunks.length;
+  }
+
+  // Embed content that isn't in the index yet
+  async indexPending(limit = 20) {
+    if (!this.isEnabled()) return { indexed: 0, chunks: 0 };
+
+    const pending = await this.store.pendingContent(limit);
+    let chunks = 0;
+
+    for (const content of pending) {
+      try {
+        chunks += await this.indexContent(content);
+      } catch (error) {
+        logger.error(`Failed to index content ${content.id}:`, error.message);
+      }
+    }
+
+    if (pending.length > 0) {
+      logger.info(`Indexed ${pending.length} article(s) into ${chunks} chunk(s) for retrieval`);
+    }
+    return { indexed: pending.length, chunks };
+  }
+
+  // Top passages for a query, at most maxPassagesPerSource per article.
+  // Never throws: without retrieval Dobby still answers, just without sources.
+  async retrieve(query, k = this.config.topK) {
+    if (!this.isEnabled() || !query) return [];
+
+    try {
+      if (this.store instanceof MemoryVectorStore && Date.now() - this.lastRefreshAt > MEMORY_REFRESH_MS) {
+        this.lastRefreshAt = Date.now();
+        await this.indexPending(this.config.memoryIndexLimit);
+      }
+
+      const [embedding] = await aiManager.embed([query], { provider: this.provider, model: this.model, feature: 'rag' });
+      const candidates = await this.store.search(embedding, k * 3);
+
+      const perSource = new Map();
+      return candidates
+        .filter(passage => passage.score >= this.config.minScore)
+        .filter(passage => {
+          const count = perSource.get(passage.sourceUrl) || 0;
+          perSource.set(passage.sourceUrl, count + 1);
+          return count < this.config.maxPassagesPerSource;
+        })
+        .slice(0, k);
+    } catch (error) {
+      logger.warn('Content retrieval failed, answering without sources:', error.message);
+      return [];
+    }
+  }
+
+  // System prompt addendum with numbered passages and citation instructions
+  formatForPrompt(passages) {
+    if (passages.length === 0) return '';
+
+    const sources = passages
+      .map((passage, i) => `[${i + 1}] ${passage.title} (${passage.sourceUrl})\n${passage.text}`)
+      .join('\n\n');
+
+    return `\n\nRELEVANT SENTIENT ARTICLES:\n${sources}\n\nWhen your answer uses these articles, cite them with their links. If they don't cover the question, say you're not sure instead of making things up.`;
+  }
+
+  // Append a sources line when the reply didn't link any of the articles itself
+  addCitations(reply, passages) {
+    if (passages.length === 0) return reply;
+    if (passages.some(passage => reply.includes(passage.sourceUrl))) return reply;
+
+    const links = [...new Map(passages.map(p => [p.sourceUrl, p])).values()]
+      .map(passage => `[${passage.title}](${passage.sourceUrl})`);
+
+    return `${reply}\n\nSources: ${links.join(', ')}`;
+  }
+
+  sources(passages) {
+    return [...new Map(passages.map(p => [p.sourceUrl, { title: p.title, url: p.sourceUrl, score: p.score }])).values()];
+  }
+}
+
+export const contentRetriever = new ContentRetriever();
@@ -0,0 +1,61 @@
+import { aiManager } from '../core/ai-manager.js';
+import { renderSystemPrompt, formatUserMessage, enhanceResponseWithPersonality } from '../core/personality.js';
+import { personaRegistry } from '../core/persona-registry.js';
+import { aiConfig } from '../config/ai-providers.js';
+import { dobbyTools } from './dobby-tools.js';
+import { contentRetriever } from './content-retriever.js';
+
+// Writes Dobby's reply to a DM: the DM persona and prompt, history and
+// retrieved passages in, reply with citations and sign-off out. Shared by
+// the DM cron and the eval harness so both use the same prompts.
+class DmResponder {
+  buildMessages(messageData, { systemPrompt, history, passages }) {
+    const messages = [
+      { role: 'system', content: systemPrompt + contentRetriever.formatForPrompt(passages) }
+    ];
+
+    for (const msg of history) {
+      messages.push({ role: 'user', content: msg.user_message });
+      messages.push({ role: 'assistant', content: msg.ai_response });
+    }
+
+    messages.push({
+      role: 'user',
+      content: formatUserMessage(messageData.body, {
+        username: messageData.author,
+        context: messageData.subject && messageData.subject !== 'no subject' ? `Subject: ${messageData.subject}` : null
+      })
+    });
+
+    return messages;
+  }
+
+  // messageData: { author, body, subject }. Returns { text, response, persona, prompt }.
+  async reply(messageData, { history = [], passages = [], tools = aiConfig.enableTools, cache = true } = {}) {
+    const persona = await personaRegistry.forChannel('dm');
+    const systemPrompt = renderSystemPrompt({ persona, conversationHistory: true, assignKey: messageData.author });
+
+    const response = await aiManager.chat(this.buildMessages(messageData, { systemPrompt: systemPrompt.text, history, passages }), {
+      maxTokens: parseInt(process.env.MAX_RESPONSE_LENGTH) || 500,
+      temperature: 0.8,
+      useCase: 'chat',
+      routingKey: messageData.author,
+      feature: 'dm',
+      tools: tools ? dobbyTools : undefined,
+      toolContext: { username: messageData.author },
+      // FAQ-style first messages can share an answer; follow-ups depend on the history
+      cache: cache && history.length === 0
+        ? { prompt: messageData.body, scope: systemPrompt.text, privateTerms: [messageData.author] }
+        : false
+    });
+
+    return {
+      text: enhanceResponseWithPersonality(contentRetriever.addCitations(response.content, passages), persona),
+      response,
+      persona,
+      prompt: systemPrompt.ref
+    };
+  }
+}
+
+export const dmResponder = new DmResponder();
@@ -0,0 +1,103 @@
+import { toolRegistry } from '../core/tool-registry.js';
+import { searchContent } from '../config/database.js';
+import { Post } from '../models/post.js';
+import { Conversation } from '../models/conversation.js';
+import { truncateText } from '../utils/helpers.js';
+
+// Tools DobbyAI can call while answering DMs and chat. Pass `dobbyTools` as
+// the `tools` option to aiManager.chat() and { username } as `toolContext`
+// (add allowAnyUser: true for trusted admin callers).
+
+toolRegistry.register({
+  name: 'search_sentient_content',
+  description: 'Search blog posts and announcements recently published by Sentient. Leave query empty to list the latest ones.',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'Words to look for in the title or body' },
+      days: { type: 'integer', description: 'How many days back to search (default 7)', minimum: 1, maximum: 90 },
+      limit: { type: 'integer', description: 'Maximum results (default 5)', minimum: 1, maximum: 10 },
+    },
+  },
+  handler: async ({ query = null, days = 7, limit = 5 }) => {
+    const rows = await searchContent(query, days, limit);
+
+    return {
+      results: rows.map(row => ({
+        title: row.title,
+        url: row.source_url,
+        publishedAt: row.metadata?.publishedAt || row.fetched_at,
+        excerpt: truncateText(row.summary || row.content || '', 300),
+      })),
+    };
+  },
+});
+
+toolRegistry.register({
+  name: 'get_post_stats',
+  description: "Look up upvotes, comments and status of DobbyAI's own Reddit posts. Without post_id, returns the most recent published posts.",
+  parameters: {
+    type: 'object',
+    properties: {
+      post_id: { type: 'string', description: 'Database id or Reddit post id' },
+    },
+  },
+  handler: async ({ post_id: postId }) => {
+    const format = (post) => ({
+      title: post.title,
+      status: post.status,
+      upvotes: post.upvotes,
+      comments: post.comments,
+      postedAt: post.postedAt,
+      url: post.redditPostId ? `https://reddit.com/comments/${post.redditPostId}` : null,
+    });
+
+    if (!postId) {
+      const posts = await Post.getPublished(5);
+      return { posts: posts.map(format) };
+    }
+
+    const post = /^\d+$/.test(postId)
+      ? await Post.findById(parseInt(postId))
+      : await Post.findByRedditId(postId);
+
+    return post ? { post: format(post) } : { error: `No post found for ${postId}` };
+  },
+});
+
+toolRegistry.register({
+  name: 'get_conversation_summary',
+  description: 'Summarize past conversations with the user you are talking to: how often they talked to DobbyAI and what they asked about recently.',
+  parameters: {
+    type: 'object',
+    properties: {
+      username: { type: 'string', description: 'Reddit username (defaults to the current user)' },
+    },
+  },
+  handler: async ({ username }, context) => {
+    // Users may only look up their own history unless the caller allows any user
+    const target = context.allowAnyUser ? (username || context.username) : context.username;
+    if (!target) return { error: 'No user to summarize' };
+    if (!context.allowAnyUser && username && username.toLowerCase() !== target.toLowerCase()) {
+      return { error: "Can only summarize the current user's own conversations" };
+    }
+
+    // Quarantined messages are prompt-injection attempts; keep them out of the model's context
+    const history = (await Conversation.getHistoryByUser(target, 20)).filter(c => c.status !== 'quarantined');
+    if (history.length === 0) return { username: target, conversations: 0 };
+
+    return {
+      username: target,
+      conversations: history.length,
+      firstSeen: history[0].createdAt,
+      lastSeen: history[history.length - 1].createdAt,
+      recentMessages: history.slice(-5).map(c => truncateText(c.userMessage, 200)),
+    };
+  },
+});
+
+export const dobbyTools = [
+  'search_sentient_content',
+  'get_post_stats',
+  'get_conversation_summary',
+];
@@ -0,0 +1,297 @@
+import { aiManager } from '../core/ai-manager.js';
+import { evalConfig } from '../config/ai-providers.js';
+import { personaRegistry } from '../core/persona-registry.js';
+import { ruleClassifier } from './content-moderator.js';
+import { dmResponder } from './dm-responder.js';
+import { postGenerator } from './post-generator.js';
+import { logger } from '../utils/logger.js';
+
+// Offline evaluation of DM replies and posts (scripts/eval.js).
+//
+// Every case in a fixed dataset goes through the same code the crons use
+// (dmResponder for DMs, postGenerator for posts) with the current prompts,
+// personas and provider, minus tools, retrieval and the cache, which need
+// live data. Outputs are scored with rule checks and, optionally, rubric
+// scores from a model. summarize() turns the results into metrics that
+// compare() holds against a stored baseline.
+
+function check(name, pass, detail = null) {
+  return { name, pass: Boolean(pass), ...(detail !== null && { detail }) };
+}
+
+function wordCount(text) {
+  return (text.match(/\S+/g) || []).length;
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+function round(value, places = 3) {
+  return value === null ? null : Math.round(value * 10 ** places) / 10 ** places;
+}
+
+function judgePrompt(suite, rubric) {
+  const what = suite === 'dm' ? 'a reply to a Reddit DM' : 'a Reddit post written from a source article';
+  const criteria = Object.entries(rubric).map(([name, description]) => `- ${name}: ${description}`).join('\n');
+  const shape = Object.keys(rubric).map(name => `"${name}": <1-5>`).join(', ');
+
+  return `You grade ${what}, written by DobbyAI, an AI account on Reddit.
+
+Score each criterion from 1 (poor) to 5 (excellent):
+${criteria}
+
+Reply with only JSON: {"scores": {${shape}}, "comment": "<one sentence>"}`;
+}
+
+class Evaluator {
+  constructor(config = evalConfig) {
+    this.config = config;
+    this.safetyRules = ruleClassifier();
+  }
+
+  // Banned phrases, moderation rules and the case's own expectations
+  async contentChecks(text, expect = {}) {
+    const lower = text.toLowerCase();
+    const banned = this.config.bannedPhrases.filter(phrase => lower.includes(phrase));
+    const findings = (await this.safetyRules.classify(text)).filter(f => f.severity !== 'low');
+
+    const checks = [
+      check('banned-phrases', banned.length === 0, banned.length ? banned.join(', ') : null),
+      check('safety-rules', findings.length === 0, findings.length ? findings.map(f => f.rule).join(', ') : null),
+    ];
+
+    if (expect.mustContain?.length) {
+      const missing = expect.mustContain.filter(term => !lower.includes(term.toLowerCase()));
+      checks.push(check('must-contain', missing.length === 0, missing.length ? `missing: ${missing.join(', ')}` : null));
+    }
+    if (expect.mustNotContain?.length) {
+      const found = expect.mustNotContain.filter(term => lower.includes(term.toLowerCase()));
+      checks.push(check('must-not-contain', found.length === 0, found.length ? `found: ${found.join(', ')}` : null));
+    }
+
+    return checks;
+  }
+
+  async scoreDm(testCase, reply) {
+    const { minChars, maxChars } = this.config.dm;
+    const length = reply.text.length;
+
+    return [
+      check('length', length >= minChars && length <= maxChars, `${length} chars`),
+      ...await this.contentChecks(reply.text, testCase.expect),
+    ];
+  }
+
+  async scorePost(testCase, post) {
+    const { minTitleChars, maxTitleChars, minBodyWords, maxBodyWords } = this.config.post;
+    const words = wordCount(post.content);
+    const validation = postGenerator.validatePost(post);
+    const ending = post.content.trim().slice(-300);
+
+    return [
+      check('schema-first-try', post.metadata.repairAttempts === 0, post.metadata.repairAttempts ? `${post.metadata.repairAttempts} repair(s)` : null),
+      check('title-length', post.title.length >= minTitleChars && post.title.length <= maxTitleChars, `${post.title.length} chars`),
+      check('body-length', words >= minBodyWords && words <= maxBodyWords, `${words} words`),
+      check('valid-post', validation.valid, validation.valid ? null : validation.errors.join(', ')),
+      check('discussion-question', ending.includes('?')),
+      ...await this.contentChecks(`${post.title}\n\n${post.content}`, testCase.expect),
+    ];
+  }
+
+  // { scores: { criterion: 1-5 }, comment } from the judge model
+  async judge(suite, input, output) {
+    const rubric = this.config.judge.rubrics[suite];
+    const response = await aiManager.chat([
+      { role: 'system', content: judgePrompt(suite, rubric) },
+      { role: 'user', content: `INPUT:\n"""\n${input}\n"""\n\nOUTPUT:\n"""\n${output}\n"""` }
+    ], {
+      provider: this.config.judge.provider || undefined,
+      useCase: this.config.judge.useCase,
+      feature: 'eval',
+      temperature: 0,
+      maxTokens: 200,
+      cache: false
+    });
+
+    const json = response.content.match(/\{[\s\S]*\}/)?.[0];
+    const verdict = json ? JSON.parse(json) : null;
+    const scores = {};
+    for (const criterion of Object.keys(rubric)) {
+      const score = Number(verdict?.scores?.[criterion]);
+      if (!(score >= 1 && score <= 5)) {
+        throw new Error(`Unreadable judge verdict: ${response.content.slice(0, 100)}`);
+      }
+      scores[criterion] = score;
+    }
+
+    return { scores, comment: verdict.comment || '' };
+  }
+
+  async withJudge(result, suite, input, output, useJudge) {
+    if (!useJudge) return result;
+
+    try {
+      result.judge = await this.judge(suite, input, output);
+    } catch (error) {
+      if (error.code === 'BUDGET_EXCEEDED') throw error;
+      logger.warn(`Judge failed for ${suite}/${result.id}:`, error.message);
+      result.judgeError = error.message;
+    }
+    return result;
+  }
+
+  async runDm(testCase, { judge = false } = {}) {
+    const messageData = { author: testCase.author || 'eval_user', subject: testCase.subject || 'no subject', body: testCase.body };
+    const reply = await dmResponder.reply(messageData, { tools: false, cache: false });
+    const checks = await this.scoreDm(testCase, reply);
+
+    const result = {
+      id: testCase.id,
+      input: testCase.body,
+      output: reply.text,
+      checks,
+      score: checks.filter(c => c.pass).length / checks.length,
+      signOff: reply.persona.signOffs.lines.some(line => reply.text.endsWith(line)),
+      // What the persona's sign-off settings lead us to expect for this reply
+      signOffChance: reply.response.content.length > reply.persona.signOffs.minLength ? reply.persona.signOffs.chance : 0,
+      model: reply.response.model,
+      persona: personaRegistry.ref(reply.persona),
+      prompt: reply.prompt,
+      tokens: reply.response.usage?.total_tokens || 0,
+    };
+
+    return this.withJudge(result, 'dm', testCase.body, reply.text, judge);
+  }
+
+  async runPost(testCase, { judge = false } = {}) {
+    const postType = testCase.postType || postGenerator.determinePostType(testCase.content);
+    const post = await postGenerator.generatePost(testCase.content, postType, { subreddit: testCase.subreddit || null });
+    const checks = await this.scorePost(testCase, post);
+
+    const result = {
+      id: testCase.id,
+      input: testCase.title,
+      output: `${post.title}\n\n${post.content}`,
+      checks,
+      score: checks.filter(c => c.pass).length / checks.length,
+      model: post.metadata.model,
+      persona: post.metadata.persona,
+      prompt: post.metadata.prompt,
+    };
+
+    return this.withJudge(result, 'post', testCase.content.slice(0, 2000), result.output, judge);
+  }
+
+  // Run every case of the selected suites; a failing case scores 0 rather than stopping the run
+  async run(dataset, { judge = false, only = null, onResult = null } = {}) {
+    const suites = { dm: (c, o) => this.runDm(c, o), post: (c, o) => this.runPost(c, o) };
+    const results = { dm: [], post: [] };
+
+    for (const [suite, runCase] of Object.entries(suites)) {
+      if (only && only !== suite) continue;
+
+      for (const testCase of dataset[suite] || []) {
+        let result;
+        try {
+          result = await runCase(testCase, { judge });
+        } catch (error) {
+          if (error.code === 'BUDGET_EXCEEDED') throw error;
+          result = { id: testCase.id, error: error.message, checks: [], score: 0 };
+        }
+
+        results[suite].push(result);
+        if (onResult) onResult(suite, result);
+      }
+    }
+
+    return results;
+  }
+
+  summarizeSuite(results) {
+    const checks = {};
+    for (const result of results) {
+      for (const c of result.checks) {
+        checks[c.name] = checks[c.name] || { passed: 0, total: 0 };
+        if (c.pass) checks[c.name].passed++;
+        checks[c.name].total++;
+      }
+    }
+
+    const judged = results.filter(r => r.judge);
+    const criteria = [...new Set(judged.flatMap(r => Object.keys(r.judge.scores)))];
+
+    return {
+      cases: results.length,
+      errors: results.filter(r => r.error).length,
+      score: round(average(results.map(r => r.score))),
+      checks: Object.fromEntries(Object.entries(checks).map(([name, c]) => [name, round(c.passed / c.total)])),
+      judge: Object.fromEntries(criteria.map(name => [name, round(average(judged.map(r => r.judge.scores[name]).filter(v => v !== undefined)), 2)])),
+      judgeErrors: results.filter(r => r.judgeError).length,
+    };
+  }
+
+  summarize(results) {
+    const summary = {};
+
+    if (results.dm.length > 0) {
+      const replies = results.dm.filter(r => !r.error);
+      summary.dm = {
+        ...this.summarizeSuite(results.dm),
+        signOffRate: round(average(replies.map(r => (r.signOff ? 1 : 0)))),
+        expectedSignOffRate: round(average(replies.map(r => r.signOffChance))),
+        avgChars: Math.round(average(replies.map(r => r.output.length)) || 0),
+      };
+    }
+
+    if (results.post.length > 0) {
+      const posts = results.post.filter(r => !r.error);
+      summary.post = {
+        ...this.summarizeSuite(results.post),
+        avgWords: Math.round(average(posts.map(r => wordCount(r.output))) || 0),
+      };
+    }
+
+    return summary;
+  }
+
+  // Metrics that should not go down: scores, check pass rates and judge averages
+  metrics(summary) {
+    const metrics = {};
+    for (const [suite, s] of Object.entries(summary)) {
+      metrics[`${suite}.score`] = s.score;
+      for (const [name, rate] of Object.entries(s.checks)) metrics[`${suite}.checks.${name}`] = rate;
+      for (const [name, score] of Object.entries(s.judge)) metrics[`${suite}.judge.${name}`] = score;
+    }
+    return metrics;
+  }
+
+  // Compare a summary with a baseline summary; a drop past the tolerance is a regression
+  compare(summary, baseline) {
+    const current = this.metrics(summary);
+    const previous = this.metrics(baseline);
+    const rows = [];
+
+    for (const metric of new Set([...Object.keys(previous), ...Object.keys(current)])) {
+      const before = previous[metric] ?? null;
+      const after = current[metric] ?? null;
+      const tolerance = metric.includes('.judge.') ? this.config.tolerance.judge : this.config.tolerance.rate;
+
+      let status = 'same';
+      if (before === null) status = 'new';
+      else if (after === null) status = 'missing';
+      else if (after < before - tolerance) status = 'regressed';
+      else if (after > before + tolerance) status = 'improved';
+
+      rows.push({ metric, baseline: before, current: after, delta: before !== null && after !== null ? round(after - before) : null, status });
+    }
+
+    return {
+      rows,
+      regressions: rows.filter(r => r.status === 'regressed').map(r => r.metric),
+      improvements: rows.filter(r => r.status === 'improved').map(r => r.metric),
+    };
+  }
+}
+
+export const evaluator = new Evaluator();
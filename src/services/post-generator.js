@@ -1,9 +1,22 @@
 import { aiManager } from '../core/ai-manager.js';
-import { generateSystemPrompt } from '../core/personality.js';
+import { generateSystemPrompt, describePersona } from '../core/personality.js';
+import { personaRegistry } from '../core/persona-registry.js';
+import { promptRegistry } from '../core/prompt-registry.js';
+import { postOutputConfig } from '../config/ai-providers.js';
 import { logger } from '../utils/logger.js';
 
+// Thrown when the model's post still doesn't match the schema after the
+// repair attempts; `errors` lists what was wrong with the last one
+export function invalidPostOutputError(errors, attempts) {
+  const error = new Error(`Generated post doesn't match the schema after ${attempts} attempt(s): ${errors.join('; ')}`);
+  error.code = 'INVALID_POST_OUTPUT';
+  error.errors = errors;
+  return error;
+}
+
 class PostGenerator {
-  constructor() {
+  constructor(config = postOutputConfig) {
+    this.config = config;
     this.postTemplates = {
       insight: 'technical insight or breakthrough',
       tutorial: 'educational explanation',
@@ -13,33 +26,76 @@ class PostGenerator {
     };
   }
 
-  async generatePost(content, postType = 'insight') {
+  // Persona for a post on Dobby's profile, or in a subreddit
+  personaFor(subreddit = null) {
+    return personaRegistry.forChannel(subreddit ? 'post' : 'profile', { subreddit });
+  }
+
+  // Asks for the post as JSON (title, body, flair, tags, tldr,
+  // discussionQuestion) and checks it against the schema. A reply that
+  // doesn't match goes back to the model with the errors, up to
+  // maxRepairAttempts times; after that generation fails rather than
+  // publishing whatever came back.
+  async generatePost(content, postType = 'insight', { persona = null, subreddit = null } = {}) {
     try {
-      const systemPrompt = this.buildPostSystemPrompt(postType);
-      const userPrompt = this.buildPostUserPrompt(content, postType);
+      persona = persona || await this.personaFor(subreddit);
+      const prompt = this.buildPostPrompt(content, postType, persona);
 
       const messages = [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt }
+        { role: 'system', content: prompt.system },
+        { role: 'user', content: prompt.user }
       ];
 
-      const response = await aiManager.chat(messages, {
-        temperature: 0.7,
-        maxTokens: 800
-      });
-
-      console.log('🪶 Raw AI response:', response.content);
-
-      const parsed = this.parsePostResponse(response.content);
-      
-      console.log('🧩 Parsed Post:', parsed);
+      let response;
+      let result;
+      let repairAttempts = 0;
+      for (let attempt = 0; attempt <= this.config.maxRepairAttempts; attempt++) {
+        repairAttempts = attempt;
+        response = await aiManager.chat(messages, {
+          temperature: attempt === 0 ? 0.7 : 0.3,
+          maxTokens: this.config.maxTokens,
+          useCase: postType === 'tutorial' ? 'longForm' : 'postGeneration',
+          feature: 'post',
+          json: true,
+          cache: false
+        });
+
+        console.log('🪶 Raw AI response:', response.content);
+
+        result = this.parsePostResponse(response.content);
+        if (result.errors.length === 0) break;
+
+        logger.warn(`Generated post doesn't match the schema (attempt ${attempt + 1}): ${result.errors.join('; ')}`);
+        messages.push(
+          { role: 'assistant', content: response.content },
+          { role: 'user', content: this.buildRepairPrompt(result.errors) }
+        );
+      }
+
+      if (result.errors.length > 0) {
+        throw invalidPostOutputError(result.errors, this.config.maxRepairAttempts + 1);
+      }
+
+      const { post } = result;
+      console.log('🧩 Parsed Post:', post);
 
       return {
-        title: parsed.title,
-        content: parsed.body,
+        title: post.title,
+        content: this.composeBody(post),
+        flair: post.flair,
+        tags: post.tags,
+        tldr: post.tldr,
+        discussionQuestion: post.discussionQuestion,
+        persona,
         metadata: {
           postType,
+          persona: personaRegistry.ref(persona),
+          prompt: prompt.ref,
+          flair: post.flair,
+          tags: post.tags,
+          repairAttempts,
           aiProvider: response.provider,
+          model: response.model,
           sourceContentLength: content.length,
           generatedAt: new Date().toISOString()
         }
@@ -50,86 +106,132 @@ class PostGenerator {
     }
   }
 
-  buildPostSystemPrompt(postType) {
-    return `You are DobbyAI, a nerdy AI companion creating a Reddit post.
-
-Your task is to create an engaging Reddit post based on Sentient Labs content.
+  // { system, user, ref } from the 'post' template
+  buildPostPrompt(content, postType, persona = personaRegistry.fallback) {
+    return promptRegistry.render('post', {
+      persona,
+      profile: describePersona(persona, { guidelines: false }),
+      emoji: persona.style.emoji || 'sparingly, if at all',
+      postType,
+      postTypeDescription: this.postTemplates[postType],
+      type: { [postType]: true },
+      limits: this.config.limits,
+      content: content.substring(0, 2000)
+    });
+  }
 
-POST TYPE: ${postType} (${this.postTemplates[postType]})
+  buildRepairPrompt(errors) {
+    return `Your reply doesn't match the required format:
+${errors.map(e => `- ${e}`).join('\n')}
 
-GUIDELINES:
-1. Create a catchy, informative title (max 300 characters)
-2. Write engaging content that sparks discussion (500-1500 words)
-3. Use your nerdy personality - be enthusiastic but not overwhelming
-4. Include relevant technical details but keep it accessible
-5. Format for Reddit (paragraphs, occasional bold/italics)
-6. End with a question to encourage engagement
-7. Be authentic and avoid marketing speak
+Reply with only the corrected JSON object, with every field from the instructions.`;
+  }
 
-FORMATTING:
-- Use **bold** for emphasis
-- Use *italics* for technical terms
-- Use > for quotes
-- Use line breaks for readability
-- Add appropriate emojis sparingly (🤓 🚀 💡 🔬)
+  // { post, errors }: the post's fields, cleaned up, when errors is empty
+  parsePostResponse(response) {
+    // Without JSON mode the object may come wrapped in prose or a code fence
+    const start = response.indexOf('{');
+    const end = response.lastIndexOf('}');
+    if (start === -1 || end < start) {
+      return { post: null, errors: ['No JSON object found'] };
+    }
 
-Return your response in this exact format:
-TITLE: [your title here]
+    let data;
+    try {
+      data = JSON.parse(response.slice(start, end + 1));
+    } catch (error) {
+      return { post: null, errors: [`Invalid JSON: ${error.message}`] };
+    }
 
-BODY:
-[your post content here]`;
+    return this.validateOutput(data);
   }
 
-  buildPostUserPrompt(content, postType) {
-    let prompt = `Create a Reddit post about the following content from Sentient Labs:\n\n${content.substring(0, 2000)}`;
-
-    if (postType === 'insight') {
-      prompt += '\n\nFocus on extracting key technical insights and explaining their significance.';
-    } else if (postType === 'tutorial') {
-      prompt += '\n\nBreak down complex concepts into digestible explanations.';
-    } else if (postType === 'news') {
-      prompt += '\n\nHighlight what\'s new and why it matters to the community.';
-    } else if (postType === 'discussion') {
-      prompt += '\n\nFrame this as a thought-provoking discussion starter.';
-    }
+  validateOutput(data) {
+    const limits = this.config.limits;
+    const errors = [];
 
-    return prompt;
-  }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return { post: null, errors: ['Expected a JSON object'] };
+    }
 
-  parsePostResponse(response) {
-    const titleMatch = response.match(/TITLE:\s*(.+?)(?:\n|$)/);
-    const bodyMatch = response.match(/BODY:\s*([\s\S]+)/);
+    const text = (field, { required = true, min = 0, max }) => {
+      const value = data[field];
+      if (value === undefined || value === null || value === '') {
+        if (required) errors.push(`"${field}" is required`);
+        return null;
+      }
+      if (typeof value !== 'string') {
+        errors.push(`"${field}" must be a string`);
+        return null;
+      }
+
+      const trimmed = value.trim();
+      if (trimmed.length < min) errors.push(`"${field}" must be at least ${min} characters`);
+      if (trimmed.length > max) errors.push(`"${field}" must be at most ${max} characters`);
+      return trimmed;
+    };
 
-    let title = titleMatch ? titleMatch[1].trim() : 'Untitled Post';
-    let body = bodyMatch ? bodyMatch[1].trim() : response;
+    const post = {
+      title: text('title', { min: limits.minTitleChars, max: limits.maxTitleChars })?.replace(/^["']|["']$/g, ''),
+      body: text('body', { min: limits.minBodyChars, max: limits.maxBodyChars }),
+      flair: text('flair', { required: false, max: limits.maxFlairChars }),
+      tags: [],
+      tldr: text('tldr', { max: limits.maxTldrChars }),
+      discussionQuestion: text('discussionQuestion', { max: limits.maxQuestionChars }),
+    };
 
-    // Clean up title
-    title = title.replace(/^["']|["']$/g, '').substring(0, 300);
+    if (data.tags !== undefined && data.tags !== null) {
+      if (!Array.isArray(data.tags) || data.tags.some(tag => typeof tag !== 'string')) {
+        errors.push('"tags" must be an array of strings');
+      } else if (data.tags.length > limits.maxTags) {
+        errors.push(`"tags" may have at most ${limits.maxTags} entries`);
+      } else {
+        post.tags = [...new Set(data.tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+        if (post.tags.some(tag => tag.length > limits.maxTagChars)) {
+          errors.push(`each tag must be at most ${limits.maxTagChars} characters`);
+        }
+      }
+    }
 
-    // Ensure body has minimum length
-    if (body.length < 100) {
-      body = response; // Use full response if parsing failed
+    if (post.discussionQuestion && !post.discussionQuestion.endsWith('?')) {
+      errors.push('"discussionQuestion" must be a question ending in "?"');
     }
 
-    return { title, body };
+    return { post: errors.length === 0 ? post : null, errors };
+  }
+
+  // Post text: TL;DR first, then the body, then the discussion question
+  composeBody(post) {
+    let body = `**TL;DR:** ${post.tldr}\n\n${post.body}`;
+    if (!post.body.endsWith(post.discussionQuestion)) {
+      body += `\n\n${post.discussionQuestion}`;
+    }
+    return body;
   }
 
-  async generateCommentReply(parentComment, context = '') {
+  // channel: 'comment', or 'mention' when Dobby was summoned into a thread.
+  // Returns { text, persona, prompt } with refs to record with the reply.
+  async generateCommentReply(parentComment, context = '', { subreddit = null, channel = 'comment' } = {}) {
     try {
-      const systemPrompt = generateSystemPrompt();
-      const userPrompt = `You're replying to this comment on Reddit:\n\n"${parentComment}"\n\n${context ? `Context: ${context}` : ''}\n\nProvide a helpful, engaging reply in your nerdy style. Keep it concise (2-4 paragraphs).`;
+      const persona = await personaRegistry.forChannel(channel, { subreddit });
+      const systemPrompt = generateSystemPrompt({ persona });
+      const { user, ref } = promptRegistry.render('comment-reply', { comment: parentComment, context });
 
       const messages = [
         { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt }
+        { role: 'user', content: user }
       ];
 
       const response = await aiManager.chat(messages, {
         temperature: 0.8,
-        maxTokens: 400
+        maxTokens: 400,
+        useCase: 'chat',
+        feature: 'comment',
+        // Replies depend on the thread; a cached one could land in another
+        cache: false
       });
 
-      return response.content;
+      return { text: response.content, persona: personaRegistry.ref(persona), prompt: ref };
     } catch (error) {
       logger.error('Error generating comment reply:', error);
       throw error;
@@ -138,17 +240,21 @@ BODY:
 
   async generateThreadSummary(comments) {
     try {
-      const systemPrompt = `You are DobbyAI. Summarize the key points and interesting discussions from this Reddit thread.`;
-      const userPrompt = `Summarize these comments:\n\n${comments.slice(0, 10).join('\n\n---\n\n')}`;
+      const prompt = promptRegistry.render('thread-summary', {
+        persona: personaRegistry.fallback,
+        comments: comments.slice(0, 10).join('\n\n---\n\n')
+      });
 
       const messages = [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt }
+        { role: 'system', content: prompt.system },
+        { role: 'user', content: prompt.user }
       ];
 
       const response = await aiManager.chat(messages, {
         temperature: 0.5,
-        maxTokens: 500
+        maxTokens: 500,
+        useCase: 'summarization',
+        feature: 'summary'
       });
 
       return response.content;
@@ -202,9 +308,12 @@ BODY:
     // Ensure proper spacing
     formatted = formatted.replace(/\n{3,}/g, '\n\n');
 
-    // Add attribution footer
-    formatted += '\n\n---\n\n';
-    formatted += '*I\'m DobbyAI, a nerdy AI companion exploring the world of Sentient Labs and beyond. Feel free to ask me anything! 🤓*';
+    // Add the persona's attribution footer
+    const { postFooter } = post.persona || personaRegistry.fallback;
+    if (postFooter) {
+      formatted += '\n\n---\n\n';
+      formatted += postFooter;
+    }
 
     return formatted;
   }
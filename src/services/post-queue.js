@@ -0,0 +1,188 @@
+import { Post } from '../models/post.js';
+import { redditService } from './reddit-service.js';
+import { postingPolicy } from './posting-policy.js';
+import { publishQueueConfig } from '../config/ai-providers.js';
+import { updatePost, logAnalytics } from '../config/database.js';
+import { logger } from '../utils/logger.js';
+
+// Publish queue for generated posts.
+//
+// Posts that pass moderation are saved as 'scheduled' with a target time
+// (scheduled_at) inside their subreddit's posting window, and the dispatcher
+// cron (api/cron/publish-posts.js) publishes whatever is due. Each post is
+// claimed ('publishing') before it is submitted, so overlapping runs don't
+// post it twice. A failed submission goes back in the queue with exponential
+// backoff until maxAttempts, then the post is marked 'failed'.
+//
+// Due posts are checked against the posting policy first. A post over a
+// time limit is moved to the next allowed time; one that waiting can't fix
+// (missing flair) fails. Posts left 'publishing' past claimTimeoutMs by a
+// run that died are marked failed rather than retried, since the submission
+// may have gone through. metadata.policyForce ({ by, reason }, from a forced
+// manual trigger) lets a post through, and the override is audited.
+class PostQueue {
+  constructor(config = publishQueueConfig) {
+    this.config = config;
+  }
+
+  // Posting windows for a subreddit (null: Dobby's profile), or null for any time
+  windowsFor(subreddit) {
+    const key = subreddit ? subreddit.toLowerCase() : 'profile';
+    return this.config.windows[key] || this.config.windows['*'] || null;
+  }
+
+  inWindow(windows, date) {
+    const hour = date.getUTCHours();
+    return windows.some(({ start, end }) => (start < end ? hour >= start && hour < end : hour >= start || hour < end));
+  }
+
+  // The earliest time at or after `from` inside the subreddit's windows
+  nextSlot(subreddit, from = new Date()) {
+    const windows = this.windowsFor(subreddit);
+    if (!windows || this.inWindow(windows, from)) return from;
+
+    const slot = new Date(from);
+    slot.setUTCMinutes(0, 0, 0);
+    for (let hours = 0; hours < 24; hours++) {
+      slot.setUTCHours(slot.getUTCHours() + 1);
+      if (this.inWindow(windows, slot)) return slot;
+    }
+    return from;
+  }
+
+  retryDelayMs(attempt) {
+    return this.config.retryBaseMs * 2 ** (attempt - 1);
+  }
+
+  // Queue a saved post for the first slot at or after `at`; other updates
+  // (title, content, metadata) are applied in the same write
+  async schedule(postId, { subreddit = null, at = new Date(), ...updates } = {}) {
+    const scheduledAt = this.nextSlot(subreddit, new Date(at));
+
+    await updatePost(postId, {
+      ...updates,
+      status: 'scheduled',
+      scheduledAt: scheduledAt.toISOString()
+    });
+
+    logger.info(`Post ${postId} scheduled for ${scheduledAt.toISOString()}`);
+    return scheduledAt;
+  }
+
+  // Publish up to `limit` due posts. Due posts outside their window are moved
+  // to the next slot instead. Returns what happened to each post looked at.
+  async dispatch({ limit = this.config.batchSize, now = new Date() } = {}) {
+    const results = await this.releaseStaleClaims(now);
+    const due = await Post.getReadyToPublish();
+    let submitted = 0;
+
+    for (const post of due) {
+      const slot = this.nextSlot(post.subreddit, now);
+      if (slot > now) {
+        await post.update({ scheduledAt: slot.toISOString() });
+        results.push({ id: post.id, status: 'deferred', scheduledAt: slot.toISOString() });
+        continue;
+      }
+
+      const policy = await postingPolicy.check({ subreddit: post.subreddit, flair: post.flair }, now);
+      const force = !policy.allowed && post.metadata.policyForce;
+      if (!policy.allowed && !force) {
+        results.push(await this.block(post, policy));
+        continue;
+      }
+
+      if (submitted >= limit) break;
+      if (!await post.claimForPublishing()) continue;
+
+      if (force) {
+        const policyOverride = await postingPolicy.recordOverride(post.id, { subreddit: post.subreddit, decision: policy, ...force });
+        await post.update({ metadata: { policyOverride } });
+      }
+
+      submitted++;
+      results.push(await this.publish(post, now));
+    }
+
+    return results;
+  }
+
+  async releaseStaleClaims(now = new Date()) {
+    const stale = await Post.getStaleClaims(new Date(now.getTime() - this.config.claimTimeoutMs));
+
+    const error = 'Publishing did not finish; check Reddit before requeueing';
+    const results = [];
+
+    for (const post of stale) {
+      logger.warn(`Post ${post.id} stuck in publishing since ${post.metadata.claimedAt || post.scheduledAt}`);
+      await post.markAsFailed(error);
+      await logAnalytics('scheduled_post_failed', { postId: post.id, attempts: post.metadata.publishAttempts || 0, error });
+      results.push({ id: post.id, status: 'failed', error });
+    }
+
+    return results;
+  }
+
+  // Blocked by policy: wait for the next allowed time, or fail
+  async block(post, decision) {
+    await logAnalytics('post_blocked_by_policy', {
+      postId: post.id,
+      subreddit: post.subreddit || 'profile',
+      reasons: decision.reasons,
+      nextAllowedAt: decision.nextAllowedAt
+    });
+
+    if (!decision.nextAllowedAt) {
+      await post.markAsFailed(`Blocked by policy: ${decision.reasons.join('; ')}`);
+      return { id: post.id, status: 'blocked', reasons: decision.reasons };
+    }
+
+    const slot = this.nextSlot(post.subreddit, decision.nextAllowedAt);
+    await post.update({ scheduledAt: slot.toISOString(), metadata: { blockedByPolicy: decision.reasons } });
+    logger.info(`Post ${post.id} blocked by policy until ${slot.toISOString()}: ${decision.reasons.join('; ')}`);
+    return { id: post.id, status: 'blocked', reasons: decision.reasons, scheduledAt: slot.toISOString() };
+  }
+
+  async publish(post, now = new Date()) {
+    const attempts = (post.metadata.publishAttempts || 0) + 1;
+
+    try {
+      const submission = post.subreddit
+        ? await redditService.submitPost(post.subreddit, post.title, post.content, post.getSubmitOptions())
+        : await redditService.submitPostToProfile(post.title, post.content, post.getSubmitOptions());
+
+      await post.markAsPublished(submission.id);
+      await post.update({ metadata: { publishAttempts: attempts } });
+
+      await logAnalytics('scheduled_post_published', {
+        postId: post.id,
+        redditPostId: submission.id,
+        subreddit: post.subreddit || 'profile',
+        attempts,
+        delayMinutes: Math.round((now - new Date(post.scheduledAt)) / 60000)
+      });
+
+      logger.info(`Published scheduled post ${post.id}: ${submission.id}`);
+      return { id: post.id, status: 'published', redditId: submission.id, attempts };
+    } catch (error) {
+      logger.error(`Publishing post ${post.id} failed (attempt ${attempts}/${this.config.maxAttempts}):`, error.message);
+
+      if (attempts >= this.config.maxAttempts) {
+        post.metadata = { ...post.metadata, publishAttempts: attempts };
+        await post.markAsFailed(error.message);
+        await logAnalytics('scheduled_post_failed', { postId: post.id, attempts, error: error.message });
+        return { id: post.id, status: 'failed', attempts, error: error.message };
+      }
+
+      const retryAt = this.nextSlot(post.subreddit, new Date(now.getTime() + this.retryDelayMs(attempts)));
+      await post.update({
+        status: 'scheduled',
+        scheduledAt: retryAt.toISOString(),
+        metadata: { publishAttempts: attempts, lastError: error.message }
+      });
+
+      return { id: post.id, status: 'retrying', attempts, retryAt: retryAt.toISOString(), error: error.message };
+    }
+  }
+}
+
+export const postQueue = new PostQueue();
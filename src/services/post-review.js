@@ -0,0 +1,156 @@
+import axios from 'axios';
+import { Post } from '../models/post.js';
+import { postGenerator } from './post-generator.js';
+import { contentModerator, ModerationAction } from './content-moderator.js';
+import { postQueue } from './post-queue.js';
+import { redditService } from './reddit-service.js';
+import { getContentById, updatePost, logAnalytics } from '../config/database.js';
+import { postReviewConfig } from '../config/ai-providers.js';
+import { logger } from '../utils/logger.js';
+
+// Human approval of auto-generated posts.
+//
+// With requireApproval on, auto-post leaves posts that pass moderation as
+// 'pending_review' and notifies reviewers. A reviewer can edit, approve
+// (the post enters the publish queue), reject with a reason, or regenerate
+// it from its source content. Every step is appended to the audit trail in
+// metadata.review.history as { action, reviewer, at, ... }.
+class PostReview {
+  constructor(config = postReviewConfig) {
+    this.config = config;
+  }
+
+  get enabled() {
+    return this.config.requireApproval;
+  }
+
+  // Put a freshly saved post up for review; `updates` (title, content,
+  // metadata) are applied in the same write
+  async submit(postId, { title, content, metadata = {} } = {}) {
+    await updatePost(postId, {
+      title,
+      content,
+      status: 'pending_review',
+      metadata: { ...metadata, review: { history: [{ action: 'submitted', reviewer: 'system', at: new Date().toISOString() }] } }
+    });
+
+    const post = await Post.findById(postId);
+    await this.notify(post);
+    await logAnalytics('post_review_requested', { postId });
+
+    logger.info(`Post ${postId} waiting for review`);
+    return post;
+  }
+
+  // Tell reviewers about a post; a failed notification doesn't fail the post
+  async notify(post) {
+    const text = `DobbyAI post #${post.id} needs review: "${post.title}" (${post.subreddit ? `r/${post.subreddit}` : 'profile'}). ` +
+      `Preview it with GET /api/admin/reviews?id=${post.id}`;
+
+    if (this.config.webhookUrl) {
+      try {
+        // `text` for Slack, `content` for Discord
+        await axios.post(this.config.webhookUrl, { text, content: text }, { timeout: 10000 });
+      } catch (error) {
+        logger.error('Review webhook failed:', error.message);
+      }
+    }
+
+    for (const user of this.config.notifyUsers) {
+      try {
+        await redditService.sendMessage(user, `Post #${post.id} needs review`, `${text}\n\n---\n\n**${post.title}**\n\n${post.content}`);
+      } catch (error) {
+        logger.error(`Review notification to u/${user} failed:`, error.message);
+      }
+    }
+  }
+
+  list(limit = 50) {
+    return Post.getAll({ status: 'pending_review', limit });
+  }
+
+  // The post as it would be published, with its moderation result and audit trail
+  preview(post) {
+    return {
+      ...post.toJSON(),
+      preview: {
+        where: post.subreddit ? `r/${post.subreddit}` : 'profile',
+        title: post.title,
+        body: post.content,
+        words: (post.content.match(/\S+/g) || []).length
+      },
+      moderation: post.metadata.moderation || null,
+      history: post.metadata.review?.history || []
+    };
+  }
+
+  // Append to the audit trail, applying `updates` to the post in the same write
+  async record(post, entry, updates = {}) {
+    const review = post.metadata.review || { history: [] };
+    const history = [...review.history, { ...entry, at: new Date().toISOString() }];
+
+    await post.update({
+      ...updates,
+      metadata: { ...updates.metadata, review: { ...review, history, lastReviewer: entry.reviewer } }
+    });
+    await logAnalytics(`post_review_${entry.action}`, { postId: post.id, reviewer: entry.reviewer });
+    return post;
+  }
+
+  async edit(post, reviewer, { title, content }) {
+    // The text being replaced, so the trail shows what the reviewer changed
+    const previous = {};
+    if (title && title !== post.title) previous.title = post.title;
+    if (content && content !== post.content) previous.content = post.content;
+
+    return this.record(post, { action: 'edited', reviewer, previous }, { title, content });
+  }
+
+  async approve(post, reviewer, { scheduledAt = null } = {}) {
+    const queuedAt = postQueue.nextSlot(post.subreddit, scheduledAt ? new Date(scheduledAt) : new Date());
+    await this.record(post, { action: 'approved', reviewer }, {
+      status: 'scheduled',
+      scheduledAt: queuedAt.toISOString()
+    });
+    return queuedAt;
+  }
+
+  async reject(post, reviewer, reason) {
+    return this.record(post, { action: 'rejected', reviewer, reason }, { status: 'rejected' });
+  }
+
+  // New title and body from the post's source content, through the same
+  // validation and moderation as auto-post. A post moderation holds leaves
+  // review for the moderation queue.
+  async regenerate(post, reviewer) {
+    const source = post.metadata.contentId ? await getContentById(post.metadata.contentId) : null;
+    if (!source) throw new Error(`Post ${post.id} has no source content to regenerate from`);
+
+    const generated = await postGenerator.generatePost(source.content, post.postType, { subreddit: post.subreddit });
+    const validation = postGenerator.validatePost(generated);
+    if (!validation.valid) throw new Error(`Regenerated post is invalid: ${validation.errors.join(', ')}`);
+
+    const content = postGenerator.formatPostForReddit(generated);
+    const moderation = await contentModerator.reviewPost(
+      { title: generated.title, content },
+      { referenceId: post.id, metadata: { postType: post.postType, contentId: source.id, regenerated: true } }
+    );
+
+    const held = moderation.action === ModerationAction.HOLD;
+    const rewritten = moderation.action === ModerationAction.REWRITE;
+
+    await this.record(post, { action: 'regenerated', reviewer, previousTitle: post.title, ...(held && { held: true }) }, {
+      title: rewritten ? moderation.title : generated.title,
+      content: rewritten ? moderation.content : content,
+      ...(held && { status: 'held' }),
+      metadata: {
+        ...generated.metadata,
+        moderation: { action: moderation.action, logId: moderation.logId, ...(held && { reasons: moderation.reasons }) }
+      }
+    });
+
+    return { post, held, reasons: held ? moderation.reasons : [] };
+  }
+}
+
+export const postReview = new PostReview();
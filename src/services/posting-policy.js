@@ -0,0 +1,113 @@
+import { Post } from '../models/post.js';
+import { redditConfig, subredditGuidelines, guidelinesFor } from '../config/reddit.js';
+import { logAnalytics } from '../config/database.js';
+import { logger } from '../utils/logger.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export function blockedByPolicyError(decision) {
+  const error = new Error(`Blocked by policy: ${decision.reasons.join('; ')}`);
+  error.code = 'BLOCKED_BY_POLICY';
+  error.decision = decision;
+  return error;
+}
+
+// Whether a post may be submitted now, from the published posts in the
+// posts table:
+//
+// - everywhere: redditConfig.maxPostsPerDay and minPostInterval
+// - in a subreddit: subredditGuidelines maxPostsPerDay, minTimeBetweenPosts
+//   and flairRequired, defaults overridden per subreddit
+// - on the profile: only the 'profile' entry, if there is one
+class PostingPolicy {
+  constructor(config = redditConfig, guidelines = subredditGuidelines) {
+    this.config = config;
+    this.guidelines = guidelines;
+  }
+
+  rulesFor(subreddit) {
+    const scoped = subreddit ? guidelinesFor(subreddit) : { ...this.guidelines.profile };
+    return {
+      scope: subreddit ? `r/${subreddit}` : 'profile',
+      global: { maxPostsPerDay: this.config.maxPostsPerDay, minInterval: this.config.minPostInterval },
+      maxPostsPerDay: scoped.maxPostsPerDay ?? null,
+      minInterval: scoped.minTimeBetweenPosts ?? null,
+      flairRequired: Boolean(scoped.flairRequired)
+    };
+  }
+
+  // How far back any check looks; published posts in this window must stay
+  historyWindowMs() {
+    const intervals = Object.values(this.guidelines).map(rules => rules.minTimeBetweenPosts || 0);
+    return Math.max(DAY, this.config.minPostInterval, ...intervals);
+  }
+
+  // { allowed, reasons, nextAllowedAt, rules }. nextAllowedAt is when every
+  // time-based limit has cleared, or null when waiting won't help (no flair).
+  async check({ subreddit = null, flair = null } = {}, now = new Date()) {
+    const rules = this.rulesFor(subreddit);
+    const lookback = Math.max(DAY, rules.global.minInterval, rules.minInterval || 0);
+    const history = await Post.getPostingHistory(new Date(now.getTime() - lookback));
+    const scope = (subreddit || '').toLowerCase();
+    const inScope = history.filter(post => (post.subreddit || '').toLowerCase() === scope);
+
+    const violations = [
+      ...this.limits(history, rules.global, 'everywhere', now),
+      ...this.limits(inScope, { maxPostsPerDay: rules.maxPostsPerDay, minInterval: rules.minInterval }, `in ${rules.scope}`, now)
+    ];
+    if (rules.flairRequired && !flair) {
+      violations.push({ rule: 'flairRequired', reason: `${rules.scope} requires post flair`, until: null });
+    }
+
+    const waitable = violations.every(violation => violation.until);
+    return {
+      allowed: violations.length === 0,
+      reasons: violations.map(violation => violation.reason),
+      rules: violations.map(violation => violation.rule),
+      nextAllowedAt: violations.length > 0 && waitable
+        ? new Date(Math.max(...violations.map(violation => violation.until.getTime())))
+        : null
+    };
+  }
+
+  // posts: oldest first
+  limits(posts, { maxPostsPerDay, minInterval }, where, now) {
+    const violations = [];
+    const today = posts.filter(post => now - post.postedAt < DAY);
+
+    if (maxPostsPerDay != null && today.length >= maxPostsPerDay) {
+      violations.push({
+        rule: 'maxPostsPerDay',
+        reason: `${today.length} post${today.length === 1 ? '' : 's'} ${where} in the last 24 hours (max ${maxPostsPerDay})`,
+        // Once enough of today's posts are a day old
+        until: new Date(today[today.length - maxPostsPerDay].postedAt.getTime() + DAY)
+      });
+    }
+
+    const last = posts[posts.length - 1];
+    if (minInterval && last && now - last.postedAt < minInterval) {
+      violations.push({
+        rule: 'minPostInterval',
+        reason: `last post ${where} was less than ${Math.round(minInterval / 60000)} minutes ago`,
+        until: new Date(last.postedAt.getTime() + minInterval)
+      });
+    }
+
+    return violations;
+  }
+
+  // Audit a post submitted past a block with `force`
+  async recordOverride(postId, { subreddit = null, decision, by, reason = null }) {
+    logger.warn(`Post ${postId} forced past posting policy by ${by}: ${decision.reasons.join('; ')}`);
+    await logAnalytics('post_policy_override', {
+      postId,
+      subreddit: subreddit || 'profile',
+      by,
+      reason,
+      blockedBy: decision.reasons
+    });
+    return { by, reason, blockedBy: decision.reasons, at: new Date().toISOString() };
+  }
+}
+
+export const postingPolicy = new PostingPolicy();
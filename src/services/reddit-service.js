@@ -1,5 +1,6 @@
 import snoowrap from 'snoowrap';
 import Bottleneck from 'bottleneck';
+import { guidelinesFor } from '../config/reddit.js';
 import { logger } from '../utils/logger.js';
 
 class RedditService {
@@ -54,6 +55,17 @@ class RedditService {
     });
   }
 
+  async getMessage(messageId) {
+    return this.limiter.schedule(async () => {
+      try {
+        return await this.client.getMessage(messageId).fetch();
+      } catch (error) {
+        logger.error('Error fetching message:', error);
+        throw error;
+      }
+    });
+  }
+
   async replyToMessage(message, responseText) {
     return this.limiter.schedule(async () => {
       try {
@@ -68,17 +80,121 @@ class RedditService {
     });
   }
 
-  async submitPost(subreddit, title, content) {
+  // Comments that mention u/<username>, read or not; the caller tracks which
+  // ones it has answered
+  async getMentions(limit = 25) {
+    return this.limiter.schedule(async () => {
+      try {
+        const mentions = await this.client.getInbox({ filter: 'mentions', limit });
+        logger.info(`Found ${mentions.length} mentions`);
+        return mentions;
+      } catch (error) {
+        logger.error('Error fetching mentions:', error);
+        throw error;
+      }
+    });
+  }
+
+  async getSubmission(postId) {
+    return this.limiter.schedule(async () => {
+      try {
+        return await this.client.getSubmission(postId).fetch();
+      } catch (error) {
+        logger.error('Error fetching submission:', error);
+        throw error;
+      }
+    });
+  }
+
+  // Top-level comments on one of our submissions, newest first
+  async getPostComments(postId) {
     return this.limiter.schedule(async () => {
       try {
         const submission = await this.client
-          .getSubreddit(subreddit)
-          .submitSelfpost({
-            title: title,
-            text: content
-          });
-        
-        logger.info(`Posted to r/${subreddit}: ${submission.id}`);
+          .getSubmission(postId)
+          .fetch();
+        return [...submission.comments].sort((a, b) => b.created_utc - a.created_utc);
+      } catch (error) {
+        logger.error('Error fetching post comments:', error);
+        throw error;
+      }
+    });
+  }
+
+  async getComment(commentId) {
+    return this.limiter.schedule(async () => {
+      try {
+        return await this.client.getComment(commentId).fetch();
+      } catch (error) {
+        logger.error('Error fetching comment:', error);
+        throw error;
+      }
+    });
+  }
+
+  async replyToComment(commentId, responseText) {
+    return this.limiter.schedule(async () => {
+      try {
+        const reply = await this.client.getComment(commentId).reply(responseText);
+        logger.info(`Replied to comment ${commentId}`);
+        return reply;
+      } catch (error) {
+        logger.error('Error replying to comment:', error);
+        throw error;
+      }
+    });
+  }
+
+  async getNewSubmissions(subreddit, limit = 25) {
+    return this.limiter.schedule(async () => {
+      try {
+        return await this.client.getNew(subreddit, { limit });
+      } catch (error) {
+        logger.error(`Error fetching new posts in r/${subreddit}:`, error);
+        throw error;
+      }
+    });
+  }
+
+  async getNewComments(subreddit, limit = 25) {
+    return this.limiter.schedule(async () => {
+      try {
+        return await this.client.getNewComments(subreddit, { limit });
+      } catch (error) {
+        logger.error(`Error fetching new comments in r/${subreddit}:`, error);
+        throw error;
+      }
+    });
+  }
+
+  async replyToSubmission(postId, responseText) {
+    return this.limiter.schedule(async () => {
+      try {
+        const reply = await this.client.getSubmission(postId).reply(responseText);
+        logger.info(`Replied to post ${postId}`);
+        return reply;
+      } catch (error) {
+        logger.error('Error replying to post:', error);
+        throw error;
+      }
+    });
+  }
+
+  // options: { kind, url, crosspostOf, flair, nsfw, spoiler }
+  //
+  // - 'self' (default): a text post with `content` as the body
+  // - 'link': a link to `url`, e.g. the Sentient source the post is about
+  // - 'image': a link to a hosted image `url`, which Reddit shows inline
+  //   (snoowrap can't upload images)
+  // - 'crosspost': crossposts the submission `crosspostOf`
+  //
+  // flair is a link flair template id or its text (case-insensitive).
+  async submitPost(subreddit, title, content, options = {}) {
+    return this.limiter.schedule(async () => {
+      try {
+        const submission = await this.submit(subreddit, title, content, options);
+
+        logger.info(`Posted to r/${subreddit} (${options.kind || 'self'}): ${submission.id}`);
         return submission;
       } catch (error) {
         logger.error('Error submitting post:', error);
@@ -87,18 +203,14 @@ class RedditService {
     });
   }
 
-  async submitPostToProfile(title, content) {
+  // Profile posts can't carry flair
+  async submitPostToProfile(title, content, options = {}) {
     return this.limiter.schedule(async () => {
       try {
         const username = process.env.REDDIT_USERNAME;
-        const submission = await this.client
-          .getSubreddit(`u_${username}`)
-          .submitSelfpost({
-            title: title,
-            text: content
-          });
-        
-        logger.info(`Posted to profile: ${submission.id}`);
+        const submission = await this.submit(`u_${username}`, title, content, { ...options, flair: null });
+
+        logger.info(`Posted to profile (${options.kind || 'self'}): ${submission.id}`);
         return submission;
       } catch (error) {
         logger.error('Error posting to profile:', error);
@@ -107,6 +219,65 @@ class RedditService {
     });
   }
 
+  // Runs inside a limiter.schedule callback
+  async submit(subredditName, title, content, { kind = 'self', url = null, crosspostOf = null, flair = null, nsfw = false, spoiler = false }) {
+    const subreddit = this.client.getSubreddit(subredditName);
+    const options = {
+      title,
+      nsfw: Boolean(nsfw),
+      spoiler: Boolean(spoiler),
+      ...(flair && await this.resolveFlair(subreddit, subredditName, flair))
+    };
+
+    switch (kind) {
+      case 'self':
+        return subreddit.submitSelfpost({ ...options, text: content });
+      case 'link':
+      case 'image':
+        if (!url) throw new Error(`${kind} posts need a url`);
+        return subreddit.submitLink({ ...options, url, resubmit: true });
+      case 'crosspost':
+        if (!crosspostOf) throw new Error('A crosspost needs the id of the original post');
+        return subreddit.submitCrosspost({ ...options, originalPost: crosspostOf.replace(/^t3_/, '') });
+      default:
+        throw new Error(`Unknown post kind: ${kind}`);
+    }
+  }
+
+  // { flairId, flairText } for the template matching `flair` by id or text.
+  // Without a match the post goes out unflaired, unless the subreddit's
+  // guidelines require flair.
+  async resolveFlair(subreddit, subredditName, flair) {
+    const templates = await subreddit.getLinkFlairTemplates();
+    const wanted = String(flair).toLowerCase();
+    const template = templates.find(t => t.flair_template_id === flair) ||
+      templates.find(t => (t.flair_text || '').toLowerCase() === wanted);
+
+    if (template) {
+      return { flairId: template.flair_template_id, flairText: template.flair_text };
+    }
+
+    const available = templates.map(t => t.flair_text).join(', ') || 'none';
+    if (guidelinesFor(subredditName).flairRequired) {
+      throw new Error(`r/${subredditName} requires flair and has no "${flair}" flair (available: ${available})`);
+    }
+    logger.warn(`No "${flair}" flair in r/${subredditName} (available: ${available}); posting without flair`);
+    return {};
+  }
+
+  async sendMessage(to, subject, text) {
+    return this.limiter.schedule(async () => {
+      try {
+        await this.client.composeMessage({ to, subject, text });
+        logger.info(`Sent message to u/${to}`);
+        return true;
+      } catch (error) {
+        logger.error('Error sending message:', error);
+        throw error;
+      }
+    });
+  }
+
   async getPostStats(postId) {
     return this.limiter.schedule(async () => {
       try {
@@ -186,6 +357,41 @@ class RedditService {
     };
   }
 
+  // Works for comments from a listing and comment replies in the inbox,
+  // which carry a `context` permalink instead of `link_id`
+  formatComment(comment) {
+    const postId = comment.link_id
+      ? comment.link_id.replace(/^t3_/, '')
+      : comment.context?.match(/\/comments\/(\w+)\//)?.[1] || null;
+
+    return {
+      id: comment.id,
+      kind: 'comment',
+      author: comment.author?.name || null,
+      body: comment.body,
+      parentId: comment.parent_id,
+      postId,
+      subreddit: comment.subreddit?.display_name || comment.subreddit || null,
+      createdAt: new Date(comment.created_utc * 1000)
+    };
+  }
+
+  // Same shape as formatComment, with the title and text as the body. The id
+  // is the t3_ fullname so it can't clash with a comment id.
+  formatSubmission(submission) {
+    return {
+      id: `t3_${submission.id}`,
+      kind: 'submission',
+      author: submission.author?.name || null,
+      title: submission.title,
+      body: submission.selftext ? `${submission.title}\n\n${submission.selftext}` : submission.title,
+      parentId: null,
+      postId: submission.id,
+      subreddit: submission.subreddit?.display_name || submission.subreddit || null,
+      createdAt: new Date(submission.created_utc * 1000)
+    };
+  }
+
   async testConnection() {
     try {
       const me = await this.client.getMe();
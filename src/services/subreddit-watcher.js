@@ -0,0 +1,178 @@
+import { redditService } from './reddit-service.js';
+import { contentFetcher } from './content-fetcher.js';
+import { commentResponder } from './comment-responder.js';
+import { personaRegistry } from '../core/persona-registry.js';
+import {
+  createWatchCandidate,
+  getWatchCandidateIds,
+  getWatchCandidates,
+  updateWatchCandidate,
+  getThreadReplyStats,
+  logAnalytics
+} from '../config/database.js';
+import { subredditWatchConfig } from '../config/ai-providers.js';
+import { isValidSubreddit, guidelinesFor } from '../config/reddit.js';
+import { logger } from '../utils/logger.js';
+
+// Words too generic to count as a shared topic
+const GENERIC_TERMS = new Set(['research', 'systems', 'ecosystem', 'technology']);
+
+// Finds threads in watched subreddits that Dobby could usefully join.
+//
+// poll() reads new submissions and comments, scores each for relevance and
+// saves the ones above minScore as candidates: 'queued' in auto mode,
+// 'pending_review' in approval mode until a reviewer approves or rejects
+// them. answerQueued() replies to queued candidates through the comment
+// responder, within the subreddit's guideline limits, and marks them
+// 'answered' with the outcome.
+class SubredditWatcher {
+  constructor(config = subredditWatchConfig) {
+    this.config = config;
+  }
+
+  get subreddits() {
+    return this.config.subreddits.filter(subreddit => isValidSubreddit(subreddit));
+  }
+
+  // Single words from the persona's expertise list, e.g. "Machine Learning
+  // research" -> machine, learning
+  expertiseTerms(persona) {
+    const words = persona.expertise.join(' ').toLowerCase().match(/\b\w+\b/g) || [];
+    return new Set(words.filter(word => word.length > 3 && !GENERIC_TERMS.has(word)));
+  }
+
+  // { score, keywords, topics }: the keywords found in the text and the key
+  // topics it shares with Dobby's expertise
+  score(text, expertise) {
+    const lower = text.toLowerCase();
+    const keywords = this.config.keywords.filter(keyword =>
+      new RegExp(`\\b${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(lower)
+    );
+    const topics = contentFetcher.extractKeyTopics(text).filter(topic => expertise.has(topic));
+
+    const score = this.config.keywordWeight * Math.min(1, keywords.length / 2) +
+      this.config.topicWeight * Math.min(1, topics.length / 2);
+
+    return { score: Math.round(score * 100) / 100, keywords, topics };
+  }
+
+  // Read new threads in every watched subreddit and save the relevant ones
+  async poll() {
+    const results = { scanned: 0, candidates: [] };
+    const username = (process.env.REDDIT_USERNAME || '').toLowerCase();
+    const since = Date.now() - this.config.maxAgeHours * 60 * 60 * 1000;
+
+    for (const subreddit of this.subreddits) {
+      try {
+        const persona = await personaRegistry.forChannel('comment', { subreddit });
+        const expertise = this.expertiseTerms(persona);
+
+        const items = [
+          ...(await redditService.getNewSubmissions(subreddit, this.config.pollLimit)).map(s => redditService.formatSubmission(s)),
+          ...(await redditService.getNewComments(subreddit, this.config.pollLimit)).map(c => redditService.formatComment(c))
+        ].filter(item => item.author && item.author.toLowerCase() !== username && item.createdAt.getTime() >= since);
+
+        const known = await getWatchCandidateIds(items.map(item => item.id));
+        results.scanned += items.length;
+
+        for (const item of items.filter(item => !known.has(item.id))) {
+          const relevance = this.score(item.body, expertise);
+          if (relevance.score < this.config.minScore) continue;
+
+          const candidate = await createWatchCandidate({
+            thingId: item.id,
+            kind: item.kind,
+            subreddit: item.subreddit,
+            author: item.author,
+            score: relevance.score,
+            status: this.config.mode === 'auto' ? 'queued' : 'pending_review',
+            item,
+            metadata: { keywords: relevance.keywords, topics: relevance.topics }
+          });
+          if (candidate) results.candidates.push(candidate.id);
+        }
+      } catch (error) {
+        logger.error(`Failed to poll r/${subreddit}:`, error.message);
+      }
+    }
+
+    if (results.candidates.length > 0) {
+      await logAnalytics('watch_candidates_found', { count: results.candidates.length, mode: this.config.mode });
+    }
+    return results;
+  }
+
+  // Null when the subreddit's guidelines allow another reply now, otherwise why not
+  async limitReason(subreddit) {
+    const guidelines = guidelinesFor(subreddit);
+    const stats = await getThreadReplyStats(subreddit);
+
+    if (stats.count >= guidelines.maxRepliesPerDay) {
+      return `${stats.count} replies in r/${subreddit} today (max ${guidelines.maxRepliesPerDay})`;
+    }
+    if (stats.lastRepliedAt && Date.now() - new Date(stats.lastRepliedAt).getTime() < guidelines.minTimeBetweenReplies) {
+      return `last reply in r/${subreddit} was less than ${Math.round(guidelines.minTimeBetweenReplies / 60000)} minutes ago`;
+    }
+    return null;
+  }
+
+  // Reply to queued candidates, best first. Candidates over a subreddit's
+  // limits stay queued for a later run.
+  async answerQueued({ limit = this.config.maxRepliesPerRun } = {}) {
+    const results = { replied: [], held: [], skipped: [], failed: [], deferred: [], budgetExhausted: false };
+    const limited = new Map();
+
+    for (const candidate of await getWatchCandidates({ status: 'queued' })) {
+      if (results.replied.length + results.held.length >= limit) break;
+
+      const subreddit = candidate.subreddit.toLowerCase();
+      if (!limited.has(subreddit)) limited.set(subreddit, await this.limitReason(candidate.subreddit));
+      if (limited.get(subreddit)) {
+        results.deferred.push(candidate.id);
+        continue;
+      }
+
+      let outcome;
+      try {
+        outcome = await commentResponder.respond(
+          { ...candidate.item, createdAt: new Date(candidate.item.createdAt) },
+          { source: 'watch' }
+        );
+      } catch (error) {
+        if (error.code !== 'BUDGET_EXCEEDED') throw error;
+
+        logger.warn(`Stopping watch replies: ${error.message}`);
+        results.budgetExhausted = true;
+        break;
+      }
+
+      // 'ignored': too old by now, or already answered another way
+      await updateWatchCandidate(candidate.id, {
+        status: 'answered',
+        metadata: { outcome: outcome.status, ...(outcome.reason && { reason: outcome.reason }), answeredAt: new Date().toISOString() }
+      });
+      if (outcome.status !== 'ignored') results[outcome.status].push(candidate.id);
+
+      // The next reply in this subreddit has to wait out minTimeBetweenReplies
+      if (outcome.status === 'replied') limited.set(subreddit, 'just replied');
+    }
+
+    return results;
+  }
+
+  list(status = 'pending_review', limit = 50) {
+    return getWatchCandidates({ status, limit });
+  }
+
+  async review(candidate, action, reviewer) {
+    const status = action === 'approve' ? 'queued' : 'rejected';
+    const updated = await updateWatchCandidate(candidate.id, {
+      status,
+      metadata: { reviewer, reviewedAt: new Date().toISOString() }
+    });
+    await logAnalytics(`watch_candidate_${status === 'queued' ? 'approved' : 'rejected'}`, { id: candidate.id, reviewer });
+    return updated;
+  }
+}
+
+export const subredditWatcher = new SubredditWatcher();
@@ -119,4 +119,25 @@ export function hashString(str) {
     hash = hash & hash;
   }
   return Math.abs(hash).toString(36);
-}
\ No newline at end of file
+}
+
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+// ?page=2&limit=20 -> { page: 2, limit: 20, offset: 20 }, with limit capped at maxLimit
+export function parsePagination(query = {}, defaultLimit = 20, maxLimit = 100) {
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(maxLimit, Math.max(1, parseInt(query.limit) || defaultLimit));
+  return { page, limit, offset: (page - 1) * limit };
+}
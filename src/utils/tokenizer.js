@@ -0,0 +1,27 @@
+import { getEncoding } from 'js-tiktoken';
+
+// BPE token counting. Encoders are loaded lazily and cached, since building
+// the rank tables takes a noticeable moment on cold start.
+
+const encoders = new Map();
+
+function getEncoder(encoding) {
+  if (!encoders.has(encoding)) {
+    encoders.set(encoding, getEncoding(encoding));
+  }
+  return encoders.get(encoding);
+}
+
+export function countTokens(text, encoding = 'cl100k_base') {
+  if (!text) return 0;
+  return getEncoder(encoding).encode(text).length;
+}
+
+// Cut text down to at most maxTokens tokens, on a token boundary
+export function truncateToTokens(text, maxTokens, encoding = 'cl100k_base') {
+  const encoder = getEncoder(encoding);
+  const tokens = encoder.encode(text || '');
+  if (tokens.length <= maxTokens) return text;
+
+  return encoder.decode(tokens.slice(0, Math.max(0, maxTokens)));
+}